@@ -0,0 +1,155 @@
+'use strict';
+
+/**
+ * Incremental Xray access log tailer.
+ * - poll() reads only the bytes appended since the previous poll (remembered byte offset); the first poll
+ *   starts FIRST_READ_BYTES before the end so a restart does not replay a huge log
+ * - logrotate: a new inode or a file shorter than the offset (copytruncate) restarts from offset 0
+ * - each line is parsed into a structured record (see parseAccessLine; the raw text is kept as .line) and
+ *   stored in a fixed-size ring buffer
+ * - onRecords(fn) subscribers get every new batch, so consumers never miss lines polled by someone else
+ *
+ * One shared tailer for the configured log lives on utils.accessLog; it polls on its own timer once
+ * started (utils starts it lazily on first use).
+ */
+import { closeSync, openSync, readSync, statSync } from 'fs';
+
+const FIRST_READ_BYTES = 1 << 20;
+const MAX_READ_BYTES = 8 << 20; // per poll; the rest is picked up by the next one
+const DEFAULT_RING_SIZE = Number(process.env.ACCESS_LOG_RING) || 20000;
+
+// "2025/01/02 03:04:05.123456 from tcp:1.2.3.4:5678 accepted tcp:example.com:443 [vless-ws >> direct] email: alice"
+const LINE_RE = /^(\d{4})\/(\d{2})\/(\d{2}) (\d{2}):(\d{2}):(\d{2})(?:\.(\d+))? from (?:(?:tcp|udp):)?(\S+) (accepted|rejected)\s*(.*)$/;
+
+function splitHostPort(value) {
+  const m = /^\[?(.+?)\]?:(\d+)$/.exec(value);
+  return m ? { host: m[1], port: Number(m[2]) } : { host: value, port: null };
+}
+
+/**
+ * Parse one access log line.
+ * @param {string} line
+ * @returns {{time:number, srcIp:string, srcPort:number|null, status:'accepted'|'rejected', network:string|null,
+ *   dest:string|null, destPort:number|null, inbound:string|null, outbound:string|null, email:string|null,
+ *   reason:string|null}|null} null for lines that are not connection entries
+ */
+function parseAccessLine(line) {
+  const m = LINE_RE.exec(line);
+  if (!m) return null;
+  const [, y, mo, d, h, mi, s, frac, src, status, rest] = m;
+  const time = new Date(+y, +mo - 1, +d, +h, +mi, +s, frac ? Math.floor(Number(`0.${frac}`) * 1000) : 0).getTime();
+  const { host: srcIp, port: srcPort } = splitHostPort(src);
+  let network = null, dest = null, destPort = null;
+  let tail = rest;
+  if (status === 'accepted') {
+    const t = /^(?:(tcp|udp):)?(\S+)/.exec(rest);
+    if (t) {
+      network = t[1] || null;
+      ({ host: dest, port: destPort } = splitHostPort(t[2]));
+      tail = rest.slice(t[0].length); // an IPv6 destination is bracketed too
+    }
+  }
+  // Route tag: "[inbound >> outbound]" (newer Xray), "[inbound -> outbound]" or just "[outbound]"
+  let inbound = null, outbound = null;
+  const route = /\[([^\]]*)\]/.exec(tail);
+  if (route) {
+    const parts = route[1].split(/\s*(?:>>|->)\s*/);
+    if (parts.length > 1) [inbound, outbound] = parts; else outbound = parts[0] || null;
+  }
+  const email = /email: (\S+)/.exec(rest)?.[1] || null;
+  return { time, srcIp, srcPort, status, network, dest, destPort, inbound, outbound, email, reason: status === 'rejected' ? rest.trim() || null : null };
+}
+
+/**
+ * Create a tailer for one log file.
+ * @param {string} file
+ * @param {{ringSize?:number}} [opts]
+ */
+function createAccessLogTailer(file, { ringSize = DEFAULT_RING_SIZE } = {}) {
+  const ring = new Array(ringSize);
+  let count = 0; // records ever stored; ring index = count % ringSize
+  let state = { ino: null, offset: 0, partial: '' };
+  let timer = null;
+  const listeners = [];
+
+  /**
+   * Read new lines, store their records and notify subscribers.
+   * @returns {object[]} the new records (oldest first)
+   */
+  function poll() {
+    let st;
+    try { st = statSync(file); } catch { return []; }
+    if (state.ino === null) {
+      state = { ino: st.ino, offset: Math.max(0, st.size - FIRST_READ_BYTES), partial: '' };
+    } else if (st.ino !== state.ino || st.size < state.offset) {
+      state = { ino: st.ino, offset: 0, partial: '' };
+    }
+    const length = Math.min(st.size - state.offset, MAX_READ_BYTES);
+    if (length <= 0) return [];
+    const buf = Buffer.alloc(length);
+    const fd = openSync(file, 'r');
+    try { readSync(fd, buf, 0, length, state.offset); } finally { closeSync(fd); }
+    state.offset += length;
+    const lines = (state.partial + buf.toString('utf8')).split('\n');
+    state.partial = lines.pop();
+    const records = [];
+    for (const line of lines) {
+      const rec = parseAccessLine(line);
+      if (!rec) continue;
+      rec.line = line;
+      ring[count % ringSize] = rec;
+      count++;
+      records.push(rec);
+    }
+    if (records.length) {
+      for (const fn of listeners) {
+        try { fn(records); } catch (e) { console.warn('[ACCESS_LOG] subscriber failed', e.message); }
+      }
+    }
+    return records;
+  }
+
+  /**
+   * Buffered records, newest first.
+   * @param {{since?:number, limit?:number, filter?:(rec:object) => boolean}} [opts]
+   */
+  function query({ since = 0, limit = Infinity, filter } = {}) {
+    const out = [];
+    for (let i = count - 1; i >= Math.max(0, count - ringSize) && out.length < limit; i--) {
+      const rec = ring[i % ringSize];
+      if (rec.time < since) break;
+      if (!filter || filter(rec)) out.push(rec);
+    }
+    return out;
+  }
+
+  /** Subscribe to new record batches. */
+  function onRecords(fn) {
+    listeners.push(fn);
+  }
+
+  /** Poll every intervalMs in the background (idempotent). */
+  function start(intervalMs = 2000) {
+    if (timer) return;
+    poll();
+    timer = setInterval(() => { try { poll(); } catch (e) { console.warn('[ACCESS_LOG] poll failed', e.message); } }, intervalMs);
+    timer.unref?.();
+  }
+
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  return {
+    file,
+    poll,
+    query,
+    onRecords,
+    start,
+    stop,
+    stats: () => ({ file, offset: state.offset, buffered: Math.min(count, ringSize), total: count, ringSize }),
+  };
+}
+
+export default { parseAccessLine, createAccessLogTailer };
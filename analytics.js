@@ -0,0 +1,227 @@
+'use strict';
+
+/**
+ * Traffic analytics:
+ * - GET /api/analytics?hours=24&top=10
+ *
+ * Two hourly series, kept for RETENTION_HOURS in analytics.json next to users.json:
+ * - destinations: access log records (utils.accessLog subscription) counted as user -> destination host ->
+ *   connections, plus connections per outbound tag
+ * - outbound traffic: Xray outbound counters (outbound>>>tag>>>traffic>>>uplink|downlink) sampled every
+ *   SAMPLE_MS; the deltas are added to the hour. Xray only keeps these counters with
+ *   policy.system.statsOutboundUplink/statsOutboundDownlink enabled (reported as outboundStatsEnabled).
+ * Psiphon share = bytes through the Psiphon outbound (utils.PSIPHON_OUTBOUND_TAG) / bytes through all outbounds.
+ *
+ * Destinations are bounded per hour (MAX_HOSTS_PER_USER_HOUR, MAX_HOSTS_PER_HOUR; the rest count under
+ * OTHER_HOST) and hours older than DETAIL_HOURS keep only their top COMPACT_HOSTS_PER_HOUR user/host pairs, so
+ * the file stays small over the retention period. It is rewritten only when something changed.
+ */
+import path from 'path';
+import storage from './storage.js';
+
+const SAMPLE_MS = 60000;
+const RETENTION_HOURS = 24 * 14;
+const MAX_HOSTS_PER_USER_HOUR = 200; // further hosts are counted under OTHER_HOST
+const MAX_HOSTS_PER_HOUR = 2000; // user/host pairs over all users
+const DETAIL_HOURS = 48;
+const COMPACT_HOSTS_PER_HOUR = 200;
+const OTHER_HOST = '(other)';
+const HOUR_MS = 3600000;
+
+function hourStart(ts) {
+  const d = new Date(ts);
+  d.setMinutes(0, 0, 0);
+  return d.getTime();
+}
+
+/**
+ * Fold an hour's destinations into its top COMPACT_HOSTS_PER_HOUR user/host pairs; the rest of each user's
+ * connections count under OTHER_HOST. Mutates h.
+ * @param {{dest:object}} h hour entry
+ */
+function compactHour(h) {
+  const pairs = [];
+  for (const [user, hosts] of Object.entries(h.dest)) {
+    for (const [host, n] of Object.entries(hosts)) if (host !== OTHER_HOST) pairs.push({ user, host, n });
+  }
+  for (const { user, host, n } of pairs.sort((a, b) => b.n - a.n).slice(COMPACT_HOSTS_PER_HOUR)) {
+    const hosts = h.dest[user];
+    delete hosts[host];
+    hosts[OTHER_HOST] = (hosts[OTHER_HOST] || 0) + n;
+  }
+  h.compacted = true;
+}
+
+/**
+ * Register the analytics route, subscribe to the access log and start sampling the outbound counters.
+ * @param {import('express').Express} app
+ * @param {*} utils
+ */
+function registerAnalyticsRoutes(app, utils) {
+  const { USERS_FILE, CONFIG_FILE, PSIPHON_OUTBOUND_TAG, accessLog, queryXrayStats, readJson } = utils;
+  const ANALYTICS_FILE = path.join(path.dirname(USERS_FILE), 'analytics.json');
+
+  // { hours: { [hourStartMs]: { dest: {user: {host: n}}, conns: {tag: n}, bytes: {tag: {up, down}}, compacted? } },
+  //   lastRaw: { tag: {up, down} } }
+  let data = { hours: {}, lastRaw: {} };
+  try { data = { hours: {}, lastRaw: {}, ...storage.readJsonFile(ANALYTICS_FILE) }; } catch {}
+  let dirty = false; // data differs from the file
+  const pairCounts = new Map(); // hourStartMs -> user/host pairs in dest (counted on first use)
+
+  function hourEntry(ts) {
+    const key = hourStart(ts);
+    return data.hours[key] || (data.hours[key] = { dest: {}, conns: {}, bytes: {} });
+  }
+
+  function hourPairs(key) {
+    if (!pairCounts.has(key)) pairCounts.set(key, Object.values(data.hours[key].dest).reduce((a, hosts) => a + Object.keys(hosts).length, 0));
+    return pairCounts.get(key);
+  }
+
+  function prune(now) {
+    const oldest = hourStart(now) - RETENTION_HOURS * HOUR_MS;
+    const detailFrom = hourStart(now) - DETAIL_HOURS * HOUR_MS;
+    for (const [key, h] of Object.entries(data.hours)) {
+      if (Number(key) < oldest) {
+        delete data.hours[key];
+        pairCounts.delete(Number(key));
+        dirty = true;
+      } else if (Number(key) < detailFrom && !h.compacted) {
+        compactHour(h);
+        pairCounts.delete(Number(key));
+        dirty = true;
+      }
+    }
+  }
+
+  accessLog.onRecords(records => {
+    for (const r of records) {
+      if (r.status !== 'accepted') continue;
+      const h = hourEntry(r.time);
+      dirty = true;
+      if (r.outbound) h.conns[r.outbound] = (h.conns[r.outbound] || 0) + 1;
+      if (!r.dest) continue;
+      const key = hourStart(r.time);
+      const hosts = h.dest[r.email || '(unknown)'] || (h.dest[r.email || '(unknown)'] = {});
+      const room = Object.keys(hosts).length < MAX_HOSTS_PER_USER_HOUR && hourPairs(key) < MAX_HOSTS_PER_HOUR;
+      const host = (r.dest in hosts || room) ? r.dest : OTHER_HOST;
+      if (!(host in hosts)) pairCounts.set(key, hourPairs(key) + 1);
+      hosts[host] = (hosts[host] || 0) + 1;
+    }
+  });
+
+  async function sample() {
+    const now = Date.now();
+    const stats = await queryXrayStats('outbound>>>').catch(() => []);
+    // API down or outbound stats disabled: keep lastRaw for the next sample, but still prune and save
+    // (connections and destinations come from the access log, not the stats API)
+    if (stats.length) foldOutboundStats(stats, now);
+    prune(now);
+    if (!dirty) return;
+    try {
+      storage.writeJsonFile(ANALYTICS_FILE, data);
+      dirty = false;
+    } catch (e) { console.warn('[ANALYTICS] save failed', e.message); }
+  }
+
+  function foldOutboundStats(stats, now) {
+    const first = !Object.keys(data.lastRaw).length;
+    const raw = {};
+    for (const s of stats) {
+      const m = /^outbound>>>(.+)>>>traffic>>>(uplink|downlink)$/.exec(s.name);
+      if (!m) continue;
+      raw[m[1]] = raw[m[1]] || { up: 0, down: 0 };
+      raw[m[1]][m[2] === 'uplink' ? 'up' : 'down'] = s.value;
+    }
+    const h = hourEntry(now);
+    for (const [tag, cur] of Object.entries(raw)) {
+      if (first) continue; // no baseline yet: the counters hold traffic from before the panel started
+      const last = data.lastRaw[tag] || { up: 0, down: 0 };
+      // Counters restart from zero with Xray
+      const up = cur.up >= last.up ? cur.up - last.up : cur.up;
+      const down = cur.down >= last.down ? cur.down - last.down : cur.down;
+      if (up || down) {
+        dirty = true;
+        const b = h.bytes[tag] || (h.bytes[tag] = { up: 0, down: 0 });
+        b.up += up;
+        b.down += down;
+      }
+    }
+    if (JSON.stringify(raw) !== JSON.stringify(data.lastRaw)) dirty = true;
+    data.lastRaw = raw;
+  }
+
+  accessLog.start();
+  setTimeout(() => sample().catch(() => {}), 1000).unref();
+  setInterval(() => sample().catch(e => console.warn('[ANALYTICS] sample failed', e.message)), SAMPLE_MS).unref();
+
+  /**
+   * GET /api/analytics?hours=24&top=10
+   * Per-outbound bytes and connections, Psiphon share per hour and top destinations (overall and per user)
+   * for the last `hours` (1-336).
+   */
+  app.get('/api/analytics', (req, res) => {
+    try {
+      const hours = Math.min(RETENTION_HOURS, Math.max(1, Number(req.query.hours) || 24));
+      const top = Math.min(100, Math.max(1, Number(req.query.top) || 10));
+      accessLog.poll();
+      const now = Date.now();
+      const from = hourStart(now) - (hours - 1) * HOUR_MS;
+
+      const outbounds = new Map(); // tag -> {up, down, connections}
+      const overall = new Map();
+      const perUser = new Map(); // user -> Map(host -> n)
+      const series = [];
+      for (let t = from; t <= now; t += HOUR_MS) {
+        const h = data.hours[t];
+        let total = 0, psiphon = 0;
+        for (const [tag, b] of Object.entries(h?.bytes || {})) {
+          const o = outbounds.get(tag) || { up: 0, down: 0, connections: 0 };
+          o.up += b.up; o.down += b.down;
+          outbounds.set(tag, o);
+          total += b.up + b.down;
+          if (tag === PSIPHON_OUTBOUND_TAG) psiphon += b.up + b.down;
+        }
+        for (const [tag, n] of Object.entries(h?.conns || {})) {
+          const o = outbounds.get(tag) || { up: 0, down: 0, connections: 0 };
+          o.connections += n;
+          outbounds.set(tag, o);
+        }
+        for (const [user, hosts] of Object.entries(h?.dest || {})) {
+          const mine = perUser.get(user) || new Map();
+          for (const [host, n] of Object.entries(hosts)) {
+            mine.set(host, (mine.get(host) || 0) + n);
+            overall.set(host, (overall.get(host) || 0) + n);
+          }
+          perUser.set(user, mine);
+        }
+        series.push({ ts: t, psiphon, total, share: total ? psiphon / total : null });
+      }
+      const topOf = m => [...m].sort((a, b) => b[1] - a[1]).slice(0, top).map(([host, connections]) => ({ host, connections }));
+      const totalBytes = series.reduce((a, p) => a + p.total, 0);
+      const psiphonBytes = series.reduce((a, p) => a + p.psiphon, 0);
+      let outboundStatsEnabled = false;
+      try {
+        const system = readJson(CONFIG_FILE).policy?.system || {};
+        outboundStatsEnabled = !!(system.statsOutboundUplink || system.statsOutboundDownlink);
+      } catch {}
+      res.json({
+        from,
+        to: now,
+        hours,
+        psiphonTag: PSIPHON_OUTBOUND_TAG,
+        outboundStatsEnabled,
+        outbounds: [...outbounds].map(([tag, o]) => ({ tag, ...o, total: o.up + o.down })).sort((a, b) => b.total - a.total || b.connections - a.connections),
+        psiphonShare: { share: totalBytes ? psiphonBytes / totalBytes : null, psiphonBytes, totalBytes, series },
+        topDestinations: {
+          overall: topOf(overall),
+          perUser: Object.fromEntries([...perUser].map(([user, m]) => [user, topOf(m)])),
+        },
+      });
+    } catch (e) {
+      res.status(500).json({ error: e.message });
+    }
+  });
+}
+
+export default { registerAnalyticsRoutes };
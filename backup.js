@@ -14,6 +14,7 @@ import path from 'path';
 import fs from 'fs';
 import os from 'os';
 import { spawn } from 'child_process';
+import userStore from './user-store.js';
 
 function registerBackupRoutes(app, utils) {
   const {
@@ -23,6 +24,7 @@ function registerBackupRoutes(app, utils) {
     BACKUP_DIR,
     readJson,
     writeJson,
+    writeXrayConfig,
     ensureDir,
     reloadXray,
   } = utils;
@@ -37,7 +39,7 @@ function registerBackupRoutes(app, utils) {
       ensureDir(BACKUP_DIR);
       const stamp = new Date().toISOString().replace(/[:.]/g, '-');
       const backup = {
-        users: readJson(USERS_FILE),
+        users: userStore.loadUsers(),
         domains: readJson(DOMAINS_FILE),
         config: readJson(CONFIG_FILE),
       };
@@ -215,9 +217,9 @@ function registerBackupRoutes(app, utils) {
     const { backupFile } = req.body;
     try {
       const backup = readJson(backupFile);
-      writeJson(USERS_FILE, backup.users);
+      userStore.saveUsers(backup.users);
       writeJson(DOMAINS_FILE, backup.domains);
-      writeJson(CONFIG_FILE, backup.config);
+      writeXrayConfig(backup.config, { actor: req.user, source: 'POST /api/restore', reason: `Restore ${path.basename(backupFile)}` });
       reloadXray();
       res.json({ restored: true });
     } catch (e) {
@@ -0,0 +1,179 @@
+'use strict';
+
+/**
+ * Xray config revision history:
+ * - GET  /api/config/revisions
+ * - GET  /api/config/revisions/:id
+ * - GET  /api/config/revisions/:from/diff/:to   (either side may be "current" = live config file)
+ * - POST /api/config/revisions/:id/rollback
+ *
+ * Every writer of the Xray config goes through utils.writeXrayConfig / saveXrayConfigChecked, which
+ * call recordRevision() with who/which endpoint/why. Revisions are stored as one JSON file each under
+ * config-history/ next to users.json (CONFIG_HISTORY_DIR overrides it), with a small index.json holding the
+ * metadata (newest last, capped at MAX_REVISIONS).
+ */
+import { existsSync, mkdirSync, unlinkSync } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import storage from './storage.js';
+
+// Same directory as users.json and the other runtime data (utils.js imports this module, so not via utils.USERS_FILE)
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const HISTORY_DIR = process.env.CONFIG_HISTORY_DIR || path.join(__dirname, 'config-history');
+const INDEX_FILE = path.join(HISTORY_DIR, 'index.json');
+const MAX_REVISIONS = 200;
+
+let _seq = 0;
+
+function loadIndex() {
+  try { return storage.readJsonFile(INDEX_FILE); } catch { return []; }
+}
+
+function revisionFile(id) {
+  return path.join(HISTORY_DIR, `${id}.json`);
+}
+
+/**
+ * Store a revision of the config being written.
+ * Identical consecutive configs are not stored twice. When the history is empty and a previous
+ * config is given, it is stored first as the baseline so the very first change can be rolled back.
+ * @param {any} config config being written
+ * @param {{actor?:string;source?:string;reason?:string}} meta
+ * @param {any} [previous] config currently on disk (baseline for an empty history)
+ * @returns {{id:string,time:string,actor:string,source:string,reason:string}|null} null if unchanged
+ */
+function recordRevision(config, meta = {}, previous) {
+  try {
+    if (!existsSync(HISTORY_DIR)) mkdirSync(HISTORY_DIR, { recursive: true });
+    const index = loadIndex();
+    const serialized = JSON.stringify(config);
+    const store = (cfg, m) => {
+      const time = new Date();
+      const id = `${time.getTime()}-${(_seq++ % 1000).toString().padStart(3, '0')}`;
+      const entry = { id, time: time.toISOString(), actor: m.actor || 'system', source: m.source || 'unknown', reason: m.reason || '' };
+      storage.writeJsonFile(revisionFile(id), { ...entry, config: cfg });
+      index.push(entry);
+      return entry;
+    };
+    if (!index.length && previous && JSON.stringify(previous) !== serialized) {
+      store(previous, { actor: 'system', source: 'baseline', reason: 'Config before first recorded change' });
+    }
+    const last = index[index.length - 1];
+    if (last) {
+      try { if (JSON.stringify(getRevision(last.id)?.config) === serialized) return null; } catch {}
+    }
+    const entry = store(config, meta);
+    while (index.length > MAX_REVISIONS) {
+      const old = index.shift();
+      try { unlinkSync(revisionFile(old.id)); } catch {}
+    }
+    storage.writeJsonFile(INDEX_FILE, index);
+    return entry;
+  } catch (e) {
+    // History must never block a config write
+    console.warn('[CONFIG_HISTORY] record failed', e.message);
+    return null;
+  }
+}
+
+/**
+ * List revision metadata, newest first.
+ * @returns {{id:string,time:string,actor:string,source:string,reason:string}[]}
+ */
+function listRevisions() {
+  return loadIndex().slice().reverse();
+}
+
+/**
+ * Load a revision including its config, or null if unknown.
+ * @param {string} id
+ */
+function getRevision(id) {
+  if (!/^[0-9]+-[0-9]+$/.test(String(id))) return null;
+  try { return storage.readJsonFile(revisionFile(id)); } catch { return null; }
+}
+
+/**
+ * Structural JSON diff (objects by key, arrays by index).
+ * @param {any} a
+ * @param {any} b
+ * @param {string} [base]
+ * @returns {{path:string;op:'add'|'remove'|'change';from?:any;to?:any}[]}
+ */
+function diffJson(a, b, base = '') {
+  const changes = [];
+  const isObj = v => v !== null && typeof v === 'object';
+  if (isObj(a) && isObj(b) && Array.isArray(a) === Array.isArray(b)) {
+    const keys = Array.isArray(a)
+      ? Array.from({ length: Math.max(a.length, b.length) }, (_, i) => i)
+      : [...new Set([...Object.keys(a), ...Object.keys(b)])];
+    for (const k of keys) {
+      const p = Array.isArray(a) ? `${base}[${k}]` : (base ? `${base}.${k}` : String(k));
+      if (!(k in a)) changes.push({ path: p, op: 'add', to: b[k] });
+      else if (!(k in b)) changes.push({ path: p, op: 'remove', from: a[k] });
+      else changes.push(...diffJson(a[k], b[k], p));
+    }
+    return changes;
+  }
+  if (JSON.stringify(a) !== JSON.stringify(b)) changes.push({ path: base || '$', op: 'change', from: a, to: b });
+  return changes;
+}
+
+/**
+ * @param {import('express').Express} app
+ * @param {*} utils
+ */
+function registerConfigHistoryRoutes(app, utils) {
+  const { CONFIG_FILE, readJson, saveXrayConfigChecked, restartXray, reloadXray } = utils;
+
+  // Resolve a diff side: a revision id or "current" (live config file)
+  function resolveConfig(id) {
+    if (id === 'current') return readJson(CONFIG_FILE);
+    return getRevision(id)?.config;
+  }
+
+  app.get('/api/config/revisions', (req, res) => {
+    try {
+      res.json(listRevisions());
+    } catch (e) {
+      res.status(500).json({ error: e.message });
+    }
+  });
+
+  app.get('/api/config/revisions/:id', (req, res) => {
+    const rev = getRevision(req.params.id);
+    if (!rev) return res.status(404).json({ error: 'Revision not found' });
+    res.json(rev);
+  });
+
+  app.get('/api/config/revisions/:from/diff/:to', (req, res) => {
+    try {
+      const a = resolveConfig(req.params.from);
+      const b = resolveConfig(req.params.to);
+      if (a === undefined || b === undefined) return res.status(404).json({ error: 'Revision not found' });
+      res.json({ from: req.params.from, to: req.params.to, changes: diffJson(a, b) });
+    } catch (e) {
+      res.status(500).json({ error: e.message });
+    }
+  });
+
+  /**
+   * POST /api/config/revisions/:id/rollback
+   * Re-applies a stored revision through the tested save path (recorded as a new revision), then restarts Xray.
+   * Response: { rolledBack, tested, warning? } (see POST /api/config)
+   */
+  app.post('/api/config/revisions/:id/rollback', async (req, res) => {
+    const rev = getRevision(req.params.id);
+    if (!rev) return res.status(404).json({ error: 'Revision not found' });
+    try {
+      const result = await saveXrayConfigChecked(rev.config, { actor: req.user, source: 'POST /api/config/revisions/:id/rollback', reason: `Rollback to ${rev.id}` });
+      if (typeof restartXray === 'function') restartXray(); else reloadXray();
+      res.json({ rolledBack: rev.id, ...result });
+    } catch (e) {
+      res.status(e.status || 500).json({ error: e.message, output: e.output });
+    }
+  });
+}
+
+export default { registerConfigHistoryRoutes, recordRevision, listRevisions, getRevision, diffJson, HISTORY_DIR };
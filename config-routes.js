@@ -1,4 +1,5 @@
 'use strict';
+import configValidator from './config-validator.js';
 
 /**
  * Config routes:
@@ -10,7 +11,7 @@
  * @param {*} utils
  */
 function registerConfigRoutes(app, utils) {
-  const { CONFIG_FILE, readJson, writeJson, reloadXray } = utils;
+  const { CONFIG_FILE, readJson, reloadXray, saveXrayConfigChecked } = utils;
 
   /**
    * GET /api/config
@@ -27,31 +28,40 @@ function registerConfigRoutes(app, utils) {
 
   /**
    * POST /api/config
-   * Overwrite the full config, then reload Xray.
+   * Test the config with `xray run -test` (temp file), atomically replace the live config, then reload Xray.
+   * A config the binary rejects is not saved: 422 { error, output } with the xray output.
+   * Response: { saved, tested, warning? }; tested is false (with a warning) when the xray binary is missing.
    * Body: config JSON object
    */
-  app.post('/api/config', (req, res) => {
+  app.post('/api/config', async (req, res) => {
     const config = req.body;
     try {
-      writeJson(CONFIG_FILE, config);
+      const result = await saveXrayConfigChecked(config, { actor: req.user, source: 'POST /api/config', reason: 'Config editor save' });
       reloadXray();
-      res.json({ saved: true });
+      res.json({ saved: true, ...result });
     } catch (e) {
-      res.status(500).json({ error: e.message });
+      res.status(e.status || 500).json({ saved: false, error: e.message, output: e.output });
     }
   });
 
   /**
    * POST /api/config/validate
-   * Validate incoming config JSON is well-formed (basic structural check).
+   * Structural validation of the Xray config (see config-validator.js).
+   * Response: { valid, errors: [{path, message}], warnings: [{path, message}] } — 400 when errors exist.
    */
   app.post('/api/config/validate', (req, res) => {
     const config = req.body;
     try {
-      JSON.stringify(config);
-      res.json({ valid: true });
+      const { errors, warnings } = configValidator.validateXrayConfig(config);
+      const valid = errors.length === 0;
+      res.status(valid ? 200 : 400).json({
+        valid,
+        error: valid ? undefined : `${errors.length} error(s): ${errors[0].path}: ${errors[0].message}`,
+        errors,
+        warnings,
+      });
     } catch (e) {
-      res.status(400).json({ valid: false, error: e.message });
+      res.status(400).json({ valid: false, error: e.message, errors: [], warnings: [] });
     }
   });
 }
@@ -0,0 +1,167 @@
+'use strict';
+
+/**
+ * Structural validation of an Xray config object (no xray binary involved).
+ * Checks:
+ * - inbounds/outbounds are arrays of objects with known protocols and unique tags
+ * - inbound ports (number, "from-to" range, comma list or env: reference)
+ * - protocol settings: vless/vmess client ids (UUID), trojan passwords, shadowsocks method/password
+ * - routing rules reference existing outbound / balancer tags, balancers select existing outbounds
+ *
+ * Every finding carries a JSON path (e.g. "inbounds[1].settings.clients[0].id") so the UI can point at it.
+ */
+
+const INBOUND_PROTOCOLS = ['vless', 'vmess', 'trojan', 'shadowsocks', 'dokodemo-door', 'tunnel', 'socks', 'http', 'wireguard', 'hysteria'];
+const OUTBOUND_PROTOCOLS = ['freedom', 'blackhole', 'dns', 'loopback', 'socks', 'http', 'vless', 'vmess', 'trojan', 'shadowsocks', 'wireguard', 'hysteria'];
+const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Check an inbound port value.
+ * @param {any} port
+ * @returns {string|null} error message or null when valid
+ */
+function checkPort(port) {
+  const inRange = n => Number.isInteger(n) && n >= 1 && n <= 65535;
+  if (typeof port === 'number') return inRange(port) ? null : `Port ${port} out of range 1-65535`;
+  if (typeof port !== 'string') return 'Port must be a number or string';
+  if (/^env:/.test(port)) return null;
+  for (const part of port.split(',').map(p => p.trim())) {
+    const m = /^(\d+)(?:-(\d+))?$/.exec(part);
+    if (!m) return `Invalid port '${part}'`;
+    const from = Number(m[1]);
+    const to = m[2] ? Number(m[2]) : from;
+    if (!inRange(from) || !inRange(to)) return `Port '${part}' out of range 1-65535`;
+    if (from > to) return `Port range '${part}' is reversed`;
+  }
+  return null;
+}
+
+/**
+ * Validate an Xray config object.
+ * @param {any} config
+ * @returns {{errors:{path:string;message:string}[], warnings:{path:string;message:string}[]}}
+ */
+function validateXrayConfig(config) {
+  const errors = [];
+  const warnings = [];
+  const err = (path, message) => errors.push({ path, message });
+  const warn = (path, message) => warnings.push({ path, message });
+
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    err('$', 'Config must be a JSON object');
+    return { errors, warnings };
+  }
+
+  // ---- Inbounds ----
+  const inboundTags = new Set();
+  if (config.inbounds !== undefined && !Array.isArray(config.inbounds)) err('inbounds', 'inbounds must be an array');
+  (Array.isArray(config.inbounds) ? config.inbounds : []).forEach((ib, i) => {
+    const p = `inbounds[${i}]`;
+    if (!ib || typeof ib !== 'object') return err(p, 'Inbound must be an object');
+    if (ib.tag) {
+      if (inboundTags.has(ib.tag)) err(`${p}.tag`, `Duplicate inbound tag '${ib.tag}'`);
+      inboundTags.add(ib.tag);
+    }
+    if (!INBOUND_PROTOCOLS.includes(ib.protocol)) err(`${p}.protocol`, `Unknown inbound protocol '${ib.protocol}'`);
+    if (ib.port === undefined) err(`${p}.port`, 'Port is required');
+    else {
+      const portError = checkPort(ib.port);
+      if (portError) err(`${p}.port`, portError);
+    }
+    const clients = ib.settings?.clients;
+    if (clients !== undefined && !Array.isArray(clients)) return err(`${p}.settings.clients`, 'clients must be an array');
+    // The panel still manages an untagged inbound's clients, but HandlerService can't address it
+    if (!ib.tag && clients && ['vless', 'vmess', 'trojan', 'shadowsocks'].includes(ib.protocol)) {
+      warn(`${p}.tag`, 'Inbound has no tag: user changes on it need an Xray restart');
+    }
+    if (ib.protocol === 'vless' || ib.protocol === 'vmess') {
+      if (ib.protocol === 'vless' && ib.settings?.decryption !== 'none') warn(`${p}.settings.decryption`, "VLESS inbounds normally set decryption to 'none'");
+      const ids = new Set();
+      const emails = new Set();
+      (clients || []).forEach((c, j) => {
+        const cp = `${p}.settings.clients[${j}]`;
+        if (!c || typeof c.id !== 'string' || !c.id) return err(`${cp}.id`, 'Client id is required');
+        // Xray maps non-UUID ids of 1-30 bytes to a UUIDv5; anything else is rejected at startup.
+        if (!UUID_RE.test(c.id)) {
+          if (c.id.length > 30) err(`${cp}.id`, `Client id '${c.id}' is not a valid UUID`);
+          else warn(`${cp}.id`, `Client id '${c.id}' is not a UUID (Xray will derive one from it)`);
+        }
+        if (ids.has(c.id)) err(`${cp}.id`, `Duplicate client id '${c.id}'`);
+        ids.add(c.id);
+        if (c.email) {
+          if (emails.has(c.email)) warn(`${cp}.email`, `Duplicate client email '${c.email}' (traffic stats will be merged)`);
+          emails.add(c.email);
+        }
+      });
+    }
+    if (ib.protocol === 'trojan') {
+      (clients || []).forEach((c, j) => {
+        if (!c || typeof c.password !== 'string' || !c.password) err(`${p}.settings.clients[${j}].password`, 'Trojan client password is required');
+      });
+    }
+    if (ib.protocol === 'shadowsocks') {
+      // Without settings.method every client has to carry its own (and there has to be at least one client)
+      const perClient = Array.isArray(clients) && clients.length > 0 && clients.every(c => c?.method);
+      if (!ib.settings?.method && !perClient) err(`${p}.settings.method`, 'Shadowsocks method is required');
+      if (!ib.settings?.password && !(clients || []).length) err(`${p}.settings.password`, 'Shadowsocks password (or clients) is required');
+    }
+  });
+
+  // ---- Outbounds ----
+  const outboundTags = new Set();
+  if (config.outbounds !== undefined && !Array.isArray(config.outbounds)) err('outbounds', 'outbounds must be an array');
+  const outbounds = Array.isArray(config.outbounds) ? config.outbounds : [];
+  if (!outbounds.length) warn('outbounds', 'No outbounds defined; Xray will not be able to route traffic');
+  outbounds.forEach((ob, i) => {
+    const p = `outbounds[${i}]`;
+    if (!ob || typeof ob !== 'object') return err(p, 'Outbound must be an object');
+    if (ob.tag) {
+      if (outboundTags.has(ob.tag)) err(`${p}.tag`, `Duplicate outbound tag '${ob.tag}'`);
+      outboundTags.add(ob.tag);
+    }
+    if (!OUTBOUND_PROTOCOLS.includes(ob.protocol)) err(`${p}.protocol`, `Unknown outbound protocol '${ob.protocol}'`);
+  });
+  for (const tag of inboundTags) {
+    if (outboundTags.has(tag)) warn('inbounds', `Tag '${tag}' is used by both an inbound and an outbound`);
+  }
+
+  // ---- Routing ----
+  const routing = config.routing;
+  if (routing !== undefined && (typeof routing !== 'object' || Array.isArray(routing))) err('routing', 'routing must be an object');
+  // The API handler (api.tag) is a valid routing target even though it is not listed in outbounds.
+  const routableTags = new Set([...outboundTags, ...(config.api?.tag ? [config.api.tag] : [])]);
+  const balancerTags = new Set();
+  const balancers = routing?.balancers;
+  if (balancers !== undefined && !Array.isArray(balancers)) err('routing.balancers', 'balancers must be an array');
+  (Array.isArray(balancers) ? balancers : []).forEach((b, i) => {
+    const p = `routing.balancers[${i}]`;
+    if (!b || !b.tag) return err(`${p}.tag`, 'Balancer tag is required');
+    if (balancerTags.has(b.tag)) err(`${p}.tag`, `Duplicate balancer tag '${b.tag}'`);
+    balancerTags.add(b.tag);
+    if (!Array.isArray(b.selector) || !b.selector.length) return err(`${p}.selector`, 'Balancer selector must be a non-empty array');
+    b.selector.forEach((prefix, j) => {
+      if (![...outboundTags].some(t => t.startsWith(prefix))) warn(`${p}.selector[${j}]`, `Selector '${prefix}' matches no outbound tag`);
+    });
+  });
+  const rules = routing?.rules;
+  if (rules !== undefined && !Array.isArray(rules)) err('routing.rules', 'rules must be an array');
+  (Array.isArray(rules) ? rules : []).forEach((r, i) => {
+    const p = `routing.rules[${i}]`;
+    if (!r || typeof r !== 'object') return err(p, 'Rule must be an object');
+    if (!r.outboundTag && !r.balancerTag) err(p, 'Rule needs an outboundTag or balancerTag');
+    if (r.outboundTag && r.balancerTag) warn(p, 'Rule has both outboundTag and balancerTag; outboundTag wins');
+    if (r.outboundTag && !routableTags.has(r.outboundTag)) err(`${p}.outboundTag`, `Outbound tag '${r.outboundTag}' does not exist`);
+    if (r.balancerTag && !balancerTags.has(r.balancerTag)) err(`${p}.balancerTag`, `Balancer '${r.balancerTag}' does not exist`);
+    const inTags = Array.isArray(r.inboundTag) ? r.inboundTag : (r.inboundTag ? [r.inboundTag] : []);
+    inTags.forEach((t, j) => {
+      if (!inboundTags.has(t)) warn(`${p}.inboundTag[${j}]`, `Inbound tag '${t}' does not exist`);
+    });
+    for (const key of ['domain', 'ip']) {
+      if (Array.isArray(r[key]) && r[key].length === 0) err(`${p}.${key}`, `Empty ${key} list never matches`);
+    }
+  });
+
+  return { errors, warnings };
+}
+
+export default { validateXrayConfig };
@@ -1,4 +1,151 @@
 'use strict';
+import express from 'express';
+
+// Rules generated from domains.json carry this ruleTag so the whole block can be replaced on
+// every compile without touching rules written by hand (or via /api/routing-rules).
+const MANAGED_RULE_TAG = 'managed-domains';
+
+/**
+ * Convert a domains.json entry into an Xray domain matcher.
+ * Wildcards (*.example.com) match the domain and its subdomains; plain entries match exactly;
+ * geosite: references are passed through.
+ * @param {{domain:string;wildcard?:boolean}} entry
+ * @returns {string}
+ */
+function toXrayDomain(entry) {
+  if (entry.domain.startsWith('geosite:')) return entry.domain;
+  const base = entry.domain.replace(/^\*\./, '');
+  const isWildcard = !!entry.wildcard || entry.domain.startsWith('*.');
+  return isWildcard ? `domain:${base}` : `full:${base}`;
+}
+
+// Shorthand targets accepted in domain entries besides raw outbound tags.
+const OUTBOUND_ALIASES = ['psiphon', 'direct', 'block'];
+
+/**
+ * Resolve a domain entry target to an outbound tag present in config.outbounds.
+ * Accepts any existing tag as-is, plus the aliases: psiphon (the Psiphon outbound tag),
+ * direct (first freedom outbound) and block (first blackhole outbound).
+ * @param {any} config Xray config object
+ * @param {string} target
+ * @param {string} psiphonTag
+ * @returns {string|null} tag, or null if nothing in the config matches
+ */
+function resolveOutboundTag(config, target, psiphonTag) {
+  const outbounds = Array.isArray(config.outbounds) ? config.outbounds.filter(o => o && o.tag) : [];
+  if (!target) return null;
+  if (outbounds.some(o => o.tag === target)) return target;
+  if (target === 'psiphon') return outbounds.some(o => o.tag === psiphonTag) ? psiphonTag : null;
+  if (target === 'direct') return outbounds.find(o => o.protocol === 'freedom')?.tag || null;
+  if (target === 'block') return outbounds.find(o => o.protocol === 'blackhole')?.tag || null;
+  return null;
+}
+
+/**
+ * Regenerate the managed domain rules inside config.routing.rules (one rule per target outbound).
+ * The block is re-inserted where the previous one started (appended on first compile);
+ * rules without the managed ruleTag are left untouched. Mutates config.
+ * @param {any} config Xray config object
+ * @param {{domain:string;enabled?:boolean;wildcard?:boolean;outbound?:string}[]} domains
+ * @param {{defaultTarget:string;psiphonTag:string}} opts defaultTarget is used for entries without outbound
+ * @returns {{changed:boolean, skipped:string[]}} skipped = enabled domains whose outbound no longer exists
+ */
+function compileDomainRules(config, domains, { defaultTarget, psiphonTag }) {
+  const rules = (config.routing && Array.isArray(config.routing.rules)) ? config.routing.rules : [];
+  const firstManaged = rules.findIndex(r => r && r.ruleTag === MANAGED_RULE_TAG);
+  const kept = rules.filter(r => !(r && r.ruleTag === MANAGED_RULE_TAG));
+
+  const byTag = new Map(); // outboundTag -> Set of matchers (insertion order = first use)
+  const skipped = [];
+  for (const d of domains) {
+    if (!d || d.enabled === false || !d.domain) continue;
+    const tag = resolveOutboundTag(config, d.outbound || defaultTarget, psiphonTag);
+    if (!tag) { skipped.push(d.domain); continue; }
+    if (!byTag.has(tag)) byTag.set(tag, new Set());
+    byTag.get(tag).add(toXrayDomain(d));
+  }
+  const managed = [...byTag].map(([outboundTag, matchers]) => (
+    { type: 'field', ruleTag: MANAGED_RULE_TAG, domain: [...matchers], outboundTag }
+  ));
+
+  const at = firstManaged === -1 ? kept.length : Math.min(firstManaged, kept.length);
+  const next = [...kept.slice(0, at), ...managed, ...kept.slice(at)];
+  if (JSON.stringify(next) === JSON.stringify(rules)) return { changed: false, skipped };
+  config.routing = { ...config.routing, rules: next };
+  return { changed: true, skipped };
+}
+
+/**
+ * Parse one import line into a domains.json-style entry.
+ * Understands example.com, *.example.com, Xray prefixes (domain:, full:) and geosite: lists.
+ * @param {string} raw
+ * @returns {{domain:string;wildcard:boolean}}
+ */
+function parseDomainLine(raw) {
+  let s = String(raw || '').trim().replace(/^https?:\/\//i, '').replace(/\/.*$/, '').toLowerCase();
+  if (s.startsWith('geosite:')) return { domain: s, wildcard: false };
+  if (s.startsWith('full:')) return { domain: s.slice(5), wildcard: false };
+  if (s.startsWith('domain:')) s = '*.' + s.slice(7);
+  return s.startsWith('*.') ? { domain: s, wildcard: true } : { domain: s, wildcard: false };
+}
+
+/**
+ * Split one CSV line into trimmed fields; double-quoted fields may hold commas and "" escapes.
+ * @param {string} line
+ * @returns {string[]}
+ */
+function splitCsvLine(line) {
+  const fields = [];
+  let cur = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const c = line[i];
+    if (quoted) {
+      if (c === '"' && line[i + 1] === '"') { cur += '"'; i++; }
+      else if (c === '"') quoted = false;
+      else cur += c;
+    } else if (c === '"' && !cur.trim()) {
+      quoted = true;
+      cur = '';
+    } else if (c === ',') {
+      fields.push(cur.trim());
+      cur = '';
+    } else {
+      cur += c;
+    }
+  }
+  fields.push(cur.trim());
+  return fields;
+}
+
+/**
+ * Split an import payload into candidate rows.
+ * - json: array of strings or {domain, enabled?, wildcard?, outbound?} objects (or { domains: [...] })
+ * - csv:  domain[,enabled[,wildcard[,outbound]]] with optional header row; fields may be double-quoted
+ * - txt:  one domain per line; blank lines and # comments are ignored
+ * @param {any} body
+ * @param {'txt'|'csv'|'json'} format
+ * @returns {{line:number;input:string;enabled?:boolean;wildcard?:boolean;outbound?:string}[]}
+ */
+function parseImportRows(body, format) {
+  const bool = v => (v === undefined || v === '') ? undefined : /^(1|true|yes|on)$/i.test(String(v).trim());
+  if (format === 'json') {
+    const list = Array.isArray(body) ? body : (Array.isArray(body?.domains) ? body.domains : []);
+    return list.map((item, i) => (typeof item === 'string')
+      ? { line: i + 1, input: item }
+      : { line: i + 1, input: String(item?.domain ?? ''), enabled: item?.enabled, wildcard: item?.wildcard, outbound: item?.outbound });
+  }
+  const rows = [];
+  String(body || '').split(/\r?\n/).forEach((text, i) => {
+    const line = text.replace(/#.*$/, '').trim();
+    if (!line) return;
+    if (format !== 'csv') { rows.push({ line: i + 1, input: line }); return; }
+    const [domain, enabled, wildcard, outbound] = splitCsvLine(line);
+    if (i === 0 && /^domain$/i.test(domain)) return; // header
+    rows.push({ line: i + 1, input: domain, enabled: bool(enabled), wildcard: bool(wildcard), outbound: outbound || undefined });
+  });
+  return rows;
+}
 
 /**
  * Domain management routes:
@@ -6,12 +153,19 @@
  * - POST   /api/domains
  * - DELETE /api/domains/:domain
  * - POST   /api/domains/:domain/toggle
+ * - POST   /api/domains/:domain/outbound
+ * - POST   /api/domains/apply
+ * - POST   /api/domains/import
+ * - GET    /api/domains/export
  *
  * Features:
  * - Enable/disable domains (soft toggle)
  * - Add/remove domains
  * - Support domain wildcards (e.g., *.aparat.com)
  * - Warn/block when a domain overlaps or conflicts with an existing (wildcard/exact) entry
+ * - Per-domain target outbound (psiphon, direct, block or any outbound tag in the config)
+ * - Bulk import (txt/csv/json, geosite: lines) with a per-line report, and export
+ * - Compile enabled domains into a managed block of Xray routing rules (hand-written rules are kept)
  *
  * @param {import('express').Express} app
  * @param {*} utils - shared utilities (see utils.js)
@@ -19,15 +173,53 @@
 function registerDomainRoutes(app, utils) {
   const {
     DOMAINS_FILE,
+    CONFIG_FILE,
+    PSIPHON_OUTBOUND_TAG,
     readJson,
     writeJson,
+    writeXrayConfig,
     validateDomain,
     findDomainConflict,
+    reloadXray,
+    restartXray,
   } = utils;
 
+  /**
+   * Validate an outbound target against the current config.
+   * @returns {string|null} error message, or null when the target resolves
+   */
+  function checkOutboundTarget(config, target) {
+    if (resolveOutboundTag(config, target, PSIPHON_OUTBOUND_TAG)) return null;
+    const tags = (config.outbounds || []).map(o => o && o.tag).filter(Boolean);
+    return `Unknown outbound '${target}' (expected ${[...OUTBOUND_ALIASES, ...tags.filter(t => !OUTBOUND_ALIASES.includes(t))].join(', ')})`;
+  }
+
+  /**
+   * Compile domains.json into the Xray config and restart Xray if the rules changed.
+   * @param {{actor?:string;source?:string;reason?:string}} [meta] revision info for the config write
+   * @returns {{changed:boolean, skipped:string[]}}
+   */
+  function applyDomainRules(meta = {}) {
+    const config = readJson(CONFIG_FILE);
+    const result = compileDomainRules(config, readJson(DOMAINS_FILE), { defaultTarget: 'psiphon', psiphonTag: PSIPHON_OUTBOUND_TAG });
+    if (result.skipped.length) console.warn('[DOMAINS] outbound missing for', result.skipped.join(', '));
+    if (result.changed) {
+      writeXrayConfig(config, { reason: 'Recompile managed domain rules', ...meta });
+      // Full restart required after routing changes (same as /api/routing-rules)
+      if (typeof restartXray === 'function') restartXray(); else reloadXray();
+    }
+    return result;
+  }
+
+  // Best-effort apply after a domains.json mutation; the list itself is already saved.
+  function tryApplyDomainRules(req) {
+    try { return applyDomainRules({ actor: req.user, source: `${req.method} ${req.route?.path || req.path}` }).changed; }
+    catch (e) { console.warn('[DOMAINS] apply failed', e.message); return false; }
+  }
+
   /**
    * GET /api/domains
-   * Returns all domains with flags (enabled, wildcard).
+   * Returns all domains with flags (enabled, wildcard) and target outbound.
    */
   app.get('/api/domains', (req, res) => {
     try {
@@ -40,17 +232,24 @@ function registerDomainRoutes(app, utils) {
 
   /**
    * POST /api/domains
-   * Body: { domain: string, wildcard?: boolean }
+   * Body: { domain: string, wildcard?: boolean, outbound?: string }
    * Adds a domain (supports wildcard). Blocks duplicates and overlaps with existing entries.
+   * outbound defaults to psiphon and must resolve against config.outbounds.
    */
   app.post('/api/domains', (req, res) => {
-    const { domain, wildcard } = req.body;
+    const { domain, wildcard, outbound = 'psiphon' } = req.body;
     if (!domain || !validateDomain(domain)) {
       return res.status(400).json({ error: 'Valid domain is required' });
     }
+    if (domain.startsWith('geosite:') && wildcard) {
+      return res.status(400).json({ error: 'geosite: lists cannot be wildcards' });
+    }
     try {
       let domains = readJson(DOMAINS_FILE);
 
+      const outboundError = checkOutboundTarget(readJson(CONFIG_FILE), outbound);
+      if (outboundError) return res.status(400).json({ error: outboundError });
+
       // Duplicate exact entry check
       if (domains.find(d => d.domain === domain && !!d.wildcard === !!wildcard)) {
         return res.status(400).json({ error: 'Domain already exists' });
@@ -61,9 +260,9 @@ function registerDomainRoutes(app, utils) {
         return res.status(400).json({ error: 'Domain conflict with existing entry' });
       }
 
-      domains.push({ domain, enabled: true, wildcard: !!wildcard });
+      domains.push({ domain, enabled: true, wildcard: !!wildcard, outbound });
       writeJson(DOMAINS_FILE, domains);
-      res.json({ added: domain });
+      res.json({ added: domain, rulesChanged: tryApplyDomainRules(req) });
     } catch (e) {
       res.status(500).json({ error: e.message });
     }
@@ -79,7 +278,7 @@ function registerDomainRoutes(app, utils) {
       let domains = readJson(DOMAINS_FILE);
       domains = domains.filter(d => d.domain !== domain);
       writeJson(DOMAINS_FILE, domains);
-      res.json({ removed: domain });
+      res.json({ removed: domain, rulesChanged: tryApplyDomainRules(req) });
     } catch (e) {
       res.status(500).json({ error: e.message });
     }
@@ -98,11 +297,137 @@ function registerDomainRoutes(app, utils) {
 
       domainObj.enabled = !domainObj.enabled;
       writeJson(DOMAINS_FILE, domains);
-      res.json({ toggled: domain, enabled: domainObj.enabled });
+      res.json({ toggled: domain, enabled: domainObj.enabled, rulesChanged: tryApplyDomainRules(req) });
+    } catch (e) {
+      res.status(500).json({ error: e.message });
+    }
+  });
+
+  /**
+   * POST /api/domains/:domain/outbound
+   * Body: { outbound: string }
+   * Changes the target outbound of a domain entry.
+   */
+  app.post('/api/domains/:domain/outbound', (req, res) => {
+    const { domain } = req.params;
+    const { outbound } = req.body || {};
+    try {
+      const outboundError = checkOutboundTarget(readJson(CONFIG_FILE), outbound);
+      if (outboundError) return res.status(400).json({ error: outboundError });
+      let domains = readJson(DOMAINS_FILE);
+      const domainObj = domains.find(d => d.domain === domain);
+      if (!domainObj) return res.status(404).json({ error: 'Domain not found' });
+
+      domainObj.outbound = outbound;
+      writeJson(DOMAINS_FILE, domains);
+      res.json({ domain, outbound, rulesChanged: tryApplyDomainRules(req) });
+    } catch (e) {
+      res.status(500).json({ error: e.message });
+    }
+  });
+
+  /**
+   * POST /api/domains/apply
+   * Body: { outboundTag?: string }
+   * Recompiles enabled domains into the managed routing rules block. When outboundTag is given,
+   * entries that have no outbound yet (older domains.json) are assigned to it first.
+   * Restarts Xray only when the rules changed.
+   */
+  app.post('/api/domains/apply', (req, res) => {
+    const { outboundTag } = req.body || {};
+    try {
+      if (outboundTag) {
+        const outboundError = checkOutboundTarget(readJson(CONFIG_FILE), outboundTag);
+        if (outboundError) return res.status(400).json({ error: outboundError });
+        const domains = readJson(DOMAINS_FILE);
+        const legacy = domains.filter(d => !d.outbound);
+        legacy.forEach(d => { d.outbound = outboundTag; });
+        if (legacy.length) writeJson(DOMAINS_FILE, domains);
+      }
+      const result = applyDomainRules({ actor: req.user, source: 'POST /api/domains/apply' });
+      res.json({ applied: true, ...result });
+    } catch (e) {
+      res.status(500).json({ error: e.message });
+    }
+  });
+
+  /**
+   * POST /api/domains/import?format=txt|csv|json&outbound=psiphon&dryRun=1
+   * Body: plain text / CSV (text/*) or JSON. Format is taken from the query, else guessed from
+   * the Content-Type. Every line goes through validateDomain and findDomainConflict (against the
+   * existing list and earlier lines of the same import); outbound is the default for lines without one.
+   * Response: { summary: {added, duplicate, conflict, invalid}, report: [{line, input, domain, status, reason?}] }
+   */
+  app.post('/api/domains/import', express.text({ type: ['text/*', 'application/csv'], limit: '5mb' }), (req, res) => {
+    const { outbound: defaultOutbound = 'psiphon', dryRun } = req.query;
+    const format = ['txt', 'csv', 'json'].includes(req.query.format)
+      ? req.query.format
+      : (typeof req.body === 'string' ? (req.is('text/csv') || req.is('application/csv') ? 'csv' : 'txt') : 'json');
+    try {
+      const config = readJson(CONFIG_FILE);
+      const domains = readJson(DOMAINS_FILE);
+      const report = [];
+      for (const row of parseImportRows(req.body, format)) {
+        const { domain, wildcard } = parseDomainLine(row.input);
+        const isWildcard = typeof row.wildcard === 'boolean' ? (row.wildcard || wildcard) : wildcard;
+        const entryDomain = isWildcard && !domain.startsWith('*.') ? `*.${domain}` : domain;
+        const outbound = row.outbound || defaultOutbound;
+        const outboundError = checkOutboundTarget(config, outbound);
+        const item = { line: row.line, input: row.input, domain: entryDomain };
+        if (domain.startsWith('geosite:') && isWildcard) {
+          report.push({ ...item, domain, status: 'invalid', reason: 'geosite: lists cannot be wildcards' });
+        } else if (!entryDomain || !validateDomain(entryDomain)) {
+          report.push({ ...item, status: 'invalid', reason: 'Invalid domain' });
+        } else if (outboundError) {
+          report.push({ ...item, status: 'invalid', reason: outboundError });
+        } else if (domains.find(d => d.domain === entryDomain && !!d.wildcard === isWildcard)) {
+          report.push({ ...item, status: 'duplicate' });
+        } else if (findDomainConflict(domains, entryDomain, isWildcard)) {
+          report.push({ ...item, status: 'conflict', reason: 'Overlaps an existing wildcard/exact entry' });
+        } else {
+          domains.push({ domain: entryDomain, enabled: row.enabled !== false, wildcard: isWildcard, outbound });
+          report.push({ ...item, status: 'added' });
+        }
+      }
+      const summary = { added: 0, duplicate: 0, conflict: 0, invalid: 0 };
+      for (const r of report) summary[r.status]++;
+      let rulesChanged = false;
+      if (summary.added && dryRun !== '1') {
+        writeJson(DOMAINS_FILE, domains);
+        rulesChanged = tryApplyDomainRules(req);
+      }
+      res.json({ format, dryRun: dryRun === '1', summary, rulesChanged, report });
+    } catch (e) {
+      res.status(500).json({ error: e.message });
+    }
+  });
+
+  /**
+   * GET /api/domains/export?format=txt|csv|json
+   * Downloads the domain list. txt holds enabled entries only (one per line, import-compatible);
+   * csv and json keep every field.
+   */
+  app.get('/api/domains/export', (req, res) => {
+    const format = ['txt', 'csv', 'json'].includes(req.query.format) ? req.query.format : 'json';
+    try {
+      const domains = readJson(DOMAINS_FILE);
+      let body;
+      if (format === 'txt') {
+        body = domains.filter(d => d.enabled !== false).map(d => (d.wildcard && !d.domain.startsWith('*.')) ? `*.${d.domain}` : d.domain).join('\n') + '\n';
+        res.type('text/plain');
+      } else if (format === 'csv') {
+        body = ['domain,enabled,wildcard,outbound', ...domains.map(d => [d.domain, d.enabled !== false, !!d.wildcard, d.outbound || ''].join(','))].join('\n') + '\n';
+        res.type('text/csv');
+      } else {
+        body = JSON.stringify(domains, null, 2);
+        res.type('application/json');
+      }
+      res.set('Content-Disposition', `attachment; filename="domains.${format}"`);
+      res.send(body);
     } catch (e) {
       res.status(500).json({ error: e.message });
     }
   });
 }
 
-export default { registerDomainRoutes };
\ No newline at end of file
+export default { registerDomainRoutes, compileDomainRules, resolveOutboundTag, parseDomainLine, parseImportRows, MANAGED_RULE_TAG };
\ No newline at end of file
@@ -0,0 +1,186 @@
+'use strict';
+
+/**
+ * Server endpoints: the addresses (domains, IPs, CDN fronts) the same inbounds are reachable at.
+ * - GET    /api/endpoints
+ * - POST   /api/endpoints
+ * - PUT    /api/endpoints/:id
+ * - DELETE /api/endpoints/:id
+ * - POST   /api/endpoints/:id/toggle
+ *
+ * Stored in endpoints.json next to users.json as [{id, label, host, port, sni, enabled}]; port and sni are
+ * optional (null/'' = the inbound's own port / the server name derived for the link, see protocols.js).
+ * With at least one enabled endpoint every user gets one share link per inbound and endpoint instead of a
+ * single link, so a user can switch when one address is filtered. In links from a full url template
+ * (settings.linkTemplates) the endpoint replaces the host:port after the scheme and the sni parameter.
+ *
+ * Modules that derive data from endpoints subscribe with onEndpointsChange(fn); listeners run after the file
+ * is written and receive (endpoints, {actor, source}).
+ */
+import net from 'net';
+import path from 'path';
+import storage from './storage.js';
+import utils from './utils.js';
+
+const ENDPOINTS_FILE = path.join(path.dirname(utils.USERS_FILE), 'endpoints.json');
+const MAX_LABEL_LENGTH = 64;
+
+const _listeners = [];
+
+/**
+ * @returns {{id:number, label:string, host:string, port:number|null, sni:string, enabled:boolean}[]}
+ */
+function loadEndpoints() {
+  try {
+    const list = storage.readJsonFile(ENDPOINTS_FILE);
+    return Array.isArray(list) ? list : [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Validate endpoint fields from a request body.
+ * @param {any} body
+ * @param {{partial?:boolean}} [opts] partial: only the fields present are checked (PUT)
+ * @returns {{fields?:object, error?:string}}
+ */
+function parseEndpoint(body, { partial = false } = {}) {
+  const b = body || {};
+  const fields = {};
+  if (!partial || 'host' in b) {
+    const host = typeof b.host === 'string' ? b.host.trim().replace(/^\[(.*)\]$/, '$1') : '';
+    if (!host || !(net.isIP(host) || /^([a-zA-Z0-9-]+\.)+[a-zA-Z0-9-]{2,}$/.test(host))) return { error: 'host must be a domain or IP address' };
+    fields.host = host;
+  }
+  if ('label' in b || !partial) {
+    const label = typeof b.label === 'string' ? b.label.trim() : '';
+    if (label.length > MAX_LABEL_LENGTH) return { error: `label must be at most ${MAX_LABEL_LENGTH} characters` };
+    if (label || !partial) fields.label = label || fields.host;
+  }
+  if ('port' in b) {
+    if (b.port === null || b.port === '') {
+      fields.port = null;
+    } else {
+      const port = Number(b.port);
+      if (!Number.isInteger(port) || port < 1 || port > 65535) return { error: 'port must be a port number' };
+      fields.port = port;
+    }
+  } else if (!partial) {
+    fields.port = null;
+  }
+  if ('sni' in b || !partial) {
+    if (b.sni !== undefined && b.sni !== null && typeof b.sni !== 'string') return { error: 'sni must be a string' };
+    fields.sni = (b.sni || '').trim();
+  }
+  if ('enabled' in b || !partial) {
+    if (b.enabled !== undefined && typeof b.enabled !== 'boolean') return { error: 'enabled must be true or false' };
+    fields.enabled = b.enabled !== false;
+  }
+  return { fields };
+}
+
+/**
+ * @param {(endpoints:object[], meta:{actor?:string, source?:string}) => any} fn
+ */
+function onEndpointsChange(fn) {
+  _listeners.push(fn);
+}
+
+/**
+ * @param {import('express').Express} app
+ */
+function registerEndpointRoutes(app) {
+  // Locked read-modify-write, then notify listeners. mutate returns the response body, or null for 404.
+  async function change(req, mutate) {
+    let result = null;
+    const next = await storage.updateJson(ENDPOINTS_FILE, list => { result = mutate(list); }, []);
+    if (result) {
+      for (const fn of _listeners) {
+        try { await fn(next, { actor: req.user, source: `${req.method} ${req.route?.path || req.path}` }); } catch (e) { console.warn('[ENDPOINTS] listener failed', e.message); }
+      }
+    }
+    return result;
+  }
+
+  app.get('/api/endpoints', (req, res) => {
+    try {
+      res.json(loadEndpoints());
+    } catch (e) {
+      res.status(500).json({ error: e.message });
+    }
+  });
+
+  /**
+   * POST /api/endpoints
+   * Body: { host: string, label?: string (default: host), port?: number|null, sni?: string, enabled?: boolean }
+   */
+  app.post('/api/endpoints', async (req, res) => {
+    const { fields, error } = parseEndpoint(req.body);
+    if (error) return res.status(400).json({ error });
+    try {
+      const added = await change(req, list => {
+        const id = list.reduce((m, e) => Math.max(m, Number(e.id) || 0), 0) + 1;
+        const endpoint = { id, label: fields.label, ...fields };
+        list.push(endpoint);
+        return endpoint;
+      });
+      res.json(added);
+    } catch (e) {
+      res.status(500).json({ error: e.message });
+    }
+  });
+
+  /**
+   * PUT /api/endpoints/:id
+   * Body: any of the POST fields
+   */
+  app.put('/api/endpoints/:id', async (req, res) => {
+    const { fields, error } = parseEndpoint(req.body, { partial: true });
+    if (error) return res.status(400).json({ error });
+    try {
+      const updated = await change(req, list => {
+        const endpoint = list.find(e => String(e.id) === req.params.id);
+        return endpoint ? Object.assign(endpoint, fields) : null;
+      });
+      if (!updated) return res.status(404).json({ error: 'Endpoint not found' });
+      res.json(updated);
+    } catch (e) {
+      res.status(500).json({ error: e.message });
+    }
+  });
+
+  app.delete('/api/endpoints/:id', async (req, res) => {
+    try {
+      const removed = await change(req, list => {
+        const i = list.findIndex(e => String(e.id) === req.params.id);
+        return i === -1 ? null : list.splice(i, 1)[0];
+      });
+      if (!removed) return res.status(404).json({ error: 'Endpoint not found' });
+      res.json({ removed: removed.id });
+    } catch (e) {
+      res.status(500).json({ error: e.message });
+    }
+  });
+
+  /**
+   * POST /api/endpoints/:id/toggle
+   * Flips the enabled flag (disabled endpoints get no links).
+   */
+  app.post('/api/endpoints/:id/toggle', async (req, res) => {
+    try {
+      const toggled = await change(req, list => {
+        const endpoint = list.find(e => String(e.id) === req.params.id);
+        if (!endpoint) return null;
+        endpoint.enabled = endpoint.enabled === false;
+        return endpoint;
+      });
+      if (!toggled) return res.status(404).json({ error: 'Endpoint not found' });
+      res.json({ toggled: toggled.id, enabled: toggled.enabled });
+    } catch (e) {
+      res.status(500).json({ error: e.message });
+    }
+  });
+}
+
+export default { ENDPOINTS_FILE, loadEndpoints, parseEndpoint, onEndpointsChange, registerEndpointRoutes };
@@ -1,5 +1,7 @@
 // --- DOM helpers & core element references ---
 const $ = sel => document.querySelector(sel);
+// HTML-escape for values interpolated into innerHTML templates (shared by every renderer below)
+const esc = v => String(v ?? '').replace(/[&<>"']/g, c => ({'&':'&amp;','<':'&lt;','>':'&gt;','"':'&quot;',"'":'&#39;'}[c]));
 // --- Auth & Confirm System Injection ---
 // Token helpers
 function getAuthToken() { return localStorage.getItem('vpn_token') || null; }
@@ -165,6 +167,7 @@ function initAppAfterAuth() {
   if (appInitialized) return;
   appInitialized = true;
   enterCreateMode();
+  loadInbounds();
   loadUsers();
   setInterval(loadUsers, POLL_INTERVAL_MS);
   refreshStatus();
@@ -200,9 +203,10 @@ function activateTab(tab, focusView = true) {
   const v = tab.getAttribute('data-view');
   views.forEach(el => el.style.display = (el.id === `view-${v}` ? 'block' : 'none'));
   if (focusView) {
-    if (v === 'status') { refreshStatus(); loadVersions(); }
-    if (v === 'routing') { loadRoutingRules(); loadPsiphonDomains(); }
-    if (v === 'config') { loadConfig(); }
+    if (v === 'status') { refreshStatus(); loadVersions(); loadSettings(); loadEndpoints(); loadAnalytics(); }
+    if (v === 'connections') loadConnections();
+    if (v === 'routing') { loadRoutingRules(); loadPsiphonDomains(); loadManagedDomains(); }
+    if (v === 'config') { loadConfig(); loadRevisions(); }
   }
   // Reposition indicator
   if (tabIndicator && tabIndicator.dataset.style !== '7') {
@@ -306,6 +310,7 @@ setPanelOpen(false);
     enable: '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1.8" stroke-linecap="round" stroke-linejoin="round"><polygon points="5 3 19 12 5 21 5 3"/></svg>',
   disable: '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1.8" stroke-linecap="round" stroke-linejoin="round"><circle cx="12" cy="12" r="10"/><line x1="10" y1="15" x2="10" y2="9"/><line x1="14" y1="15" x2="14" y2="9"/></svg>',
     reset: '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1.8" stroke-linecap="round" stroke-linejoin="round"><polyline points="1 4 1 10 7 10"/><polyline points="23 20 23 14 17 14"/><path d="M3.51 15a9 9 0 0 0 14.85 3.36L23 20"/><path d="M20.49 9a9 9 0 0 0-14.85-3.36L1 4"/></svg>',
+    download: '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1.8" stroke-linecap="round" stroke-linejoin="round"><path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"/><polyline points="7 10 12 15 17 10"/><line x1="12" y1="15" x2="12" y2="3"/></svg>',
     trash: '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1.8" stroke-linecap="round" stroke-linejoin="round"><path d="M3 6h18"/><path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6"/><path d="M8 6V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2"/><line x1="10" y1="11" x2="10" y2="17"/><line x1="14" y1="11" x2="14" y2="17"/></svg>',
     copy: '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1.8" stroke-linecap="round" stroke-linejoin="round"><rect x="9" y="9" width="13" height="13" rx="2" ry="2"/><path d="M5 15H4a2 2 0 0 1-2-2V4c0-1.1.9-2 2-2h9a2 2 0 0 1 2 2v1"/></svg>',
     qr: '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1.8" stroke-linecap="round" stroke-linejoin="round"><path d="M3 3h6v6H3z"/><path d="M15 3h6v6h-6z"/><path d="M3 15h6v6H3z"/><path d="M17 13v4h-4v-4h4z"/><path d="M13 17h-2"/><path d="M17 17h2v4h-4v-2"/></svg>'
@@ -392,10 +397,126 @@ setPanelOpen(false);
     let quotaDirty = false;
     let expiresDirty = false;
 
-    function resetDirty() { usernameDirty = false; passwordDirty = false; quotaDirty = false; expiresDirty = false; }
+    let cycleDirty = false;
+    let speedDirty = false;
+    let ipLimitDirty = false;
+    let inboundsDirty = false;
+    function resetDirty() { usernameDirty = false; passwordDirty = false; quotaDirty = false; expiresDirty = false; cycleDirty = false; speedDirty = false; ipLimitDirty = false; inboundsDirty = false; }
 
     // Form helpers
     $('#quota_unit').addEventListener('change', (e) => { $('#quota_value').disabled = e.target.value !== 'gb'; });
+    // Reset cycle: the number input is the weekday (weekly), day of month (monthly) or period length (every N days)
+    const RESET_CYCLE_ARG = {
+      weekly: { min: 0, max: 6, def: 1, placeholder: 'Weekday 0-6 (Sun=0)' },
+      monthly: { min: 1, max: 31, def: 1, placeholder: 'Day of month' },
+      days: { min: 1, max: 3650, def: 30, placeholder: 'Days' },
+    };
+    function syncResetCycleArg() {
+      const arg = RESET_CYCLE_ARG[$('#reset_cycle').value];
+      const input = $('#reset_cycle_arg');
+      input.disabled = !arg;
+      input.placeholder = arg ? arg.placeholder : '';
+      if (arg) { input.min = arg.min; input.max = arg.max; if (input.value === '') input.value = arg.def; } else input.value = '';
+    }
+    function setResetCycleInputs(cycle) {
+      $('#reset_cycle').value = cycle?.type || 'none';
+      $('#reset_cycle_arg').value = cycle ? (cycle.type === 'days' ? cycle.days : (cycle.day ?? '')) : '';
+      syncResetCycleArg();
+    }
+    // null when no cycle; the API validates the number
+    function computeResetCycle() {
+      const type = $('#reset_cycle').value;
+      if (type === 'none') return null;
+      const n = Number($('#reset_cycle_arg').value);
+      if (type === 'weekly' || type === 'monthly') return { type, day: n };
+      if (type === 'days') return { type, days: n };
+      return { type };
+    }
+    $('#reset_cycle').addEventListener('change', () => { $('#reset_cycle_arg').value = ''; syncResetCycleArg(); cycleDirty = true; });
+    $('#reset_cycle_arg').addEventListener('input', () => { cycleDirty = true; });
+    $('#speed_limit').addEventListener('input', () => { speedDirty = true; });
+    $('#ip_limit').addEventListener('input', () => { ipLimitDirty = true; });
+    async function loadUserIps(username) {
+      const hint = $('#ipLimitHint');
+      try {
+        const r = await fetch(`/api/users/${encodeURIComponent(username)}/ips`);
+        if (!r.ok) return;
+        const j = await r.json();
+        const mins = Math.round(j.windowMs / 60000);
+        const parts = [`${j.ips.length} IP${j.ips.length === 1 ? '' : 's'} in the last ${mins} min${j.ips.length ? ': ' + j.ips.map(x => x.ip).join(', ') : ''}`];
+        if (j.disabledUntil) parts.push(`disabled until ${new Date(j.disabledUntil).toLocaleString()}`);
+        hint.textContent = parts.join(' · ');
+      } catch {}
+    }
+    // Inbounds the user is attached to (GET /api/inbounds); null = the server default
+    let availableInbounds = [];
+    async function loadInbounds() {
+      try {
+        const r = await fetch('/api/inbounds');
+        if (!r.ok) return;
+        availableInbounds = await r.json();
+        const checked = new Set(selectedInbounds());
+        $('#userInbounds').innerHTML = availableInbounds.map(ib => `<label class="inbound-pick"><input type="checkbox" value="${esc(ib.tag)}"${checked.has(ib.tag) || (!checked.size && ib.isDefault) ? ' checked' : ''}> <span class="mono">${esc(ib.tag)}</span> <span class="subtle">${esc(ib.protocol)} · ${esc(ib.network)}${ib.security !== 'none' ? '+' + esc(ib.security) : ''} · ${esc(ib.port)}</span></label>`).join('')
+          || '<span class="subtle">No inbounds with managed clients in the Xray config</span>';
+        renderLinkTemplates();
+      } catch {}
+    }
+    function selectedInbounds() {
+      return [...document.querySelectorAll('#userInbounds input[type=checkbox]:checked')].map(el => el.value);
+    }
+    function setInboundInputs(tags) {
+      const set = new Set(tags || availableInbounds.filter(ib => ib.isDefault).map(ib => ib.tag));
+      for (const el of document.querySelectorAll('#userInbounds input[type=checkbox]')) el.checked = set.has(el.value);
+    }
+    function renderUserLinks(links) {
+      const list = $('#userLinks');
+      list.style.display = links && links.length ? '' : 'none';
+      list.innerHTML = (links || []).map((l, i) => `<li><div class="meta"><span><span class="mono">${esc(l.tag)}</span> <span class="subtle">${esc(l.protocol)}${l.endpoint ? ' · ' + esc(l.endpoint) : ''}</span></span><span class="mono subtle url-code">${esc(l.url)}</span></div>
+        <div class="vless-mini"><button type="button" class="icon-btn copy" data-link="${i}" data-link-action="copy" title="Copy link" aria-label="Copy link">${icon('copy')}</button><button type="button" class="icon-btn qr" data-link="${i}" data-link-action="qr" title="Show QR Code" aria-label="Show QR Code">${icon('qr')}</button></div></li>`).join('');
+      list.dataset.links = JSON.stringify(links || []);
+    }
+    // Subscription URL (GET /sub/:token on this origin) for client apps; the status page (/u/:token) shares the token
+    function renderSubscription(path) {
+      const url = path ? new URL(path, location.origin).href : '';
+      $('#userSubscription').style.display = url ? '' : 'none';
+      $('#subscriptionUrl').textContent = url;
+      $('#statusPageLink').href = path ? new URL(path.replace(/^\/sub\//, '/u/'), location.origin).href : '#';
+    }
+    for (const btn of document.querySelectorAll('#userSubscription .icon-btn')) btn.innerHTML = icon(btn.dataset.subAction);
+    $('#userSubscription').addEventListener('click', async (e) => {
+      const btn = e.target.closest('[data-sub-action]');
+      if (!btn) return;
+      const url = btn.dataset.subAction === 'copy-page' ? $('#statusPageLink').href : $('#subscriptionUrl').textContent;
+      if (btn.dataset.subAction === 'qr') { await openQrModal(url, `${$('#username').value} · subscription`); return; }
+      if (btn.dataset.subAction === 'rotate') {
+        if (!confirm('Issue a new subscription URL? The current one and the status page link stop working.')) return;
+        const r = await fetch(`/api/users/${encodeURIComponent($('#username').value)}/subscription/rotate`, { method: 'POST' });
+        const j = await r.json().catch(()=>({}));
+        if (!r.ok) { toast(j.error || 'Failed to rotate subscription'); return; }
+        renderSubscription(j.subscriptionPath);
+        toast('Subscription URL rotated');
+        loadUsers();
+        return;
+      }
+      try {
+        if (navigator.clipboard?.writeText) await navigator.clipboard.writeText(url);
+        else { const ta = document.createElement('textarea'); ta.value = url; document.body.appendChild(ta); ta.select(); document.execCommand('copy'); ta.remove(); }
+        toast(btn.dataset.subAction === 'copy-page' ? 'Status page URL copied' : 'Subscription URL copied');
+      } catch { toast('Copy failed'); }
+    });
+    $('#userInbounds').addEventListener('change', () => { inboundsDirty = true; });
+    $('#userLinks').addEventListener('click', async (e) => {
+      const btn = e.target.closest('[data-link-action]');
+      if (!btn) return;
+      const link = JSON.parse($('#userLinks').dataset.links || '[]')[Number(btn.dataset.link)];
+      if (!link) return;
+      if (btn.dataset.linkAction === 'qr') { await openQrModal(link.url, `${$('#username').value} · ${link.tag}${link.endpoint ? ' · ' + link.endpoint : ''}`); return; }
+      try {
+        if (navigator.clipboard?.writeText) await navigator.clipboard.writeText(link.url);
+        else { const ta = document.createElement('textarea'); ta.value = link.url; document.body.appendChild(ta); ta.select(); document.execCommand('copy'); ta.remove(); }
+        toast('URL copied');
+      } catch { toast('Copy failed'); }
+    });
     const clearFormOnly = () => {
       $('#user-form').reset?.();
   // UUID field removed
@@ -403,6 +524,11 @@ setPanelOpen(false);
       $('#quota_unit').value = 'unlimited';
       $('#quota_value').value = '';
       $('#quota_value').disabled = true;
+      $('#quota_mode').value = 'both';
+      setResetCycleInputs(null);
+      $('#speed_limit').value = '';
+      $('#ip_limit').value = '';
+      setInboundInputs(null);
       $('#expires_at').value = '';
   // removed length control for UUID generation
       $('#expiry-debug').style.display = 'none';
@@ -453,13 +579,94 @@ setPanelOpen(false);
       $('#quota_unit').value = 'unlimited';
       $('#quota_value').value = '';
       $('#quota_value').disabled = true;
+      $('#quota_mode').value = 'both';
+      setResetCycleInputs(null);
+      $('#speed_limit').value = '';
+      $('#ip_limit').value = '';
+      setInboundInputs(null);
+      renderUserLinks([]);
+      renderSubscription('');
       $('#expires_at').value = '';
   // removed length control for UUID generation
       $('#expiry-debug').style.display = 'none';
   $('#username').setAttribute('required', 'true');
+      usageHistoryUser = null;
+      $('#usage-history').style.display = 'none';
       resetDirty();
     }
 
+    // ---------- Per-user usage history chart ----------
+    let usageHistoryUser = null;
+    let usagePoints = [];
+    async function loadUsageHistory() {
+      if (!usageHistoryUser) return;
+      const range = Number(document.getElementById('usageRange').value);
+      const to = Date.now();
+      try {
+        const r = await fetch(`/api/users/${encodeURIComponent(usageHistoryUser)}/usage/history?from=${to - range}&to=${to}`);
+        const j = await r.json().catch(()=>({}));
+        if (!r.ok) { toast(j.error || 'Failed to load usage history'); return; }
+        usagePoints = j.points || [];
+        document.getElementById('usageTotals').textContent = `Total ↓ ${formatBytesAdaptive(j.totals?.down)} ↑ ${formatBytesAdaptive(j.totals?.up)} (${j.granularity} buckets)`;
+        drawUsageChart();
+      } catch {}
+      loadQuotaPeriods();
+    }
+    async function loadQuotaPeriods() {
+      const wrap = document.getElementById('quotaPeriodsWrap');
+      try {
+        const r = await fetch(`/api/users/${encodeURIComponent(usageHistoryUser)}/quota-periods`);
+        const j = await r.json().catch(()=>({}));
+        const periods = r.ok ? (j.periods || []) : [];
+        wrap.style.display = periods.length ? '' : 'none';
+        document.getElementById('quotaPeriods').innerHTML = periods.map(p => `<li><div class="meta">
+          <span class="mono">${esc(new Date(p.from).toLocaleDateString())} → ${esc(new Date(p.to).toLocaleDateString())}</span>
+          <span class="subtle">↓ ${formatBytesAdaptive(p.downBytes)} ↑ ${formatBytesAdaptive(p.upBytes)} · total ${formatBytesAdaptive(p.totalBytes)}</span>
+        </div><span class="subtle">${p.quota === -1 ? '∞' : esc(p.quota) + ' GB'}</span></li>`).join('');
+      } catch { wrap.style.display = 'none'; }
+    }
+    function drawUsageChart(hoverIdx = -1) {
+      const canvas = document.getElementById('usageChart');
+      if (!canvas) return;
+      const dpr = window.devicePixelRatio || 1;
+      const w = canvas.clientWidth, h = canvas.clientHeight;
+      canvas.width = w * dpr; canvas.height = h * dpr;
+      const ctx = canvas.getContext('2d');
+      ctx.scale(dpr, dpr);
+      ctx.clearRect(0, 0, w, h);
+      const pad = { l: 6, r: 6, t: 16, b: 6 };
+      const max = Math.max(1, ...usagePoints.map(p => p.up + p.down));
+      const n = usagePoints.length || 1;
+      const bw = (w - pad.l - pad.r) / n;
+      const scale = (h - pad.t - pad.b) / max;
+      usagePoints.forEach((p, i) => {
+        const x = pad.l + i * bw;
+        const hd = p.down * scale, hu = p.up * scale;
+        ctx.globalAlpha = hoverIdx === -1 || hoverIdx === i ? 1 : 0.55;
+        ctx.fillStyle = '#3b82f6';
+        ctx.fillRect(x, h - pad.b - hd, Math.max(1, bw - 1), hd);
+        ctx.fillStyle = '#22c55e';
+        ctx.fillRect(x, h - pad.b - hd - hu, Math.max(1, bw - 1), hu);
+      });
+      ctx.globalAlpha = 1;
+      ctx.fillStyle = '#94a3b8';
+      ctx.font = '11px system-ui, sans-serif';
+      ctx.fillText(`max ${formatBytesAdaptive(max)}`, pad.l + 2, 12);
+    }
+    document.getElementById('usageRange')?.addEventListener('change', loadUsageHistory);
+    document.getElementById('usageChart')?.addEventListener('mousemove', (e) => {
+      if (!usagePoints.length) return;
+      const rect = e.currentTarget.getBoundingClientRect();
+      const i = Math.min(usagePoints.length - 1, Math.max(0, Math.floor((e.clientX - rect.left - 6) / ((rect.width - 12) / usagePoints.length))));
+      const p = usagePoints[i];
+      document.getElementById('usageHover').textContent = `${new Date(p.ts).toLocaleString()} ↓ ${formatBytesAdaptive(p.down)} ↑ ${formatBytesAdaptive(p.up)}`;
+      drawUsageChart(i);
+    });
+    document.getElementById('usageChart')?.addEventListener('mouseleave', () => {
+      document.getElementById('usageHover').textContent = '';
+      drawUsageChart();
+    });
+
     async function enterEditMode(u) {
       panel.classList.remove('mode-create');
       panel.classList.add('mode-edit');
@@ -486,6 +693,20 @@ setPanelOpen(false);
         $('#quota_value').disabled = false;
         $('#quota_value').value = Number(u.quota).toString();
       }
+      $('#quota_mode').value = u.quotaMode || 'both';
+      setResetCycleInputs(u.resetCycle);
+      $('#speed_limit').value = u.speedLimitMbps ? String(u.speedLimitMbps) : '';
+      $('#speedLimitHint').textContent = u.effectiveSpeedLimitMbps && u.effectiveSpeedLimitMbps !== u.speedLimitMbps
+        ? `Effective limit: ${u.effectiveSpeedLimitMbps} Mbit/s (server-wide limit).`
+        : 'Applies to upload and download separately, per source IP the user connects from. The server-wide limit (Status tab) still caps it.';
+      $('#ip_limit').value = u.ipLimit ? String(u.ipLimit) : '';
+      loadUserIps(u.username);
+      setInboundInputs(u.inbounds);
+      renderUserLinks(u.links);
+      renderSubscription(u.subscriptionPath);
+      $('#resetCycleHint').textContent = u.nextQuotaReset
+        ? `Next reset: ${new Date(u.nextQuotaReset).toLocaleString()}`
+        : 'Usage resets automatically at each cycle boundary (server time); users disabled for quota are re-enabled.';
       // Expiry
       $('#expires_at').value = '';
       $('#expiry-debug').style.display = 'none';
@@ -500,10 +721,16 @@ setPanelOpen(false);
         $('#expires_at').value = tehranInput || '';
         showExpiryDebug(rawUtc, tehranInput);
       }
+
+      usageHistoryUser = u.username;
+      $('#usage-history').style.display = '';
+      usagePoints = [];
+      loadUsageHistory();
     }
 
     // Track field changes
     $('#quota_unit').addEventListener('change', () => { quotaDirty = true; });
+    $('#quota_mode').addEventListener('change', () => { quotaDirty = true; });
     $('#quota_value').addEventListener('input', () => { quotaDirty = true; });
     $('#expires_at').addEventListener('change', () => { expiresDirty = true; });
     // Reverse sync: when expiry picked manually, update Days Left field
@@ -673,9 +900,24 @@ setPanelOpen(false);
         const sp = j.psiphon === 'running' ? 'badge-success' : 'badge-danger';
         const xs = $('#xrayStatus'); xs.className = `badge ${sx}`; xs.textContent = j.xray;
         const ps = $('#psiphonStatus'); ps.className = `badge ${sp}`; ps.textContent = j.psiphon;
+        renderXrayHealth(j.xrayHealth);
       } catch {}
   // Active users feature removed.
     }
+    // Watchdog result after the last config change: only shown when something went wrong
+    function renderXrayHealth(h) {
+      const box = document.getElementById('xrayHealth');
+      if (!box) return;
+      if (!h || (h.state !== 'rolled-back' && h.state !== 'failed')) { box.style.display = 'none'; box.innerHTML = ''; return; }
+      const when = h.failedAt ? new Date(h.failedAt).toLocaleString() : '';
+      const title = h.state === 'rolled-back'
+        ? `<span class="badge badge-warning">rolled back</span> Xray failed after a config change (${esc(when)}); restored revision <span class="mono">${esc(h.rolledBackTo)}</span>.`
+        : `<span class="badge badge-danger">failed</span> ${esc(h.error)}`;
+      box.innerHTML = `<div style="margin-bottom:6px;">${title}</div>`
+        + (h.state === 'rolled-back' ? `<div class="subtle" style="margin-bottom:6px;">${esc(h.error)}</div>` : '')
+        + (h.output ? `<pre class="xray-output mono">${esc(h.output)}</pre>` : '');
+      box.style.display = 'block';
+    }
     async function loadVersions() {
       try {
         const r = await fetch('/api/version');
@@ -685,6 +927,195 @@ setPanelOpen(false);
         $('#psiphonVersion').textContent = j.psiphon || '';
       } catch {}
     }
+    async function loadSettings() {
+      try {
+        const r = await fetch('/api/settings');
+        if (!r.ok) return;
+        const j = await r.json();
+        $('#globalSpeedLimit').value = j.speedLimitMbps ? String(j.speedLimitMbps) : '';
+      } catch {}
+    }
+    document.getElementById('saveSettingsBtn')?.addEventListener('click', async () => {
+      const r = await fetch('/api/settings', {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ speedLimitMbps: Number($('#globalSpeedLimit').value || 0) })
+      });
+      const j = await r.json().catch(()=>({}));
+      toast(r.ok ? 'Settings saved' : (j.error || 'Failed to save settings'));
+      if (r.ok) loadUsers();
+    });
+    // Share link templates (settings.linkTemplates): one row of overrides per inbound, derived values as placeholders
+    // Fields for the security/network the link ends up with (the template's overrides, else the inbound's)
+    function linkTemplateFields(ib) {
+      const d = ib.linkDefaults || {};
+      const t = ib.linkTemplate || {};
+      const network = t.network || d.network;
+      const security = t.security || d.security;
+      const fields = ['address', 'port', 'security', 'network'];
+      if (['ws', 'httpupgrade', 'xhttp', 'splithttp'].includes(network)) fields.push('host', 'path');
+      if (network === 'grpc') fields.push('serviceName');
+      if (security === 'tls') fields.push('sni', 'alpn', 'fp');
+      if (security === 'reality') fields.push('sni', 'fp', 'pbk', 'sid', 'spx');
+      return fields;
+    }
+    function renderLinkTemplates() {
+      const box = $('#linkTemplates');
+      if (!box) return;
+      box.innerHTML = availableInbounds.map(ib => {
+        const d = ib.linkDefaults || {};
+        const t = ib.linkTemplate || {};
+        const inputs = linkTemplateFields(ib).map(f => `<label>${esc(f)}<div class="field"><input data-tpl="${esc(f)}" type="${f === 'port' ? 'number' : 'text'}" value="${esc(t[f])}" placeholder="${esc(d[f])}"></div></label>`).join('');
+        const insecure = (t.security || d.security) === 'tls' ? `<label class="inbound-pick"><input type="checkbox" data-tpl="allowInsecure"${(t.allowInsecure ?? d.allowInsecure) ? ' checked' : ''}> allowInsecure</label>` : '';
+        return `<fieldset data-tag="${esc(ib.tag)}"><legend><span class="mono">${esc(ib.tag)}</span> <span class="subtle">${esc(ib.protocol)} · ${esc(d.network)}${d.security !== 'none' ? '+' + esc(d.security) : ''}</span></legend>
+          <div class="link-template-fields">${inputs}</div>${insecure}
+          <label>Full link template<div class="field"><input data-tpl="url" type="text" value="${esc(t.url)}" placeholder="${esc(ib.protocol)}://{id}@cdn.example.com:443?...#{label}"></div></label></fieldset>`;
+      }).join('') || '<span class="subtle">No inbounds with managed clients in the Xray config</span>';
+    }
+    document.getElementById('saveLinkTemplatesBtn')?.addEventListener('click', async () => {
+      const linkTemplates = {};
+      for (const set of document.querySelectorAll('#linkTemplates fieldset[data-tag]')) {
+        const ib = availableInbounds.find(x => x.tag === set.dataset.tag);
+        const tpl = {};
+        for (const el of set.querySelectorAll('[data-tpl]')) {
+          const key = el.dataset.tpl;
+          if (el.type === 'checkbox') {
+            // Only stored when it differs from what the inbound implies
+            if (el.checked !== !!ib?.linkDefaults?.allowInsecure) tpl[key] = el.checked;
+          } else if (el.value.trim()) {
+            tpl[key] = key === 'port' ? Number(el.value) : el.value.trim();
+          }
+        }
+        linkTemplates[set.dataset.tag] = tpl;
+      }
+      const r = await fetch('/api/settings', {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ linkTemplates })
+      });
+      const j = await r.json().catch(()=>({}));
+      toast(r.ok ? 'Link templates saved' : (j.error || 'Failed to save link templates'));
+      if (r.ok) { await loadInbounds(); loadUsers(); }
+    });
+    // Server endpoints (GET /api/endpoints): one share link per enabled endpoint
+    async function loadEndpoints() {
+      try {
+        const r = await fetch('/api/endpoints');
+        if (!r.ok) return;
+        const list = await r.json();
+        $('#endpointsTable tbody').innerHTML = list.length
+          ? list.map(ep => `<tr><td>${esc(ep.label)}</td><td class="mono">${esc(ep.host)}</td><td>${ep.port ? esc(ep.port) : '<span class="subtle">inbound</span>'}</td><td class="mono">${ep.sni ? esc(ep.sni) : '<span class="subtle">derived</span>'}</td>
+            <td><label class="inbound-pick"><input type="checkbox" data-endpoint-toggle="${esc(ep.id)}"${ep.enabled !== false ? ' checked' : ''}></label></td>
+            <td><button class="btn btn-ghost btn-sm" data-endpoint-delete="${esc(ep.id)}">Delete</button></td></tr>`).join('')
+          : '<tr><td colspan="6" class="subtle">No endpoints: links use the inbound\'s derived address</td></tr>';
+      } catch {}
+    }
+    async function endpointRequest(url, options, okMessage) {
+      const r = await fetch(url, options);
+      const j = await r.json().catch(()=>({}));
+      toast(r.ok ? okMessage : (j.error || 'Endpoint update failed'));
+      if (r.ok) { loadEndpoints(); loadUsers(); }
+      return r.ok;
+    }
+    document.getElementById('addEndpointBtn')?.addEventListener('click', async () => {
+      const body = { label: $('#endpointLabel').value, host: $('#endpointHost').value, port: $('#endpointPort').value || null, sni: $('#endpointSni').value };
+      const ok = await endpointRequest('/api/endpoints', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) }, 'Endpoint added');
+      if (ok) for (const id of ['#endpointLabel', '#endpointHost', '#endpointPort', '#endpointSni']) $(id).value = '';
+    });
+    $('#endpointsTable')?.addEventListener('change', (e) => {
+      const id = e.target.dataset.endpointToggle;
+      if (id) endpointRequest(`/api/endpoints/${encodeURIComponent(id)}/toggle`, { method: 'POST' }, e.target.checked ? 'Endpoint enabled' : 'Endpoint disabled');
+    });
+    $('#endpointsTable')?.addEventListener('click', (e) => {
+      const id = e.target.closest('[data-endpoint-delete]')?.dataset.endpointDelete;
+      if (id && confirm('Delete this endpoint? Users lose its links.')) endpointRequest(`/api/endpoints/${encodeURIComponent(id)}`, { method: 'DELETE' }, 'Endpoint deleted');
+    });
+    // ---------- Traffic analytics ----------
+    let analyticsData = null;
+    async function loadAnalytics() {
+      const hours = $('#analyticsRange').value || '24';
+      try {
+        const r = await fetch(`/api/analytics?hours=${encodeURIComponent(hours)}&top=10`);
+        const j = await r.json().catch(()=>({}));
+        if (!r.ok) { toast(j.error || 'Failed to load analytics'); return; }
+        analyticsData = j;
+        renderAnalytics();
+      } catch {}
+    }
+    function renderAnalytics() {
+      const j = analyticsData;
+      if (!j) return;
+      const hint = $('#analyticsHint');
+      hint.style.display = j.outboundStatsEnabled ? 'none' : 'block';
+      hint.textContent = j.outboundStatsEnabled ? '' : 'Per-outbound byte counters are off: enable policy.system.statsOutboundUplink / statsOutboundDownlink in the Xray config. Connection counts still come from the access log.';
+
+      const share = j.psiphonShare || {};
+      $('#psiphonShare').textContent = share.share == null ? '–' : `${(share.share * 100).toFixed(1)}%`;
+      $('#psiphonShareDetail').textContent = share.totalBytes ? `${formatBytesAdaptive(share.psiphonBytes)} of ${formatBytesAdaptive(share.totalBytes)} via "${j.psiphonTag}"` : '';
+      $('#psiphonShareSeries').innerHTML = (share.series || []).map(p => {
+        const title = `${new Date(p.ts).toLocaleString()}: ${p.share == null ? 'no traffic' : (p.share * 100).toFixed(1) + '% of ' + formatBytesAdaptive(p.total)}`;
+        return p.share == null
+          ? `<div class="bar empty" title="${esc(title)}"></div>`
+          : `<div class="bar" style="height:${Math.max(2, Math.round(p.share * 100))}%;" title="${esc(title)}"></div>`;
+      }).join('');
+
+      const outbounds = j.outbounds || [];
+      $('#outboundStatsTable tbody').innerHTML = outbounds.length
+        ? outbounds.map(o => `<tr><td class="mono">${esc(o.tag)}</td><td>${formatBytesAdaptive(o.up)}</td><td>${formatBytesAdaptive(o.down)}</td><td>${formatBytesAdaptive(o.total)}</td><td>${o.connections}</td></tr>`).join('')
+        : '<tr><td colspan="5" class="subtle">No traffic recorded in this range</td></tr>';
+
+      const destList = items => items.length
+        ? items.map(d => `<li><span class="host mono">${esc(d.host)}</span><span class="subtle">${d.connections}</span></li>`).join('')
+        : '<li class="subtle">No connections</li>';
+      $('#topDestOverall').innerHTML = destList(j.topDestinations?.overall || []);
+      const perUser = j.topDestinations?.perUser || {};
+      const sel = $('#topDestUser');
+      const prev = sel.value;
+      const names = Object.keys(perUser).sort();
+      sel.innerHTML = names.map(n => `<option value="${esc(n)}">${esc(n)}</option>`).join('');
+      if (names.includes(prev)) sel.value = prev;
+      $('#topDestUserList').innerHTML = destList(perUser[sel.value] || []);
+    }
+    document.getElementById('analyticsRange')?.addEventListener('change', loadAnalytics);
+    document.getElementById('analyticsRefreshBtn')?.addEventListener('click', loadAnalytics);
+    document.getElementById('topDestUser')?.addEventListener('change', renderAnalytics);
+    // ---------- Connections (access log) ----------
+    const CONN_REFRESH_MS = 5000;
+    let connFilterTimer = null;
+    async function loadConnections() {
+      const params = new URLSearchParams({ limit: '300' });
+      for (const [key, id] of [['user', 'connUser'], ['outbound', 'connOutbound'], ['dest', 'connDest']]) {
+        const v = document.getElementById(id).value.trim();
+        if (v) params.set(key, v);
+      }
+      try {
+        const r = await fetch(`/api/connections?${params}`);
+        const j = await r.json().catch(()=>({}));
+        if (!r.ok) { toast(j.error || 'Failed to load connections'); return; }
+        const rows = j.connections || [];
+        document.querySelector('#connections-table tbody').innerHTML = rows.map(c => `<tr>
+          <td class="nowrap mono">${esc(new Date(c.time).toLocaleTimeString())}</td>
+          <td class="mono">${esc(c.user || '—')}</td>
+          <td class="mono">${esc(c.srcIp)}${c.srcPort ? ':' + c.srcPort : ''}</td>
+          <td class="mono conn-dest">${esc(c.dest || '')}${c.destPort ? ':' + c.destPort : ''}${c.network ? ` <span class="subtle">${esc(c.network)}</span>` : ''}</td>
+          <td>${c.outbound ? `<span class="badge">${esc(c.outbound)}</span>` : ''}${c.inbound ? ` <span class="subtle">via ${esc(c.inbound)}</span>` : ''}</td>
+          <td>${c.status === 'rejected' ? `<span class="badge badge-danger" title="${esc(c.reason)}">rejected</span>` : '<span class="badge badge-success">accepted</span>'}</td>
+        </tr>`).join('') || '<tr><td colspan="6" class="subtle">No connections in the access log buffer.</td></tr>';
+        document.getElementById('connSummary').textContent = `${rows.length} shown · ${j.buffered} buffered · ${new Date().toLocaleTimeString()}`;
+        // Suggestions for the filters from what is on screen
+        const fill = (id, values) => { document.getElementById(id).innerHTML = [...new Set(values.filter(Boolean))].sort().map(v => `<option value="${esc(v)}">`).join(''); };
+        fill('connUserList', [...Array.from(currentUsers.values()).map(u => u.username), ...rows.map(c => c.user)]);
+        fill('connOutboundList', rows.map(c => c.outbound));
+      } catch {}
+    }
+    ['connUser', 'connOutbound', 'connDest'].forEach(id => document.getElementById(id)?.addEventListener('input', () => {
+      clearTimeout(connFilterTimer);
+      connFilterTimer = setTimeout(loadConnections, 300);
+    }));
+    document.getElementById('connRefreshBtn')?.addEventListener('click', loadConnections);
+    setInterval(() => {
+      if (document.getElementById('view-connections')?.style.display === 'block' && document.getElementById('connAutoRefresh')?.checked && !document.hidden) loadConnections();
+    }, CONN_REFRESH_MS);
     document.getElementById('refreshStatusBtn')?.addEventListener('click', refreshStatus);
     document.getElementById('restartXray')?.addEventListener('click', async () => {
       if (!(await uiConfirm('Restart Xray service?'))) return;
@@ -879,9 +1310,108 @@ setPanelOpen(false);
       if (listEl) listEl.innerHTML = arr.slice(0,30).map(d=>`<option value="${d}"></option>`).join('');
     } catch {}
   }
+  // ---------- Domain list import / export ----------
+  async function importDomainFile(file) {
+    if (!file) return;
+    const ext = (file.name.split('.').pop() || '').toLowerCase();
+    const format = ext === 'csv' ? 'csv' : (ext === 'json' ? 'json' : 'txt');
+    const outbound = document.getElementById('domainImportOutbound')?.value || 'psiphon';
+    const types = { txt: 'text/plain', csv: 'text/csv', json: 'application/json' };
+    try {
+      const body = await file.text();
+      const r = await fetch(`/api/domains/import?format=${format}&outbound=${encodeURIComponent(outbound)}`, { method:'POST', headers:{'Content-Type': types[format]}, body });
+      const j = await r.json().catch(()=>({}));
+      if (!r.ok) { toast(j.error || 'Import failed'); return; }
+      renderImportReport(j);
+      toast(`Imported ${j.summary.added} domain(s)`);
+      loadPsiphonDomains();
+      loadDomainsCached();
+      loadManagedDomains();
+    } catch { toast('Import failed'); }
+  }
+  function renderImportReport(j) {
+    const el = document.getElementById('domainImportReport');
+    if (!el) return;
+    const badge = { added:'badge-success', duplicate:'badge-muted', conflict:'badge-warning', invalid:'badge-danger' };
+    const summary = Object.entries(j.summary || {}).map(([k,v]) => `<span class="badge ${badge[k]}">${k}: ${v}</span>`).join('');
+    // Only list lines that need attention; added lines are covered by the summary
+    const rows = (j.report || []).filter(x => x.status !== 'added')
+      .map(x => `<li><span class="subtle">#${x.line}</span><span class="mono">${esc(x.input)}</span><span class="badge ${badge[x.status]}">${x.status}</span><span class="subtle">${esc(x.reason || '')}</span></li>`).join('');
+    el.innerHTML = `<div class="summary">${summary}</div>${rows ? `<ul>${rows}</ul>` : ''}`;
+    el.style.display = 'block';
+  }
+  async function exportDomains(format) {
+    try {
+      const r = await fetch('/api/domains/export?format=' + format);
+      if (!r.ok) { toast('Export failed'); return; }
+      const blob = await r.blob();
+      const a = document.createElement('a');
+      a.href = URL.createObjectURL(blob);
+      a.download = 'domains.' + format;
+      a.click();
+      setTimeout(()=>URL.revokeObjectURL(a.href), 1000);
+    } catch { toast('Export failed'); }
+  }
+  const domainImportFile = document.getElementById('domainImportFile');
+  document.getElementById('domainImportBtn')?.addEventListener('click', () => domainImportFile?.click());
+  domainImportFile?.addEventListener('change', async () => {
+    const file = domainImportFile.files[0];
+    domainImportFile.value = '';
+    await importDomainFile(file);
+  });
+  document.getElementById('domainExportTxtBtn')?.addEventListener('click', () => exportDomains('txt'));
+  document.getElementById('domainExportCsvBtn')?.addEventListener('click', () => exportDomains('csv'));
+  document.getElementById('domainExportJsonBtn')?.addEventListener('click', () => exportDomains('json'));
+
   document.addEventListener('DOMContentLoaded', loadPsiphonDomains);
     document.getElementById('refreshPsiphonDomainsBtn')?.addEventListener('click', loadPsiphonDomains);
 
+    // ---------- Managed domains (domains.json) with per-domain target outbound ----------
+    const DOMAIN_OUTBOUND_ALIASES = ['psiphon', 'direct', 'block'];
+    async function loadManagedDomains() {
+      try {
+        const [dr, cr] = await Promise.all([fetch('/api/domains'), fetch('/api/config')]);
+        if (!dr.ok) return;
+        const domains = await dr.json();
+        const config = cr.ok ? await cr.json().catch(()=>({})) : {};
+        const tags = (config.outbounds || []).map(o => o && o.tag).filter(t => t && !DOMAIN_OUTBOUND_ALIASES.includes(t));
+        const targets = [...DOMAIN_OUTBOUND_ALIASES, ...tags];
+        const options = current => [...targets, ...(current && !targets.includes(current) ? [current] : [])]
+          .map(t => `<option value="${esc(t)}"${t === current ? ' selected' : ''}>${esc(t)}${targets.includes(t) ? '' : ' (missing)'}</option>`).join('');
+        const picked = $('#newDomainOutbound').value || 'psiphon';
+        $('#newDomainOutbound').innerHTML = options(picked);
+        $('#managedDomainsTable tbody').innerHTML = domains.length
+          ? domains.map(d => `<tr><td class="mono">${esc(d.wildcard && !d.domain.startsWith('*.') ? `*.${d.domain}` : d.domain)}</td>
+            <td><div class="field" style="width:160px;"><select data-domain-outbound="${esc(d.domain)}" aria-label="Target outbound">${options(d.outbound || 'psiphon')}</select></div></td>
+            <td><label class="inbound-pick"><input type="checkbox" data-domain-toggle="${esc(d.domain)}"${d.enabled !== false ? ' checked' : ''}></label></td>
+            <td><button class="btn btn-ghost btn-sm" data-domain-delete="${esc(d.domain)}">Delete</button></td></tr>`).join('')
+          : '<tr><td colspan="4" class="subtle">No managed domains</td></tr>';
+      } catch {}
+    }
+    async function domainRequest(url, options, okMessage) {
+      const r = await fetch(url, options);
+      const j = await r.json().catch(()=>({}));
+      toast(r.ok ? okMessage : (j.error || 'Domain update failed'));
+      loadManagedDomains();
+      if (r.ok) loadDomainsCached();
+      return r.ok;
+    }
+    document.getElementById('addDomainBtn')?.addEventListener('click', async () => {
+      const body = { domain: $('#newDomain').value.trim(), wildcard: $('#newDomainWildcard').checked, outbound: $('#newDomainOutbound').value || 'psiphon' };
+      if (!body.domain) return toast('Enter a domain');
+      const ok = await domainRequest('/api/domains', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) }, 'Domain added');
+      if (ok) { $('#newDomain').value = ''; $('#newDomainWildcard').checked = false; }
+    });
+    $('#managedDomainsTable')?.addEventListener('change', (e) => {
+      const { domainOutbound, domainToggle } = e.target.dataset;
+      if (domainOutbound) domainRequest(`/api/domains/${encodeURIComponent(domainOutbound)}/outbound`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ outbound: e.target.value }) }, `${domainOutbound} → ${e.target.value}`);
+      else if (domainToggle) domainRequest(`/api/domains/${encodeURIComponent(domainToggle)}/toggle`, { method: 'POST' }, e.target.checked ? 'Domain enabled' : 'Domain disabled');
+    });
+    $('#managedDomainsTable')?.addEventListener('click', async (e) => {
+      const domain = e.target.closest('[data-domain-delete]')?.dataset.domainDelete;
+      if (domain && await uiConfirm(`Remove ${domain}?`)) domainRequest(`/api/domains/${encodeURIComponent(domain)}`, { method: 'DELETE' }, 'Domain removed');
+    });
+
     // ---------- Config ----------
     async function loadConfig() {
       try {
@@ -889,15 +1419,55 @@ setPanelOpen(false);
         if (!r.ok) return;
         const j = await r.json();
         document.getElementById('configJson').value = JSON.stringify(j, null, 2);
+        renderConfigIssues(j, {});
       } catch {}
     }
+    // Line (0-based) of a validator path like "inbounds[1].settings.clients[0].id" inside JSON.stringify(cfg, null, 2).
+    // The value at the path is swapped for a sentinel in a copy, so the line matches the formatted editor text.
+    function findConfigPathLine(cfg, path) {
+      const keys = String(path || '').replace(/^\$\.?/, '').match(/[^.[\]]+/g) || [];
+      if (!keys.length) return 0;
+      const copy = JSON.parse(JSON.stringify(cfg));
+      let node = copy;
+      for (const k of keys.slice(0, -1)) {
+        if (node == null || typeof node !== 'object' || !(k in node)) return 0;
+        node = node[k];
+      }
+      if (node == null || typeof node !== 'object') return 0;
+      const SENTINEL = '__vpn_manager_issue__';
+      node[keys[keys.length - 1]] = SENTINEL;
+      const txt = JSON.stringify(copy, null, 2);
+      const at = txt.indexOf(SENTINEL);
+      return at === -1 ? 0 : txt.slice(0, at).split('\n').length - 1;
+    }
+    function highlightConfigLine(line) {
+      const ta = document.getElementById('configJson');
+      const lines = ta.value.split('\n');
+      const start = lines.slice(0, line).reduce((n, l) => n + l.length + 1, 0);
+      ta.focus();
+      ta.setSelectionRange(start, start + (lines[line] || '').length);
+      const lineHeight = parseFloat(getComputedStyle(ta).lineHeight) || 16;
+      ta.scrollTop = Math.max(0, line * lineHeight - ta.clientHeight / 3);
+    }
+    function renderConfigIssues(cfg, j) {
+      const el = document.getElementById('configValidation');
+      if (!el) return;
+      const items = [...(j.errors || []).map(x => ({ ...x, level:'error' })), ...(j.warnings || []).map(x => ({ ...x, level:'warning' }))];
+      if (!items.length) { el.style.display = 'none'; el.innerHTML = ''; return; }
+      el.innerHTML = '<ul>' + items.map((x, i) => `<li data-idx="${i}"><span class="badge ${x.level === 'error' ? 'badge-danger' : 'badge-warning'}">${x.level}</span><span class="mono path">${esc(x.path)}</span><span>${esc(x.message)}</span></li>`).join('') + '</ul>';
+      el.querySelectorAll('li').forEach(li => li.addEventListener('click', () => highlightConfigLine(findConfigPathLine(cfg, items[Number(li.dataset.idx)].path))));
+      el.style.display = 'block';
+    }
     async function validateConfig() {
       try {
-        const txt = document.getElementById('configJson').value;
-        const cfg = JSON.parse(txt);
+        const ta = document.getElementById('configJson');
+        const cfg = JSON.parse(ta.value);
+        // Normalize formatting so reported paths map onto editor lines
+        ta.value = JSON.stringify(cfg, null, 2);
         const r = await fetch('/api/config/validate', { method:'POST', headers:{'Content-Type':'application/json'}, body: JSON.stringify(cfg) });
         const j = await r.json().catch(()=>({}));
-        toast(j.valid ? 'Config valid' : (j.error || 'Invalid'));
+        renderConfigIssues(cfg, j);
+        toast(j.valid ? ((j.warnings || []).length ? `Config valid (${j.warnings.length} warning(s))` : 'Config valid') : (j.error || 'Invalid'));
       } catch { toast('Invalid JSON'); }
     }
     async function saveConfig() {
@@ -905,9 +1475,64 @@ setPanelOpen(false);
         const txt = document.getElementById('configJson').value;
         const cfg = JSON.parse(txt);
         const r = await fetch('/api/config', { method:'POST', headers:{'Content-Type':'application/json'}, body: JSON.stringify(cfg) });
-        toast(r.ok ? 'Config saved' : 'Save failed');
+        const j = await r.json().catch(()=>({}));
+        toast(r.ok ? (j.tested === false ? 'Config saved without xray -test' : 'Config saved') : (j.error || 'Save failed'));
+        if (r.ok) loadRevisions();
+        // Show the xray -test output when the binary rejected the config, or why the test was skipped
+        const el = document.getElementById('configValidation');
+        if (el && ((!r.ok && j.output) || (r.ok && j.warning))) {
+          const pre = document.createElement('pre');
+          pre.className = 'mono xray-output';
+          pre.textContent = r.ok ? j.warning : j.output;
+          el.innerHTML = '';
+          el.appendChild(pre);
+          el.style.display = 'block';
+        } else if (el && r.ok) { el.style.display = 'none'; el.innerHTML = ''; }
       } catch { toast('Invalid JSON'); }
     }
+    // ---------- Config history ----------
+    async function loadRevisions() {
+      try {
+        const r = await fetch('/api/config/revisions');
+        if (!r.ok) return;
+        const list = await r.json();
+        const label = rev => `${new Date(rev.time).toLocaleString()} · ${rev.source}`;
+        const options = '<option value="current">Current (live)</option>' + list.map(rev => `<option value="${rev.id}">${esc(label(rev))}</option>`).join('');
+        const fromSel = document.getElementById('diffFrom');
+        const toSel = document.getElementById('diffTo');
+        fromSel.innerHTML = options;
+        toSel.innerHTML = options;
+        if (list.length) fromSel.value = list[0].id;
+        const ul = document.getElementById('revisionList');
+        ul.innerHTML = list.length ? list.map(rev => `<li><div class="meta"><span>${esc(new Date(rev.time).toLocaleString())} · <span class="mono">${esc(rev.actor)}</span></span><span class="subtle mono">${esc(rev.source)}</span><span class="subtle reason">${esc(rev.reason)}</span></div><button class="btn btn-ghost btn-sm" data-rollback="${rev.id}">Rollback</button></li>`).join('')
+          : '<li class="subtle">No revisions recorded yet.</li>';
+      } catch {}
+    }
+    async function diffRevisions() {
+      const from = document.getElementById('diffFrom').value;
+      const to = document.getElementById('diffTo').value;
+      const out = document.getElementById('revisionDiff');
+      try {
+        const r = await fetch(`/api/config/revisions/${encodeURIComponent(from)}/diff/${encodeURIComponent(to)}`);
+        const j = await r.json().catch(()=>({}));
+        if (!r.ok) { toast(j.error || 'Diff failed'); return; }
+        const fmt = v => JSON.stringify(v);
+        out.textContent = j.changes.length ? j.changes.map(c => c.op === 'add' ? `+ ${c.path}: ${fmt(c.to)}` : c.op === 'remove' ? `- ${c.path}: ${fmt(c.from)}` : `~ ${c.path}: ${fmt(c.from)} → ${fmt(c.to)}`).join('\n') : 'No differences.';
+        out.style.display = 'block';
+      } catch { toast('Diff failed'); }
+    }
+    document.getElementById('loadRevisionsBtn')?.addEventListener('click', loadRevisions);
+    document.getElementById('diffRevisionsBtn')?.addEventListener('click', diffRevisions);
+    document.getElementById('revisionList')?.addEventListener('click', async (e) => {
+      const id = e.target.closest('button')?.dataset.rollback;
+      if (!id) return;
+      if (!(await uiConfirm('Roll back the Xray config to this revision and restart Xray?'))) return;
+      const r = await fetch(`/api/config/revisions/${encodeURIComponent(id)}/rollback`, { method: 'POST' });
+      const j = await r.json().catch(()=>({}));
+      toast(r.ok ? (j.tested === false ? 'Config rolled back without xray -test' : 'Config rolled back') : (j.error || 'Rollback failed'));
+      if (r.ok) { loadConfig(); loadRevisions(); }
+    });
+
     document.getElementById('loadConfigBtn')?.addEventListener('click', loadConfig);
     document.getElementById('validateConfigBtn')?.addEventListener('click', validateConfig);
     document.getElementById('saveConfigBtn')?.addEventListener('click', saveConfig);
@@ -935,8 +1560,22 @@ setPanelOpen(false);
             quota: u.quota, // GB or -1
             expiry: u.expiry, // raw UTC string
             usedB, usedBytesExact, remainingB, remainingDaysNum,
+            quotaMode: u.quotaMode || 'both',
+            resetCycle: u.resetCycle || null,
+            nextQuotaReset: u.nextQuotaReset || '',
+            disabledReason: u.disabledReason || '',
+            speedLimitMbps: u.speedLimitMbps || 0,
+            effectiveSpeedLimitMbps: u.effectiveSpeedLimitMbps || 0,
+            ipLimit: u.ipLimit || 0,
+            ipLimitUntil: u.ipLimitUntil || '',
+            upBytes: Number(u.uplinkBytes || 0),
+            downBytes: Number(u.downlinkBytes || 0),
             enabled: !!u.enabled,
             vlessUrl: u.vlessUrl,
+            links: u.links || [],
+            inbounds: u.inbounds || null,
+            shareUrl: u.links?.[0]?.url || u.vlessUrl || '',
+            subscriptionPath: u.subscriptionPath || '',
             maxConnections: u.maxConnections,
             approxConnections: u.approxConnections
           });
@@ -956,7 +1595,7 @@ setPanelOpen(false);
               const usedBytesExact = Number(u.bandwidthUsageBytes || 0);
               const remainingB = (u.remainingBandwidthRaw === -1 || u.remainingBandwidth === -1) ? -1 : Number(u.remainingBandwidthRaw ?? u.remainingBandwidth ?? 0);
               const remainingDaysNum = (u.daysLeft == null || u.daysLeft === '') ? Number.POSITIVE_INFINITY : Number(u.daysLeft);
-              next2.set(String(u.id), { id: u.id, username: u.username, name: u.displayName || '', uuid: u.uuid, quota: u.quota, expiry: u.expiry, usedB, usedBytesExact, remainingB, remainingDaysNum, enabled: !!u.enabled, vlessUrl: u.vlessUrl, maxConnections: u.maxConnections, approxConnections: u.approxConnections });
+              next2.set(String(u.id), { id: u.id, username: u.username, name: u.displayName || '', uuid: u.uuid, quota: u.quota, expiry: u.expiry, usedB, usedBytesExact, remainingB, remainingDaysNum, quotaMode: u.quotaMode || 'both', resetCycle: u.resetCycle || null, nextQuotaReset: u.nextQuotaReset || '', disabledReason: u.disabledReason || '', speedLimitMbps: u.speedLimitMbps || 0, effectiveSpeedLimitMbps: u.effectiveSpeedLimitMbps || 0, ipLimit: u.ipLimit || 0, ipLimitUntil: u.ipLimitUntil || '', upBytes: Number(u.uplinkBytes || 0), downBytes: Number(u.downlinkBytes || 0), enabled: !!u.enabled, vlessUrl: u.vlessUrl, links: u.links || [], inbounds: u.inbounds || null, shareUrl: u.links?.[0]?.url || u.vlessUrl || '', subscriptionPath: u.subscriptionPath || '', maxConnections: u.maxConnections, approxConnections: u.approxConnections });
             }
             currentUsers = next2;
             renderTable();
@@ -1012,16 +1651,18 @@ setPanelOpen(false);
           const pillClasses = ['status-pill', u.enabled ? 'enabled':'disabled', u.live ? 'online':'offline'];
           const statusLabelFull = u.enabled ? (u.live ? 'Online Enabled':'Offline Enabled') : (u.live ? 'Online Disabled':'Offline Disabled');
           const statusLabelShort = u.enabled ? (u.live ? 'On En':'Off En') : (u.live ? 'On Dis':'Off Dis');
+          const disabledWhy = { quota: 'quota used up', expired: 'expired', manual: 'disabled manually', 'ip-limit': `IP limit, until ${u.ipLimitUntil ? new Date(u.ipLimitUntil).toLocaleString() : '?'}` }[u.disabledReason];
+          const statusTitle = statusLabelFull + (!u.enabled && disabledWhy ? ` (${disabledWhy})` : '');
           const usedBytes = u.usedBytesExact || Math.round(u.usedB * 1073741824);
           tr.innerHTML = `
             <td class="nowrap" data-label="ID">${u.id}</td>
-            <td class="cell-status" data-label="Status"><span class="${pillClasses.join(' ')}" title="${statusLabelFull}"><span class="pulse"></span><span class="text"><span class="full">${statusLabelFull}</span><span class="short">${statusLabelShort}</span></span></span></td>
+            <td class="cell-status" data-label="Status"><span class="${pillClasses.join(' ')}" title="${statusTitle}"><span class="pulse"></span><span class="text"><span class="full">${statusLabelFull}</span><span class="short">${statusLabelShort}</span></span></span></td>
             <td class="cell-username" data-label="Username"><div class="mono">${u.username}</div></td>
             <td class="cell-name" data-label="Display Name"><div class="subtle">${u.name ?? ''}</div></td>
-            <td class="usage-cell cell-usage" data-label="Usage">${quotaUsageCell(u.usedB, u.remainingB, usedBytes)}</td>
+            <td class="usage-cell cell-usage" data-label="Usage">${quotaUsageCell(u.usedB, u.remainingB, usedBytes, u)}</td>
             <td class="cell-days" data-label="Days Left">${Number.isFinite(u.remainingDaysNum) ? expiryBadge(u.remainingDaysNum) : ''}</td>
-            <td class="cell-vless" data-label="VLESS">${u.vlessUrl ? `<div class=\"vless-mini\"><button class=\"icon-btn copy\" data-action=\"copy-url\" data-id=\"${u.id}\" title=\"Copy VLESS URL\" aria-label=\"Copy VLESS URL\">${icon('copy')}</button><button class=\"icon-btn qr\" data-action=\"qr-url\" data-id=\"${u.id}\" title=\"Show QR Code\" aria-label=\"Show QR Code\">${icon('qr')}</button></div>` : '<span class="subtle">No VLESS URL</span>'}</td>
-            <td class="cell-actions" data-label="Actions"><div class="table-actions"><div class="action-group" role="group" aria-label="User actions"><button data-action="edit" data-id="${u.id}" title="Edit user" aria-label="Edit user">${icon('edit')}</button><button data-action="${u.enabled ? 'disable':'enable'}" data-id="${u.id}" class="action-toggle" data-enabled="${u.enabled ? 'true':'false'}" title="${u.enabled ? 'Disable user':'Enable user'}" aria-label="${u.enabled ? 'Disable user':'Enable user'}">${u.enabled ? icon('disable') : icon('enable')}</button><button data-action="reset" data-id="${u.id}" title="Reset usage" aria-label="Reset usage">${icon('reset')}</button><button data-action="delete" data-id="${u.id}" class="action-danger" title="Delete user" aria-label="Delete user">${icon('trash')}</button></div></div></td>`;
+            <td class="cell-vless" data-label="Link">${u.shareUrl ? `<div class=\"vless-mini\"><button class=\"icon-btn copy\" data-action=\"copy-url\" data-id=\"${u.id}\" title=\"Copy share link${u.links.length > 1 ? ' (first of ' + u.links.length + ')' : ''}\" aria-label=\"Copy share link\">${icon('copy')}</button><button class=\"icon-btn qr\" data-action=\"qr-url\" data-id=\"${u.id}\" title=\"Show QR Code\" aria-label=\"Show QR Code\">${icon('qr')}</button></div>` : '<span class="subtle">No link</span>'}</td>
+            <td class="cell-actions" data-label="Actions"><div class="table-actions"><div class="action-group" role="group" aria-label="User actions"><button data-action="edit" data-id="${u.id}" title="Edit user" aria-label="Edit user">${icon('edit')}</button><button data-action="${u.enabled ? 'disable':'enable'}" data-id="${u.id}" class="action-toggle" data-enabled="${u.enabled ? 'true':'false'}" title="${u.enabled ? 'Disable user':'Enable user'}" aria-label="${u.enabled ? 'Disable user':'Enable user'}">${u.enabled ? icon('disable') : icon('enable')}</button><button data-action="reset" data-id="${u.id}" title="Reset usage" aria-label="Reset usage">${icon('reset')}</button><button data-action="client-config" data-id="${u.id}" title="Download client config" aria-label="Download client config">${icon('download')}</button><button data-action="delete" data-id="${u.id}" class="action-danger" title="Delete user" aria-label="Delete user">${icon('trash')}</button></div></div></td>`;
           frag.appendChild(tr);
         }
         tbody.innerHTML = '';
@@ -1053,7 +1694,7 @@ setPanelOpen(false);
         document.querySelectorAll('.action-group button').forEach(btn=>{
           if (!btn.querySelector('svg') && !btn.dataset.fallbackApplied){
             const action=btn.getAttribute('data-action');
-            const map={ edit:'E', enable:'On', disable:'Off', reset:'R', delete:'Del' };
+            const map={ edit:'E', enable:'On', disable:'Off', reset:'R', 'client-config':'Cfg', delete:'Del' };
             btn.insertAdjacentHTML('beforeend', `<span class="ico-fallback">${map[action]||'?'}<\/span>`);
             btn.dataset.fallbackApplied='1';
           }
@@ -1083,7 +1724,7 @@ setPanelOpen(false);
           const usageCell = row.querySelector('.cell-usage');
           if (usageCell) {
             const usedBytes = u.usedBytesExact || Math.round(u.usedB * 1073741824);
-            const htmlNew = quotaUsageCell(u.usedB, u.remainingB, usedBytes);
+            const htmlNew = quotaUsageCell(u.usedB, u.remainingB, usedBytes, u);
             if (usageCell.firstElementChild?.outerHTML !== htmlNew) usageCell.innerHTML = htmlNew;
           }
             // Days left
@@ -1119,12 +1760,18 @@ setPanelOpen(false);
     } // end renderTable
 
     // Helper: unified usage cell (bar + labels)
-    function quotaUsageCell(usedB, remainingB, usedBytesExact) {
+    function quotaUsageCell(usedB, remainingB, usedBytesExact, u) {
+      // Per-direction line; the mode note tells which side the bar/quota is counting
+      const modeNote = u?.quotaMode === 'down' ? ' (quota: down)' : u?.quotaMode === 'up' ? ' (quota: up)' : '';
+      const resetNote = u?.nextQuotaReset ? `<span title="Quota resets ${new Date(u.nextQuotaReset).toLocaleString()}"> · ↻ ${new Date(u.nextQuotaReset).toLocaleDateString()}</span>` : '';
+      const speedNote = u?.effectiveSpeedLimitMbps ? `<span title="Speed limit"> · ${u.effectiveSpeedLimitMbps} Mbit/s</span>` : '';
+      const split = u ? `<div class="usage-split subtle">↓ ${formatBytesAdaptive(u.downBytes || 0)} ↑ ${formatBytesAdaptive(u.upBytes || 0)}${modeNote}${resetNote}${speedNote}</div>` : '';
       if (remainingB === -1) {
         const usedBytes = (usedB || 0) * 1073741824;
         return `<div title="Unlimited quota">
           <div class="usage-bar"><div class="fill" style="width:0%"></div></div>
           <div class="usage-meta"><span>${formatBytesAdaptive(usedBytes)}</span><span>∞</span></div>
+          ${split}
         </div>`;
       }
       const totalGB = (usedB || 0) + (remainingB || 0);
@@ -1139,6 +1786,7 @@ setPanelOpen(false);
       return `<div title="Used ${formatBytesAdaptive(usedBytes)} of ${formatBytesAdaptive(totalBytes)} (${pct.toFixed(1)}%)">
         <div class="${cls}"><div class="fill" style="transform:scaleX(${pct/100});"></div></div>
         <div class="usage-meta"><span>${formatBytesAdaptive(usedBytes)}</span><span>${formatBytesAdaptive(totalBytes)}</span></div>
+        ${split}
       </div>`;
     }
 
@@ -1219,7 +1867,8 @@ setPanelOpen(false);
       });
     }
 
-    async function openQrModal(url, title) {
+    // links: optional [{url, tag, endpoint}] to switch between in the modal (url is the one shown first)
+    async function openQrModal(url, title, links) {
       if (!url) { toast('No URL to show'); return; }
       const ok = await ensureQRCodeLoaded();
       if (!ok || !window.QRCode) { toast('QR library failed to load'); return; }
@@ -1250,6 +1899,22 @@ setPanelOpen(false);
 
       const canvasWrap = document.createElement('div'); canvasWrap.className = 'qr-canvas'; canvasWrap.style.width = '260px'; canvasWrap.style.height = '260px';
       const urlText = document.createElement('div'); urlText.className = 'qr-url mono'; urlText.textContent = url;
+      let qr = null;
+      let picker = null;
+      if (Array.isArray(links) && links.length > 1) {
+        picker = document.createElement('select'); picker.className = 'qr-switch'; picker.setAttribute('aria-label', 'Link');
+        links.forEach((l, i) => {
+          const opt = document.createElement('option'); opt.value = String(i);
+          opt.textContent = [l.tag, l.endpoint].filter(Boolean).join(' · ') || `Link ${i + 1}`;
+          opt.selected = l.url === url;
+          picker.appendChild(opt);
+        });
+        picker.addEventListener('change', () => {
+          url = links[Number(picker.value)].url;
+          urlText.textContent = url;
+          try { qr?.makeCode(url); } catch (e) { console.error(e); toast('Failed to render QR'); }
+        });
+      }
 
       const actions = document.createElement('div'); actions.className = 'qr-actions';
       const copyBtn = document.createElement('button'); copyBtn.className = 'btn btn-sm'; copyBtn.textContent = 'Copy URL';
@@ -1267,13 +1932,43 @@ setPanelOpen(false);
       });
       actions.appendChild(copyBtn); actions.appendChild(saveBtn);
 
-      modal.appendChild(header); modal.appendChild(canvasWrap); modal.appendChild(urlText); modal.appendChild(actions);
+      modal.appendChild(header); if (picker) modal.appendChild(picker); modal.appendChild(canvasWrap); modal.appendChild(urlText); modal.appendChild(actions);
       backdrop.appendChild(modal); document.body.appendChild(backdrop);
 
-      try { const q = new QRCode(canvasWrap, { width: 240, height: 240, colorDark: '#000000', colorLight: '#ffffff' }); q.makeCode(url); }
+      try { qr = new QRCode(canvasWrap, { width: 240, height: 240, colorDark: '#000000', colorLight: '#ffffff' }); qr.makeCode(url); }
       catch (e) { console.error(e); toast('Failed to render QR'); }
     }
 
+    // Complete client profiles (GET /api/users/:username/client-config)
+    async function downloadClientConfig(username, format) {
+      try {
+        const r = await fetch(`/api/users/${encodeURIComponent(username)}/client-config?format=${format}`);
+        if (!r.ok) { const j = await r.json().catch(()=>({})); toast(j.error || 'Export failed'); return; }
+        const blob = await r.blob();
+        const a = document.createElement('a');
+        a.href = URL.createObjectURL(blob);
+        a.download = `${username}.${format === 'clash' ? 'yaml' : 'json'}`;
+        a.click();
+        setTimeout(()=>URL.revokeObjectURL(a.href), 1000);
+      } catch { toast('Export failed'); }
+    }
+    function openClientConfigModal(username) {
+      const backdrop = document.createElement('div');
+      backdrop.className = 'qr-backdrop';
+      backdrop.addEventListener('click', (e) => { if (e.target === backdrop) backdrop.remove(); });
+      const modal = document.createElement('div'); modal.className = 'qr-modal';
+      modal.innerHTML = `<div class="qr-header"><div class="qr-title"></div><button class="qr-close">Close</button></div>
+        <div class="subtle">Complete profile with DNS and routing (private and .ir destinations direct), for apps that import full configs.</div>
+        <div class="qr-actions"><button class="btn btn-sm" data-format="singbox">sing-box JSON</button><button class="btn btn-sm" data-format="clash">Clash Meta YAML</button></div>`;
+      modal.querySelector('.qr-title').textContent = `Client config · ${username}`;
+      modal.querySelector('.qr-close').addEventListener('click', () => backdrop.remove());
+      modal.querySelectorAll('[data-format]').forEach(btn => btn.addEventListener('click', async () => {
+        await downloadClientConfig(username, btn.dataset.format);
+        backdrop.remove();
+      }));
+      backdrop.appendChild(modal); document.body.appendChild(backdrop);
+    }
+
     // Table actions
     tbody.addEventListener('click', async (e) => {
       const btn = e.target.closest('button');
@@ -1288,7 +1983,7 @@ setPanelOpen(false);
 
         if (action === 'copy-url') {
           const u = currentUsers.get(String(id));
-          const url = u?.vlessUrl || btn.parentElement.querySelector('.url-code')?.textContent?.trim();
+          const url = u?.shareUrl || btn.parentElement.querySelector('.url-code')?.textContent?.trim();
           if (!url) return;
           try {
             if (navigator.clipboard?.writeText) await navigator.clipboard.writeText(url);
@@ -1300,8 +1995,8 @@ setPanelOpen(false);
 
         if (action === 'qr-url') {
           const u = currentUsers.get(String(id));
-          const url = u?.vlessUrl;
-          await openQrModal(url, u?.name || u?.username || 'vless');
+          const url = u?.shareUrl;
+          await openQrModal(url, u?.name || u?.username || 'link', u?.links);
           return;
         }
 
@@ -1320,7 +2015,7 @@ setPanelOpen(false);
         if (action === 'disable') {
           const resp = await fetch(`/api/users/${encodeURIComponent(usernameForApi)}/disable`, { method: 'POST' });
           if (!resp.ok) toast('Disable failed');
-          else { toast('User disabled'); await loadUsers(); }
+          else { toast('User disabled; connections already open stay up until they close'); await loadUsers(); }
           return;
         }
 
@@ -1334,6 +2029,11 @@ setPanelOpen(false);
           return;
         }
 
+        if (action === 'client-config') {
+          openClientConfigModal(usernameForApi);
+          return;
+        }
+
         if (action === 'reset') {
           if (!(await uiConfirm('Reset traffic counters?'))) return;
           const res = await fetch(`/api/users/${encodeURIComponent(usernameForApi)}/reset-quota`, { method: 'POST' });
@@ -1345,7 +2045,7 @@ setPanelOpen(false);
         if (action === 'delete') {
           if (!(await uiConfirm('Delete this user?'))) return;
           const res = await fetch(`/api/users/${encodeURIComponent(usernameForApi)}`, { method: 'DELETE' });
-          if (res.ok) { toast('User deleted'); await loadUsers(); }
+          if (res.ok) { toast('User deleted; connections already open stay up until they close'); await loadUsers(); }
           else toast('Delete failed');
           return;
         }
@@ -1378,6 +2078,14 @@ setPanelOpen(false);
           } else if (qb !== null) {
             payload.quota = qb / (1024*1024*1024);
           }
+          payload.quotaMode = $('#quota_mode').value;
+          const resetCycle = computeResetCycle();
+          if (resetCycle) payload.resetCycle = resetCycle;
+          const speed = Number($('#speed_limit').value || 0);
+          if (speed > 0) payload.speedLimitMbps = speed;
+          const ipLimitVal = Number($('#ip_limit').value || 0);
+          if (ipLimitVal > 0) payload.ipLimit = ipLimitVal;
+          if (inboundsDirty) payload.inbounds = selectedInbounds();
           const utcSql = computeExpiresAt();
           if (utcSql) payload.expiry = utcSql;
           const res = await fetch('/api/users', {
@@ -1413,7 +2121,12 @@ setPanelOpen(false);
           } else if (qb !== null) {
             payload.quota = qb / (1024*1024*1024);
           }
+          payload.quotaMode = $('#quota_mode').value;
         }
+        if (cycleDirty) payload.resetCycle = computeResetCycle() || 'none';
+        if (speedDirty) payload.speedLimitMbps = Number($('#speed_limit').value || 0);
+        if (ipLimitDirty) payload.ipLimit = Number($('#ip_limit').value || 0);
+        if (inboundsDirty) payload.inbounds = selectedInbounds();
         let extendedToFuture = false;
         if (expiresDirty) {
           const rawInput = $('#expires_at').value.trim();
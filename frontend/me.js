@@ -0,0 +1,114 @@
+// Self-service status page (me.html), served at /u/:token; data from /u/:token/info
+(function () {
+  const $ = sel => document.querySelector(sel);
+  const esc = v => String(v ?? '').replace(/[&<>"]/g, c => ({'&':'&amp;','<':'&lt;','>':'&gt;','"':'&quot;'}[c]));
+  const base = location.pathname.replace(/\/+$/, '');
+  const token = base.split('/').pop();
+  let links = [];
+
+  function formatBytesAdaptive(bytes) {
+    if (bytes == null || isNaN(bytes)) return '0 B';
+    const B = Number(bytes);
+    const KB = 1024;
+    const MB = KB * 1024;
+    const GB = MB * 1024;
+    if (B >= GB) return (B / GB).toFixed(2) + ' GB';
+    if (B >= MB) return (B / MB).toFixed(2) + ' MB';
+    if (B >= KB) return (B / KB).toFixed(2) + ' KB';
+    return B + ' B';
+  }
+
+  function ensureQRCodeLoaded() {
+    if (window.QRCode) return Promise.resolve(true);
+    return new Promise(resolve => {
+      const s = document.createElement('script');
+      s.src = 'https://cdnjs.cloudflare.com/ajax/libs/qrcodejs/1.0.0/qrcode.min.js';
+      s.referrerPolicy = 'no-referrer';
+      s.onload = () => resolve(true);
+      s.onerror = () => resolve(false);
+      document.head.appendChild(s);
+    });
+  }
+
+  // Show/hide a QR code for url inside box
+  async function toggleQr(box, url) {
+    if (box.style.display !== 'none') { box.style.display = 'none'; return; }
+    if (!(await ensureQRCodeLoaded()) || !window.QRCode) { box.textContent = 'QR code unavailable'; box.style.display = ''; return; }
+    box.innerHTML = '';
+    box.style.display = '';
+    new QRCode(box, { text: url, width: 220, height: 220, colorDark: '#000000', colorLight: '#ffffff' });
+  }
+
+  async function copy(text, btn) {
+    try {
+      if (navigator.clipboard?.writeText) await navigator.clipboard.writeText(text);
+      else { const ta = document.createElement('textarea'); ta.value = text; document.body.appendChild(ta); ta.select(); document.execCommand('copy'); ta.remove(); }
+      const label = btn.textContent;
+      btn.textContent = 'Copied';
+      setTimeout(() => { btn.textContent = label; }, 1200);
+    } catch {}
+  }
+
+  const STATES = {
+    expired: ['Expired', 'badge-danger'],
+    quota: ['Quota used up', 'badge-danger'],
+    'ip-limit': ['Paused: too many devices', 'badge-warning'],
+    disabled: ['Disabled', 'badge-muted'],
+  };
+  const QUOTA_MODES = { both: 'Upload and download count', down: 'Only download counts', up: 'Only upload counts' };
+
+  function render(j) {
+    document.title = `${j.name} · My VPN`;
+    $('#meName').textContent = j.name;
+    const [stateText, stateClass] = j.enabled ? ['Active', 'badge-success'] : (STATES[j.disabledReason] || STATES.disabled);
+    $('#meState').textContent = stateText;
+    $('#meState').className = `badge ${stateClass}`;
+
+    const usedBytes = j.usedGB * 1073741824;
+    $('#meUsed').textContent = `${formatBytesAdaptive(usedBytes)} used`;
+    $('#meQuotaMode').textContent = QUOTA_MODES[j.quotaMode] || '';
+    const bar = $('#meUsageBar');
+    if (j.quotaGB === -1) {
+      $('#meTotal').textContent = 'Unlimited';
+      $('#meRemaining').textContent = 'Unlimited';
+    } else {
+      const totalBytes = j.quotaGB * 1073741824;
+      const ratio = totalBytes > 0 ? Math.min(1, usedBytes / totalBytes) : 1;
+      bar.querySelector('.fill').style.transform = `scaleX(${ratio})`;
+      bar.className = `usage-bar${ratio >= 0.9 ? ' danger' : ratio >= 0.75 ? ' warn' : ''}`;
+      $('#meTotal').textContent = formatBytesAdaptive(totalBytes);
+      $('#meRemaining').textContent = formatBytesAdaptive(Math.max(0, j.remainingGB) * 1073741824);
+    }
+    $('#meSplit').textContent = `${formatBytesAdaptive(j.uplinkBytes)} / ${formatBytesAdaptive(j.downlinkBytes)}`;
+    // users.json keeps "YYYY-MM-DD HH:MM:SS"; the T form parses everywhere
+    $('#meExpiry').textContent = j.expiry ? new Date(String(j.expiry).replace(' ', 'T')).toLocaleString() : 'Never';
+    $('#meDaysLeft').textContent = j.daysLeft === -1 ? '∞' : String(j.daysLeft);
+    $('#meReset').textContent = j.nextQuotaReset ? `Usage resets on ${new Date(j.nextQuotaReset).toLocaleString()}` : '';
+
+    $('#meSubUrl').textContent = new URL(`../sub/${encodeURIComponent(token)}`, location.href).href;
+    links = j.links || [];
+    $('#meLinks').innerHTML = links.length
+      ? links.map((l, i) => `<li><div class="meta"><span><span class="mono">${esc(l.tag)}</span> <span class="subtle">${esc(l.protocol)}${l.endpoint ? ' · ' + esc(l.endpoint) : ''}</span></span><span class="mono subtle url-code">${esc(l.url)}</span><div class="qr-canvas me-qr" data-qr-box="${i}" style="display:none;"></div></div>
+        <div class="inline"><button type="button" class="btn btn-sm" data-copy="${i}">Copy</button><button type="button" class="btn btn-ghost btn-sm" data-qr="${i}">QR</button></div></li>`).join('')
+      : '<li class="subtle">No links</li>';
+    $('#meContent').style.display = '';
+  }
+
+  document.addEventListener('click', (e) => {
+    const btn = e.target.closest('[data-copy],[data-qr]');
+    if (!btn) return;
+    const key = btn.dataset.copy ?? btn.dataset.qr;
+    const url = key === 'sub' ? $('#meSubUrl').textContent : links[Number(key)]?.url;
+    if (!url) return;
+    if ('copy' in btn.dataset) copy(url, btn);
+    else toggleQr(key === 'sub' ? $('#meSubQr') : document.querySelector(`[data-qr-box="${key}"]`), url);
+  });
+
+  fetch(`${base}/info`, { cache: 'no-store' })
+    .then(r => r.ok ? r.json() : Promise.reject(new Error(String(r.status))))
+    .then(render)
+    .catch(() => {
+      $('#meState').style.display = 'none';
+      $('#meError').style.display = '';
+    });
+})();
@@ -7,10 +7,16 @@
  * - Domains: domains.js
  * - Routing: routing.js
  * - Config: config-routes.js
+ * - Config revisions (history/diff/rollback): config-history.js
  * - Backup/Restore: backup.js
  * - Status/Connections/Restart: status.js
+ * - Server-wide settings (speed cap, share link templates): settings.js
+ * - Server endpoints (one share link per endpoint): endpoints.js
+ * - Traffic analytics (top destinations, per-outbound traffic): analytics.js
  * - Update Binaries + Versions: update-binaries.js
  *
+ * Startup flags:
+ * - --user-store=json|sqlite (or USER_STORE env): users/usage backend, see user-store.js
  */
 
 import express from 'express';
@@ -23,9 +29,14 @@ import users from './users.js';
 import domains from './domains.js';
 import routing from './routing.js';
 import configRoutes from './config-routes.js';
+import configHistory from './config-history.js';
 import status from './status.js';
 import updateBinaries from './update-binaries.js';
 import auth from './auth.js';
+import userStore from './user-store.js';
+import settings from './settings.js';
+import endpoints from './endpoints.js';
+import analytics from './analytics.js';
 
 const app = express();
 app.use(express.json());
@@ -80,12 +91,25 @@ app.use('/api', auth.requireAuth); // protect remaining /api/* except /api/login
 
 // (Removed diagnostics recap endpoint)
 
+// Open the users/usage backend before any route (or the usage aggregation loop) reads it
+await userStore.initUserStore();
+// Installs from before share link templates keep their old links
+try {
+  await settings.seedLegacyLinkTemplate(utils.readJson(utils.CONFIG_FILE), userStore.loadUsers().length);
+} catch (e) {
+  console.warn('[SETTINGS] link template migration skipped:', e.message);
+}
+
 // Register feature groups
 users.registerUserRoutes(app, utils);
 domains.registerDomainRoutes(app, utils);
 routing.registerRoutingRoutes(app, utils);
 configRoutes.registerConfigRoutes(app, utils);
+configHistory.registerConfigHistoryRoutes(app, utils);
 status.registerStatusRoutes(app, utils);
+settings.registerSettingsRoutes(app);
+endpoints.registerEndpointRoutes(app);
+analytics.registerAnalyticsRoutes(app, utils);
 updateBinaries.registerUpdateBinaryRoutes(app, utils);
 
 // Start server
@@ -0,0 +1,135 @@
+'use strict';
+
+/**
+ * Source IP tracking for the per-user device/IP limit (enforced by users.js).
+ * - accepted connections from the shared access log tailer (utils.accessLog) update user -> ip -> last seen;
+ *   entries older than IP_WINDOW_MS are pruned on every poll
+ * - limitChanges() decides who is disabled or re-enabled; dropSessions() closes an offender's open connections,
+ *   which removing its client from Xray leaves running
+ * - the same recent IPs identify a user's traffic for the speed limits (shaper.js)
+ * - enforcement actions are kept in a small in-memory ring (newest last) and logged with [IP_LIMIT]
+ *
+ * The source IP is whatever Xray logs. Behind a reverse proxy (nginx in front of a ws/httpupgrade/xhttp inbound)
+ * that is the proxy's own address, typically 127.0.0.1, for every user, so nobody ever exceeds a limit. The proxy
+ * has to pass the client address in X-Forwarded-For, which Xray uses as the source for those transports; a
+ * warning is logged once when accepted connections come from a loopback address.
+ */
+import net from 'net';
+import utils from './utils.js';
+
+const IP_WINDOW_MS = Number(process.env.IP_LIMIT_WINDOW_MS) || 5 * 60000;
+const IP_COOLDOWN_MS = Number(process.env.IP_LIMIT_COOLDOWN_MS) || 15 * 60000;
+const MAX_EVENTS = 200;
+
+const _seen = new Map(); // email -> Map(ip -> last seen ms)
+const _events = [];
+let _warnedLoopback = false;
+
+// Accepted connections from the access log tailer; exported for tests
+function trackRecords(records) {
+  for (const rec of records) {
+    if (rec.status !== 'accepted' || !rec.email) continue;
+    if (!_warnedLoopback && /^(127\.|::1$|::ffff:127\.)/.test(rec.srcIp)) {
+      _warnedLoopback = true;
+      console.warn('[IP_LIMIT] connections are logged from', rec.srcIp, '- behind a reverse proxy, pass X-Forwarded-For or IP limits cannot tell devices apart');
+    }
+    const ips = _seen.get(rec.email) || new Map();
+    if (!(ips.get(rec.srcIp) >= rec.time)) ips.set(rec.srcIp, rec.time);
+    _seen.set(rec.email, ips);
+  }
+}
+utils.accessLog.onRecords(trackRecords);
+
+/**
+ * Pick up access log lines written since the last poll and drop IPs that left the window.
+ * @returns {number} new log records
+ */
+function pollAccessLog() {
+  utils.accessLog.start();
+  const n = utils.accessLog.poll().length;
+  prune(Date.now());
+  return n;
+}
+
+function prune(now) {
+  for (const [email, ips] of _seen) {
+    for (const [ip, ts] of ips) if (now - ts > IP_WINDOW_MS) ips.delete(ip);
+    if (!ips.size) _seen.delete(email);
+  }
+}
+
+/**
+ * Distinct source IPs of a user within the window, most recent first.
+ * @param {string} email Xray client email (the username)
+ * @returns {{ip:string, lastSeen:number}[]}
+ */
+function recentIps(email) {
+  return [...(_seen.get(email) || new Map())].map(([ip, lastSeen]) => ({ ip, lastSeen })).sort((a, b) => b.lastSeen - a.lastSeen);
+}
+
+/**
+ * Users to disable for exceeding ipLimit within the window, and users whose cool-down has passed.
+ * @param {Array} users
+ * @param {number} now
+ * @returns {Map<string, object>} user id -> fields to set (undefined = delete); disables carry the offending
+ *   addresses in _ips
+ */
+function limitChanges(users, now) {
+  const changes = new Map();
+  for (const u of users) {
+    if (!u.enabled && u.disabledReason === 'ip-limit') {
+      if (Date.parse(u.ipLimitUntil || 0) <= now) changes.set(u.id, { enabled: true, disabledReason: undefined, ipLimitUntil: undefined });
+    } else if (u.enabled !== false && u.ipLimit > 0) {
+      const ips = recentIps(u.username);
+      if (ips.length > u.ipLimit) {
+        const until = new Date(now + IP_COOLDOWN_MS).toISOString();
+        changes.set(u.id, { enabled: false, disabledReason: 'ip-limit', ipLimitUntil: until, _ips: ips.map(x => x.ip) });
+      }
+    }
+  }
+  return changes;
+}
+
+/**
+ * Close the server's TCP connections with the given client addresses (ss -K: needs root and a kernel built with
+ * CONFIG_INET_DIAG_DESTROY). Loopback addresses are skipped, they stand for every user behind a reverse proxy.
+ * @param {string[]} ips
+ * @returns {Promise<boolean>} false if connections are left (no kernel support, ss missing or failing)
+ */
+async function dropSessions(ips) {
+  const targets = [...new Set(ips.map(ip => String(ip).replace(/^::ffff:(?=\d+\.\d+\.\d+\.\d+$)/i, '')))]
+    .filter(ip => net.isIP(ip) && !/^127\./.test(ip) && ip !== '::1');
+  if (!targets.length) return true;
+  const filter = targets.map(ip => `dst ${net.isIPv6(ip) ? `[${ip}]` : ip}`).join(' or ');
+  try {
+    // ss -K reports success even when the kernel cannot destroy sockets: check what is left
+    await utils.runCmd(`ss -K -Htn '${filter}' >/dev/null`, { timeout: 10000 });
+    const { stdout } = await utils.runCmd(`ss -Htn '${filter}'`, { timeout: 10000 });
+    return !stdout.trim();
+  } catch (e) {
+    console.warn('[IP_LIMIT] closing connections failed:', `${e.stderr || ''}`.trim() || e.message);
+    return false;
+  }
+}
+
+/** Drop a user's tracked IPs (after a disable/re-enable so the old window does not count again). */
+function forget(email) {
+  _seen.delete(email);
+}
+
+/**
+ * @param {{username:string, action:'disabled'|'re-enabled', ips?:string[], limit?:number, until?:string}} event
+ */
+function recordEnforcement(event) {
+  const entry = { time: new Date().toISOString(), ...event };
+  _events.push(entry);
+  if (_events.length > MAX_EVENTS) _events.shift();
+  console.log('[IP_LIMIT]', entry.action, entry.username, entry.ips ? `ips=${entry.ips.join(',')} limit=${entry.limit}` : '', entry.until ? `until ${entry.until}` : '');
+}
+
+/** Enforcement events, newest first. */
+function listEnforcements() {
+  return _events.slice().reverse();
+}
+
+export default { IP_WINDOW_MS, IP_COOLDOWN_MS, trackRecords, pollAccessLog, limitChanges, dropSessions, recentIps, forget, recordEnforcement, listEnforcements };
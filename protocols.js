@@ -0,0 +1,375 @@
+'use strict';
+
+/**
+ * Inbound protocols users can be attached to, and everything that differs between them:
+ * - which config inbounds the panel manages: vless, vmess, trojan and multi-user Shadowsocks 2022
+ *   (settings.method 2022-blake3-*) inbounds with a tag and a settings.clients array
+ * - per-user credentials (generated once, stored on the user): uuid (vless/vmess), trojanPassword,
+ *   ssKey (base64, 32 bytes; aes-128 methods use its first 16), subToken (subscription URL)
+ * - the client object synced into each inbound's settings.clients
+ * - share links (vless://, vmess://, trojan://, ss://) built from the inbound's port and streamSettings
+ *   (transport, TLS/REALITY parameters; the REALITY public key is derived from privateKey), with the admin's
+ *   per-inbound template from settings.js applied on top (e.g. a CDN fronting address/host) or replacing the
+ *   link entirely (template.url); the address defaults to PUBLIC_HOST, else the TLS server name
+ */
+import crypto from 'crypto';
+import net from 'net';
+
+const PROTOCOLS = ['vless', 'vmess', 'trojan', 'shadowsocks'];
+// Shadowsocks 2022 methods -> user key length in bytes
+const SS2022_KEY_BYTES = {
+  '2022-blake3-aes-128-gcm': 16,
+  '2022-blake3-aes-256-gcm': 32,
+  '2022-blake3-chacha20-poly1305': 32,
+};
+const PUBLIC_HOST = process.env.PUBLIC_HOST || '';
+// What a link template may set security and network to (see linkParams)
+const LINK_SECURITIES = ['none', 'tls', 'reality'];
+const LINK_NETWORKS = ['tcp', 'raw', 'ws', 'httpupgrade', 'xhttp', 'splithttp', 'grpc', 'kcp', 'h2'];
+// "scheme://[userinfo@]host:port" at the start of a url template (settings.js requires it, endpoints replace it)
+const LINK_URL_AUTHORITY = /^([a-z0-9]+:\/\/(?:[^@/?#]*@)?)(\[[^\]]+\]|[^:/?#@[\]]+):(\d+)/i;
+
+/**
+ * Inbounds whose clients the panel manages, in config order. Untagged inbounds are included (see inboundTag).
+ * @param {object} cfg Xray config
+ * @returns {object[]} the inbound objects themselves (mutations land in cfg)
+ */
+function managedInbounds(cfg) {
+  return (Array.isArray(cfg?.inbounds) ? cfg.inbounds : []).filter(ib =>
+    ib && PROTOCOLS.includes(ib.protocol) && Array.isArray(ib.settings?.clients)
+    && (ib.protocol !== 'shadowsocks' || ib.settings.method in SS2022_KEY_BYTES));
+}
+
+/**
+ * Name the panel uses for an inbound (user.inbounds, link templates, link remarks): its tag, or for an untagged
+ * inbound "untagged-<protocol>-<port>". HandlerService addresses inbounds by tag, so client changes to untagged
+ * ones are only applied by restarting Xray (see syncInboundClients in users.js).
+ * @param {object} ib
+ * @returns {string}
+ */
+function inboundTag(ib) {
+  return ib.tag || `untagged-${ib.protocol}-${ib.port}`;
+}
+
+/**
+ * Inbounds of a user without an explicit list: the first vless inbound (where every user lived before
+ * inbounds were selectable), else the first managed one.
+ * @param {object[]} inbounds managedInbounds()
+ * @returns {string[]}
+ */
+function defaultInboundTags(inbounds) {
+  const ib = inbounds.find(i => i.protocol === 'vless') || inbounds[0];
+  return ib ? [inboundTag(ib)] : [];
+}
+
+/**
+ * Tags the user is attached to (only those that exist).
+ * @param {object} user
+ * @param {object[]} inbounds managedInbounds()
+ */
+function userInboundTags(user, inbounds) {
+  if (!Array.isArray(user.inbounds)) return defaultInboundTags(inbounds);
+  return user.inbounds.filter(tag => inbounds.some(ib => inboundTag(ib) === tag));
+}
+
+/**
+ * Validate a list of inbound tags from a request body.
+ * @param {any} value
+ * @param {object[]} inbounds managedInbounds()
+ * @returns {{tags?:string[], error?:string}}
+ */
+function parseInboundTags(value, inbounds) {
+  if (!Array.isArray(value) || value.some(t => typeof t !== 'string')) return { error: 'inbounds must be an array of inbound tags' };
+  const tags = [...new Set(value)];
+  if (!tags.length) return { error: 'inbounds must list at least one inbound' };
+  const unknown = tags.filter(t => !inbounds.some(ib => inboundTag(ib) === t));
+  if (unknown.length) return { error: `Unknown or unmanaged inbound(s): ${unknown.join(', ')}` };
+  return { tags };
+}
+
+/**
+ * Fill in missing credentials (trojanPassword, ssKey, subToken for the subscription URL, see subscription.js);
+ * uuid is created with the user.
+ * @param {object} user mutated
+ * @returns {boolean} true if anything was added
+ */
+function ensureCredentials(user) {
+  let added = false;
+  if (!user.trojanPassword) { user.trojanPassword = crypto.randomBytes(16).toString('hex'); added = true; }
+  if (!user.ssKey) { user.ssKey = crypto.randomBytes(32).toString('base64'); added = true; }
+  if (!user.subToken) { user.subToken = crypto.randomBytes(18).toString('base64url'); added = true; }
+  return added;
+}
+
+function ssUserKey(user, method) {
+  return Buffer.from(user.ssKey, 'base64').subarray(0, SS2022_KEY_BYTES[method]).toString('base64');
+}
+
+/**
+ * Client entry for an inbound's settings.clients.
+ * @param {object} inbound
+ * @param {object} user
+ */
+function clientFor(inbound, user) {
+  const email = user.username;
+  switch (inbound.protocol) {
+    case 'vless':
+    case 'vmess':
+      return { id: user.uuid, email, level: 0 };
+    case 'trojan':
+      return { password: user.trojanPassword, email, level: 0 };
+    case 'shadowsocks':
+      return { password: ssUserKey(user, inbound.settings.method), email, level: 0 };
+    default:
+      throw new Error(`Unsupported protocol ${inbound.protocol}`);
+  }
+}
+
+/** Identity of a client entry for diffing (credential + email + level). */
+function clientKey(c) {
+  return `${c.id || c.password}|${c.email}|${c.level || 0}`;
+}
+
+const PKCS8_X25519_PREFIX = Buffer.from('302e020100300506032b656e04220420', 'hex');
+
+/**
+ * Public key (base64url, as clients expect in pbk) for a REALITY private key from realitySettings.privateKey.
+ * @param {string} privateKey base64url X25519 private key
+ * @returns {string} '' if the key is missing or malformed
+ */
+function realityPublicKey(privateKey) {
+  try {
+    const raw = Buffer.from(privateKey || '', 'base64url');
+    if (raw.length !== 32) return '';
+    const key = crypto.createPrivateKey({ key: Buffer.concat([PKCS8_X25519_PREFIX, raw]), format: 'der', type: 'pkcs8' });
+    return crypto.createPublicKey(key).export({ format: 'jwk' }).x;
+  } catch {
+    return '';
+  }
+}
+
+/**
+ * Client-side connection parameters for an inbound: what its port and streamSettings imply, with the
+ * admin's template (settings.linkTemplates[tag]) applied on top. Template security/network describe what the
+ * client talks to when that differs from the inbound (TLS and the transport terminated by a proxy in front).
+ * @param {object} inbound
+ * @param {object} [template] see settings.js linkTemplates
+ * @returns {{address:string, port:number, network:string, security:string, sni?:string, alpn?:string, fp?:string,
+ *   allowInsecure?:boolean, pbk?:string, sid?:string, spx?:string, host?:string, path?:string, serviceName?:string}}
+ */
+function linkParams(inbound, template = {}) {
+  const ss = inbound.streamSettings || {};
+  const network = template.network || ss.network || 'tcp';
+  const security = template.security || ss.security || 'none';
+  const tls = ss.tlsSettings || {};
+  const reality = ss.realitySettings || {};
+  const transport = ss[`${network}Settings`] || {};
+  const serverName = security === 'tls' ? tls.serverName : security === 'reality' ? reality.serverNames?.[0] : '';
+  // A REALITY server name is the camouflage site, not this server
+  const listen = inbound.listen && !['0.0.0.0', '::'].includes(inbound.listen) ? inbound.listen : '';
+  const address = template.address || PUBLIC_HOST || (security === 'tls' ? serverName : '') || listen;
+  const p = { address, port: template.port || inbound.port, network, security };
+  if (security === 'tls') {
+    Object.assign(p, {
+      sni: template.sni ?? (serverName || (net.isIP(address) ? '' : address)),
+      alpn: template.alpn ?? (Array.isArray(tls.alpn) ? tls.alpn.join(',') : ''),
+      fp: template.fp ?? tls.fingerprint ?? '',
+      allowInsecure: template.allowInsecure ?? !!tls.allowInsecure,
+    });
+  } else if (security === 'reality') {
+    Object.assign(p, {
+      sni: template.sni ?? serverName ?? '',
+      fp: template.fp ?? (reality.fingerprint || 'chrome'),
+      pbk: template.pbk ?? (reality.publicKey || realityPublicKey(reality.privateKey)),
+      sid: template.sid ?? reality.shortIds?.[0] ?? '',
+      spx: template.spx ?? reality.spiderX ?? '',
+    });
+  }
+  if (['ws', 'httpupgrade', 'xhttp', 'splithttp'].includes(network)) {
+    p.host = template.host ?? (transport.host || transport.headers?.Host || serverName || address);
+    p.path = template.path ?? (transport.path || '/');
+  } else if (network === 'grpc') {
+    p.serviceName = template.serviceName ?? transport.serviceName ?? '';
+  }
+  return p;
+}
+
+// Query string of the URL-style links (vless, trojan); empty values are left out
+function queryString(p, extra = {}) {
+  const q = new URLSearchParams(extra);
+  q.set('security', p.security);
+  for (const key of ['sni', 'alpn', 'fp', 'pbk', 'sid', 'spx']) if (p[key]) q.set(key, p[key]);
+  if (p.allowInsecure) q.set('allowInsecure', '1');
+  q.set('type', p.network);
+  for (const key of ['host', 'path', 'serviceName']) if (p[key]) q.set(key, p[key]);
+  return q.toString();
+}
+
+// "host:port" with IPv6 addresses bracketed
+function authority(p) {
+  return `${p.address.includes(':') ? `[${p.address}]` : p.address}:${p.port}`;
+}
+
+/**
+ * Share link for one user on one inbound.
+ * @param {object} inbound
+ * @param {object} user
+ * @param {object} [template] settings.linkTemplates[inboundTag(inbound)]; template.url replaces the generated link
+ * @param {string} [name] remark shown by clients (default: the user's display name)
+ * @returns {string}
+ */
+function shareLink(inbound, user, template = {}, name = user.displayName || user.username) {
+  const label = encodeURIComponent(name);
+  if (template.url) {
+    const values = {
+      id: user.uuid,
+      password: inbound.protocol === 'shadowsocks' ? ssUserKey(user, inbound.settings.method) : user.trojanPassword,
+      email: user.username,
+      label: name,
+    };
+    return template.url.replace(/\{(id|password|email|label)\}/g, (_, key) => encodeURIComponent(values[key] || ''));
+  }
+  const p = linkParams(inbound, template);
+  switch (inbound.protocol) {
+    case 'vless':
+      return `vless://${user.uuid}@${authority(p)}?${queryString(p, { encryption: 'none' })}#${label}`;
+    case 'trojan':
+      return `trojan://${encodeURIComponent(user.trojanPassword)}@${authority(p)}?${queryString(p)}#${label}`;
+    case 'vmess': {
+      const json = {
+        v: '2', ps: name, add: p.address, port: String(p.port), id: user.uuid, aid: '0', scy: 'auto',
+        net: p.network, type: 'none', host: p.host || '', path: p.path || p.serviceName || '',
+        tls: p.security === 'tls' ? 'tls' : '', sni: p.sni || '', alpn: p.alpn || '', fp: p.fp || '',
+        ...(p.allowInsecure ? { allowInsecure: true } : {}),
+      };
+      return `vmess://${Buffer.from(JSON.stringify(json)).toString('base64')}`;
+    }
+    case 'shadowsocks': {
+      // SIP002 with a 2022 method: userinfo is percent-encoded "method:serverKey:userKey", not base64
+      const { method, password } = inbound.settings;
+      const userinfo = [method, password, ssUserKey(user, method)].map(encodeURIComponent).join(':');
+      return `ss://${userinfo}@${authority(p)}#${label}`;
+    }
+    default:
+      return '';
+  }
+}
+
+/**
+ * Connection parameters and credentials of a share link, as shareLink() or a url template produced it; what
+ * the Clash and sing-box profiles are built from, so they connect where the link does.
+ * @param {string} url vless://, vmess://, trojan:// or ss:// (SIP002) link
+ * @returns {object|null} linkParams() fields plus protocol and uuid, password or method; null if unreadable
+ */
+function parseShareLink(url) {
+  const scheme = /^([a-z0-9]+):\/\//i.exec(url)?.[1].toLowerCase();
+  if (scheme === 'vmess') {
+    let j;
+    try { j = JSON.parse(Buffer.from(url.slice('vmess://'.length).split('#')[0], 'base64').toString('utf8')); } catch { return null; }
+    if (!j || !j.add || !Number(j.port)) return null;
+    const network = j.net || 'tcp';
+    return {
+      protocol: 'vmess', uuid: j.id, address: j.add, port: Number(j.port), network, security: j.tls === 'tls' ? 'tls' : 'none',
+      sni: j.sni || '', alpn: j.alpn || '', fp: j.fp || '', allowInsecure: j.allowInsecure === true || j.allowInsecure === '1',
+      host: j.host || '', ...(network === 'grpc' ? { serviceName: j.path || '' } : { path: j.path || '' }),
+    };
+  }
+  const protocol = { vless: 'vless', trojan: 'trojan', ss: 'shadowsocks' }[scheme];
+  if (!protocol) return null;
+  let u;
+  try { u = new URL(url); } catch { return null; }
+  if (!u.hostname || !u.port) return null;
+  const p = { protocol, address: u.hostname.replace(/^\[(.*)\]$/, '$1'), port: Number(u.port) };
+  const user = decodeURIComponent(u.username);
+  if (protocol === 'shadowsocks') {
+    // 2022 methods: percent-encoded "method:key"; older SIP002 links base64 the userinfo
+    const userinfo = u.password ? `${user}:${decodeURIComponent(u.password)}` : Buffer.from(user, 'base64').toString('utf8');
+    const i = userinfo.indexOf(':');
+    if (i < 1) return null;
+    return { ...p, method: userinfo.slice(0, i), password: userinfo.slice(i + 1), network: 'tcp', security: 'none' };
+  }
+  const q = u.searchParams;
+  Object.assign(p, protocol === 'vless' ? { uuid: user } : { password: user });
+  p.network = q.get('type') || 'tcp';
+  // Trojan runs over TLS unless the link says otherwise
+  p.security = q.get('security') || (protocol === 'trojan' ? 'tls' : 'none');
+  for (const key of ['sni', 'alpn', 'fp', 'pbk', 'sid', 'spx', 'host', 'path', 'serviceName']) if (q.has(key)) p[key] = q.get(key);
+  p.allowInsecure = ['1', 'true'].includes(q.get('allowInsecure'));
+  return p;
+}
+
+/**
+ * Template for one endpoint: the endpoint replaces the address and, when set, the port and sni. In a url
+ * template that is the host:port after the scheme and an existing sni parameter.
+ * @param {object} template settings.linkTemplates entry
+ * @param {{host:string, port?:number|null, sni?:string}} ep
+ * @returns {object}
+ */
+function templateForEndpoint(template, ep) {
+  if (!template.url) return { ...template, address: ep.host, ...(ep.port ? { port: ep.port } : {}), ...(ep.sni ? { sni: ep.sni } : {}) };
+  const host = ep.host.includes(':') ? `[${ep.host}]` : ep.host;
+  let url = template.url.replace(LINK_URL_AUTHORITY, (_, head, prevHost, port) => `${head}${host}:${ep.port || port}`);
+  if (ep.sni) url = url.replace(/([?&]sni=)[^&#]*/, (_, key) => `${key}${encodeURIComponent(ep.sni)}`);
+  return { ...template, url };
+}
+
+/**
+ * What the user gets a link for: every inbound they are attached to, once per enabled endpoint (see
+ * endpoints.js) when there are any (see templateForEndpoint). A url template without a host:port to replace
+ * (saved before settings.js required one) gets a single link.
+ * @param {object} user
+ * @param {object[]} inbounds managedInbounds()
+ * @param {object} [templates] settings.linkTemplates, keyed by inbound tag
+ * @param {{label:string, host:string, port?:number|null, sni?:string}[]} [endpoints] enabled endpoints
+ * @returns {{inbound:object, template:object, endpoint:string|null, name:string}[]} name: the remark for clients
+ */
+function userLinkTargets(user, inbounds, templates = {}, endpoints = []) {
+  const tags = userInboundTags(user, inbounds);
+  const name = user.displayName || user.username;
+  return inbounds.filter(ib => tags.includes(inboundTag(ib))).flatMap(ib => {
+    const template = templates[inboundTag(ib)] || {};
+    if (!endpoints.length || (template.url && !LINK_URL_AUTHORITY.test(template.url))) return [{ inbound: ib, template, endpoint: null, name }];
+    return endpoints.map(ep => ({
+      inbound: ib,
+      template: templateForEndpoint(template, ep),
+      endpoint: ep.label,
+      name: `${name} (${ep.label})`,
+    }));
+  });
+}
+
+/**
+ * Share links for userLinkTargets().
+ * @returns {{tag:string, protocol:string, endpoint:string|null, url:string}[]}
+ */
+function userLinks(user, inbounds, templates = {}, endpoints = []) {
+  return userLinkTargets(user, inbounds, templates, endpoints).map(t => ({
+    tag: inboundTag(t.inbound),
+    protocol: t.inbound.protocol,
+    endpoint: t.endpoint,
+    url: shareLink(t.inbound, user, t.template, t.name),
+  }));
+}
+
+export default {
+  PROTOCOLS,
+  LINK_SECURITIES,
+  LINK_NETWORKS,
+  LINK_URL_AUTHORITY,
+  SS2022_KEY_BYTES,
+  managedInbounds,
+  inboundTag,
+  defaultInboundTags,
+  userInboundTags,
+  parseInboundTags,
+  ensureCredentials,
+  ssUserKey,
+  clientFor,
+  clientKey,
+  realityPublicKey,
+  linkParams,
+  shareLink,
+  parseShareLink,
+  userLinkTargets,
+  userLinks,
+};
@@ -17,7 +17,7 @@ function registerRoutingRoutes(app, utils) {
   const {
     CONFIG_FILE,
     readJson,
-    writeJson,
+    writeXrayConfig,
   reloadXray,
   restartXray,
     PSIPHON_OUTBOUND_TAG,
@@ -48,7 +48,7 @@ function registerRoutingRoutes(app, utils) {
     try {
       const config = readJson(CONFIG_FILE);
       config.routing = { ...config.routing, rules };
-      writeJson(CONFIG_FILE, config);
+      writeXrayConfig(config, { actor: req.user, source: 'POST /api/routing-rules', reason: `Replace routing rules (${rules.length})` });
   // Full restart required after routing changes per current requirement
   if (typeof restartXray === 'function') restartXray(); else reloadXray();
       res.json({ updated: true });
@@ -0,0 +1,185 @@
+'use strict';
+
+/**
+ * Server-wide panel settings, stored in settings.json next to users.json:
+ * - GET /api/settings
+ * - PUT /api/settings   (partial update; unknown keys are rejected)
+ *
+ * Settings:
+ * - speedLimitMbps: speed cap applied to every user in Mbit/s, 0 = none (per-user caps below it still apply;
+ *   enforced with tc by shaper.js)
+ * - linkTemplates: per inbound tag, overrides for the share links derived from the inbound (see protocols.js), e.g.
+ *   a CDN fronting host: {address, port, security, network, host, sni, path, serviceName, alpn, fp, pbk, sid, spx,
+ *   allowInsecure} (security/network when a proxy in front terminates TLS or the transport), or
+ *   url: a complete link with {id} {password} {email} {label} placeholders and a host:port after the scheme
+ *   (replaced per server endpoint, see endpoints.js)
+ *   Installs upgrading from the hard-coded vless link get a template reproducing it (seedLegacyLinkTemplate).
+ *
+ * Modules that derive Xray config from a setting subscribe with onSettingsChange(fn); listeners run after the
+ * file is written and receive (settings, {actor, source}).
+ */
+import path from 'path';
+import protocols from './protocols.js';
+import storage from './storage.js';
+import utils from './utils.js';
+
+// SETTINGS_FILE env override points the store at a scratch file in tests
+const SETTINGS_FILE = process.env.SETTINGS_FILE || path.join(path.dirname(utils.USERS_FILE), 'settings.json');
+const DEFAULTS = { speedLimitMbps: 0, linkTemplates: {} };
+const MAX_SPEED_MBPS = 100000;
+
+const _listeners = [];
+
+/**
+ * Current settings merged over the defaults.
+ * @returns {{speedLimitMbps:number, linkTemplates:object}}
+ */
+function loadSettings() {
+  try {
+    return { ...DEFAULTS, ...storage.readJsonFile(SETTINGS_FILE) };
+  } catch {
+    return { ...DEFAULTS };
+  }
+}
+
+/**
+ * Validate a speed cap in Mbit/s; null/'' mean no cap.
+ * @param {any} value
+ * @returns {{mbps?:number, error?:string}} mbps is 0 for no cap
+ */
+function parseSpeedLimit(value) {
+  if (value === null || value === '' || value === 0) return { mbps: 0 };
+  const mbps = Number(value);
+  if (!Number.isFinite(mbps) || mbps < 0 || mbps > MAX_SPEED_MBPS) {
+    return { error: `speedLimitMbps must be a number between 0 and ${MAX_SPEED_MBPS} (0 = unlimited)` };
+  }
+  return { mbps };
+}
+
+const LINK_TEMPLATE_STRINGS = ['address', 'host', 'sni', 'path', 'serviceName', 'alpn', 'fp', 'pbk', 'sid', 'spx', 'url'];
+
+/**
+ * Validate share-link templates: { [inboundTag]: {field: value} }; empty strings drop a field, empty templates are removed.
+ * @param {any} value
+ * @returns {{templates?:object, error?:string}}
+ */
+function parseLinkTemplates(value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return { error: 'linkTemplates must be an object keyed by inbound tag' };
+  const templates = {};
+  for (const [tag, tpl] of Object.entries(value)) {
+    if (!tpl || typeof tpl !== 'object' || Array.isArray(tpl)) return { error: `linkTemplates.${tag} must be an object` };
+    const out = {};
+    for (const [key, v] of Object.entries(tpl)) {
+      if (v === '' || v === null || v === undefined) continue;
+      if (LINK_TEMPLATE_STRINGS.includes(key)) {
+        if (typeof v !== 'string') return { error: `linkTemplates.${tag}.${key} must be a string` };
+        out[key] = v.trim();
+      } else if (key === 'security' || key === 'network') {
+        const allowed = key === 'security' ? protocols.LINK_SECURITIES : protocols.LINK_NETWORKS;
+        if (!allowed.includes(v)) return { error: `linkTemplates.${tag}.${key} must be one of ${allowed.join(', ')}` };
+        out[key] = v;
+      } else if (key === 'port') {
+        const port = Number(v);
+        if (!Number.isInteger(port) || port < 1 || port > 65535) return { error: `linkTemplates.${tag}.port must be a port number` };
+        out.port = port;
+      } else if (key === 'allowInsecure') {
+        if (typeof v !== 'boolean') return { error: `linkTemplates.${tag}.allowInsecure must be true or false` };
+        out.allowInsecure = v;
+      } else {
+        return { error: `Unknown link template field '${key}'` };
+      }
+    }
+    if (out.url && !protocols.LINK_URL_AUTHORITY.test(out.url)) {
+      return { error: `linkTemplates.${tag}.url must be a complete link (scheme://[credentials@]host:port...)` };
+    }
+    if (Object.keys(out).length) templates[tag] = out;
+  }
+  return { templates };
+}
+
+// The share link every user got before link templates: vless over ws+tls to PUBLIC_HOST (with this default)
+// on 443, whatever the inbound itself said (TLS was usually terminated by a proxy in front of Xray)
+const LEGACY_LINK_HOST = process.env.PUBLIC_HOST || 'aparat.feezor.net';
+const LEGACY_LINK = { port: 443, path: '/aparat.com/v/', alpn: 'h3,h2,http/1.1' };
+
+/**
+ * Template reproducing the legacy link on a vless inbound whatever the inbound's own transport: fields with
+ * security/network overrides, not a url template, so Clash/sing-box profiles and endpoints use them too.
+ * @returns {object}
+ */
+function legacyLinkTemplate() {
+  return { address: LEGACY_LINK_HOST, port: LEGACY_LINK.port, security: 'tls', network: 'ws', host: LEGACY_LINK_HOST, sni: LEGACY_LINK_HOST, path: LEGACY_LINK.path, alpn: LEGACY_LINK.alpn, allowInsecure: true };
+}
+
+/**
+ * One-time upgrade from the hard-coded share link: when settings.json has never held linkTemplates and users
+ * exist (an install from before templates), the default inbound (first vless) gets legacyLinkTemplate so
+ * existing links keep working. Fresh installs and later starts only record linkTemplates: {}.
+ * @param {object} config Xray config
+ * @param {number} userCount
+ * @returns {Promise<{tag:string, template:object}|null>} the seeded template
+ */
+async function seedLegacyLinkTemplate(config, userCount) {
+  let seeded = null;
+  await storage.updateJson(SETTINGS_FILE, cur => {
+    if ('linkTemplates' in cur) return cur;
+    const inbounds = protocols.managedInbounds(config);
+    const vless = inbounds.find(ib => ib.protocol === 'vless');
+    const linkTemplates = {};
+    if (userCount > 0 && vless) {
+      seeded = { tag: protocols.inboundTag(vless), template: legacyLinkTemplate() };
+      linkTemplates[seeded.tag] = seeded.template;
+    }
+    return { ...cur, linkTemplates };
+  }, {});
+  if (seeded) console.log('[SETTINGS] seeded the share link template of', seeded.tag, 'from the previous hard-coded link');
+  return seeded;
+}
+
+/**
+ * @param {(settings:object, meta:{actor?:string, source?:string}) => any} fn
+ */
+function onSettingsChange(fn) {
+  _listeners.push(fn);
+}
+
+/**
+ * @param {import('express').Express} app
+ */
+function registerSettingsRoutes(app) {
+  app.get('/api/settings', (req, res) => {
+    try {
+      res.json(loadSettings());
+    } catch (e) {
+      res.status(500).json({ error: e.message });
+    }
+  });
+
+  app.put('/api/settings', async (req, res) => {
+    const body = req.body || {};
+    const unknown = Object.keys(body).filter(k => !(k in DEFAULTS));
+    if (unknown.length) return res.status(400).json({ error: `Unknown setting(s): ${unknown.join(', ')}` });
+    const patch = {};
+    if ('speedLimitMbps' in body) {
+      const { mbps, error } = parseSpeedLimit(body.speedLimitMbps);
+      if (error) return res.status(400).json({ error });
+      patch.speedLimitMbps = mbps;
+    }
+    if ('linkTemplates' in body) {
+      const { templates, error } = parseLinkTemplates(body.linkTemplates);
+      if (error) return res.status(400).json({ error });
+      patch.linkTemplates = templates;
+    }
+    try {
+      const next = await storage.updateJson(SETTINGS_FILE, cur => ({ ...DEFAULTS, ...cur, ...patch }), {});
+      for (const fn of _listeners) {
+        try { await fn(next, { actor: req.user, source: 'PUT /api/settings' }); } catch (e) { console.warn('[SETTINGS] listener failed', e.message); }
+      }
+      res.json(next);
+    } catch (e) {
+      res.status(500).json({ error: e.message });
+    }
+  });
+}
+
+export default { SETTINGS_FILE, loadSettings, parseSpeedLimit, parseLinkTemplates, seedLegacyLinkTemplate, onSettingsChange, registerSettingsRoutes };
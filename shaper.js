@@ -0,0 +1,180 @@
+'use strict';
+
+/**
+ * Per-user speed limits, enforced in the kernel with tc (Xray cannot rate-limit a user by itself):
+ * - the public interface (SHAPING_IFACE, else the one holding the default route) gets an HTB root with one class
+ *   per limited user; packets to the user's addresses go through it, which caps the user's download
+ * - the interface's ingress is redirected to an IFB device (SHAPING_IFB, default ifb0) carrying the same classes
+ *   matched on the source address, which caps the upload
+ * - users are matched by the source IPs ip-limit.js saw for them in the access log within its window, so a device
+ *   is limited from its first logged connection on and released once it has been idle for the window
+ *
+ * Classes hold whole addresses: users sharing one NAT address all get the lowest of their limits, and loopback
+ * sources (a reverse proxy without X-Forwarded-For, see ip-limit.js) cannot be limited and are skipped. While any
+ * limit is active the panel owns the root and ingress qdiscs of the interface and the IFB device. Needs root
+ * (CAP_NET_ADMIN), tc and the ifb module; a failed apply is logged with [SHAPER] and retried on the next call.
+ */
+import { unlinkSync, writeFileSync } from 'fs';
+import net from 'net';
+import os from 'os';
+import path from 'path';
+import utils from './utils.js';
+
+const IFB_DEVICE = process.env.SHAPING_IFB || 'ifb0';
+const FIRST_CLASS_MINOR = 0x10;
+
+// Last applied plan ({iface, classes, filters}); null until the first apply (tc state unknown)
+let _applied = null;
+let _lastError = '';
+
+// Address as tc matches it; null for what cannot be shaped (loopback, not an IP)
+function shapableIp(value) {
+  const ip = String(value || '').replace(/^::ffff:(?=\d+\.\d+\.\d+\.\d+$)/i, '');
+  if (!net.isIP(ip) || /^127\./.test(ip) || ip === '::1') return null;
+  return ip;
+}
+
+/**
+ * Classes and filters for the limits. Class minors stay with their user across plans (prev) so an update only
+ * touches what changed; an address seen for several users goes to the lowest limit.
+ * @param {{username:string, mbps:number, ips:string[]}[]} limits
+ * @param {{classes:{username:string, minor:number, kbit:number}[]}|null} [prev] previous plan
+ * @returns {{classes:{username:string, minor:number, kbit:number}[], filters:{ip:string, minor:number}[]}}
+ */
+function planShaping(limits, prev = null) {
+  const owner = new Map(); // ip -> limit
+  for (const l of limits) {
+    if (!(l.mbps > 0)) continue;
+    for (const ip of l.ips.map(shapableIp).filter(Boolean)) {
+      if (!owner.has(ip) || owner.get(ip).mbps > l.mbps) owner.set(ip, l);
+    }
+  }
+  const limited = limits.filter(l => [...owner.values()].includes(l));
+  const prevMinor = new Map((prev?.classes || []).map(c => [c.username, c.minor]));
+  const used = new Set(limited.map(l => prevMinor.get(l.username)).filter(Boolean));
+  let next = FIRST_CLASS_MINOR;
+  const classes = limited.map(l => {
+    let minor = prevMinor.get(l.username);
+    if (!minor) {
+      while (used.has(next)) next++;
+      minor = next;
+      used.add(minor);
+    }
+    return { username: l.username, minor, kbit: Math.max(8, Math.round(l.mbps * 1000)) };
+  });
+  const minorOf = new Map(classes.map(c => [c.username, c.minor]));
+  // Sorted so the plan does not change with the order devices were last seen in
+  const filters = [...owner].map(([ip, l]) => ({ ip, minor: minorOf.get(l.username) })).sort((a, b) => (a.ip < b.ip ? -1 : a.ip > b.ip ? 1 : 0));
+  return { classes, filters };
+}
+
+const classId = minor => `1:${minor.toString(16)}`;
+
+function filterLines(dev, dir, filters) {
+  return filters.map(f => (net.isIPv6(f.ip)
+    ? `filter add dev ${dev} parent 1: protocol ipv6 prio 2 u32 match ip6 ${dir} ${f.ip}/128 flowid ${classId(f.minor)}`
+    : `filter add dev ${dev} parent 1: protocol ip prio 1 u32 match ip ${dir} ${f.ip}/32 flowid ${classId(f.minor)}`));
+}
+
+/**
+ * tc -batch lines moving the devices from prev to next. Without prev the qdiscs are set up from scratch (the
+ * caller clears what was there); otherwise filters are replaced and classes added, updated or deleted in place, so
+ * queues of unchanged users are left alone.
+ * @param {{classes:object[], filters:object[]}|null} prev
+ * @param {{classes:object[], filters:object[]}} next planShaping()
+ * @param {{iface:string, ifb?:string}} devices
+ * @returns {string[]}
+ */
+function tcBatch(prev, next, { iface, ifb = IFB_DEVICE }) {
+  const lines = [];
+  const devices = [[iface, 'dst'], [ifb, 'src']];
+  if (!prev) {
+    lines.push(`qdisc add dev ${iface} root handle 1: htb`, `qdisc add dev ${iface} handle ffff: ingress`,
+      `filter add dev ${iface} parent ffff: protocol all prio 1 u32 match u32 0 0 action mirred egress redirect dev ${ifb}`,
+      `qdisc add dev ${ifb} root handle 1: htb`);
+  }
+  const keep = new Set(next.classes.map(c => c.minor));
+  for (const [dev, dir] of devices) {
+    if (prev) {
+      lines.push(`filter del dev ${dev} parent 1:`);
+      for (const c of prev.classes) if (!keep.has(c.minor)) lines.push(`class del dev ${dev} classid ${classId(c.minor)}`);
+    }
+    for (const c of next.classes) lines.push(`class replace dev ${dev} parent 1: classid ${classId(c.minor)} htb rate ${c.kbit}kbit ceil ${c.kbit}kbit`);
+    lines.push(...filterLines(dev, dir, next.filters));
+  }
+  return lines;
+}
+
+async function shapingInterface() {
+  if (process.env.SHAPING_IFACE) return process.env.SHAPING_IFACE;
+  const { stdout } = await utils.runCmd('ip route show default', { timeout: 5000 });
+  const m = /\bdev (\S+)/.exec(stdout);
+  if (!m) throw new Error('no default route to find the public interface (set SHAPING_IFACE)');
+  return m[1];
+}
+
+// Remove the panel's qdiscs (and with them every class and filter); missing ones are fine
+function clearCommand(iface) {
+  return `tc qdisc del dev ${iface} root 2>/dev/null; tc qdisc del dev ${iface} ingress 2>/dev/null; tc qdisc del dev ${IFB_DEVICE} root 2>/dev/null; true`;
+}
+
+async function runBatch(lines) {
+  const file = path.join(os.tmpdir(), `shaper-${process.pid}-${Date.now()}.tc`);
+  writeFileSync(file, `${lines.join('\n')}\n`);
+  try {
+    await utils.runCmd(`tc -batch "${file}"`, { timeout: 15000 });
+  } finally {
+    try { unlinkSync(file); } catch {}
+  }
+}
+
+/**
+ * Bring tc in line with the limits; a no-op when nothing changed since the last apply.
+ * @param {{username:string, mbps:number, ips:string[]}[]} limits enabled users with a limit and their recent IPs
+ * @returns {Promise<boolean>} true if tc was changed
+ */
+async function applySpeedLimits(limits) {
+  const next = planShaping(limits, _applied);
+  if (_applied && JSON.stringify(next) === JSON.stringify({ classes: _applied.classes, filters: _applied.filters })) return false;
+  try {
+    const iface = _applied?.iface || await shapingInterface();
+    if (!next.classes.length) {
+      // Nothing to limit: remove our qdiscs if we installed them (or, at startup, if a previous run left them)
+      const installed = _applied ? _applied.classes.length > 0 : await ownsIfb();
+      if (installed) await utils.runCmd(clearCommand(iface), { timeout: 15000 });
+      _applied = { iface, ...next };
+      _lastError = '';
+      if (installed) console.log('[SHAPER] limits removed from', iface);
+      return installed;
+    }
+    if (!_applied?.classes.length) {
+      await utils.runCmd(`${clearCommand(iface)}; modprobe ifb numifbs=0 2>/dev/null; ip link show ${IFB_DEVICE} >/dev/null 2>&1 || ip link add ${IFB_DEVICE} type ifb; ip link set dev ${IFB_DEVICE} up`, { timeout: 15000 });
+      await runBatch(tcBatch(null, next, { iface }));
+    } else {
+      await runBatch(tcBatch(_applied, next, { iface }));
+    }
+    _applied = { iface, ...next };
+    _lastError = '';
+    console.log('[SHAPER] limits applied on', iface, next.classes.map(c => `${c.username}=${c.kbit / 1000}Mbit/s`).join(' '));
+    return true;
+  } catch (e) {
+    // Unknown state after a partial batch: the next call starts over from scratch
+    _applied = null;
+    const message = `${e.stderr || ''}`.trim() || e.message;
+    if (message !== _lastError) console.warn('[SHAPER] apply failed:', message);
+    _lastError = message;
+    return false;
+  }
+}
+
+// Whether the IFB device carries an HTB root, i.e. limits of an earlier run are still installed
+async function ownsIfb() {
+  try {
+    const { stdout } = await utils.runCmd(`tc qdisc show dev ${IFB_DEVICE} root`, { timeout: 5000 });
+    return /\bhtb 1:/.test(stdout);
+  } catch {
+    return false;
+  }
+}
+
+export default { IFB_DEVICE, planShaping, tcBatch, applySpeedLimits };
@@ -13,11 +13,12 @@
 import { exec } from 'child_process';
 
 function registerStatusRoutes(app, utils) {
-  const { XRAY_BIN, PSIPHON_BIN } = utils;
+  const { XRAY_BIN, PSIPHON_BIN, getXrayHealth, accessLog } = utils;
 
   /**
    * GET /api/status
-   * Returns whether Xray and Psiphon processes are running.
+   * Returns whether Xray and Psiphon processes are running, plus the post-change watchdog state
+   * (xrayHealth: state, error, Xray output, revision rolled back to).
    */
   app.get('/api/status', async (req, res) => {
     try {
@@ -30,12 +31,56 @@ function registerStatusRoutes(app, utils) {
       res.json({
         xray: xrayStatus ? 'running' : 'stopped',
         psiphon: psiphonStatus ? 'running' : 'stopped',
+        xrayHealth: getXrayHealth(),
       });
     } catch (e) {
       res.status(500).json({ error: e.message });
     }
   });
 
+  /**
+   * GET /api/connections?user=&outbound=&dest=&status=&since=&limit=
+   * Recent connections from the Xray access log (shared tailer ring buffer), newest first.
+   * - user: exact client email (= username); outbound: exact outbound tag; dest: case-insensitive substring
+   *   of the destination host
+   * - status: accepted | rejected (default: both); since: epoch ms; limit: 1-1000 (default 200)
+   */
+  app.get('/api/connections', (req, res) => {
+    try {
+      const { user, outbound, dest, status } = req.query;
+      const limit = Math.min(1000, Math.max(1, Number(req.query.limit) || 200));
+      const since = Number(req.query.since) || 0;
+      const destNeedle = dest ? String(dest).toLowerCase() : '';
+      accessLog.start();
+      accessLog.poll();
+      const records = accessLog.query({
+        since,
+        limit,
+        filter: r => (!user || r.email === user)
+          && (!outbound || r.outbound === outbound)
+          && (!status || r.status === status)
+          && (!destNeedle || (r.dest || '').toLowerCase().includes(destNeedle)),
+      });
+      res.json({
+        connections: records.map(r => ({
+          time: new Date(r.time).toISOString(),
+          user: r.email,
+          srcIp: r.srcIp,
+          srcPort: r.srcPort,
+          network: r.network,
+          dest: r.dest,
+          destPort: r.destPort,
+          inbound: r.inbound,
+          outbound: r.outbound,
+          status: r.status,
+          reason: r.reason,
+        })),
+        buffered: accessLog.stats().buffered,
+      });
+    } catch (e) {
+      res.status(500).json({ error: e.message });
+    }
+  });
 
   /**
    * POST /api/restart/xray
@@ -0,0 +1,148 @@
+'use strict';
+
+/**
+ * Crash-safe JSON persistence used for every state file (users.json, usage-store.json, domains.json,
+ * the Xray config, config history).
+ * - writes go to a temp file in the same directory, are fsync'ed, then renamed over the target
+ *   (readers see either the old or the new file, never a truncated one)
+ * - before each replace the current file, if it parses, is copied to "<file>.bak" (last good copy)
+ * - reads that hit an empty/corrupt file fall back to "<file>.bak" and restore it
+ * - acquireFileLock/withFileLock/updateJson serialize read-modify-write cycles per file inside this process
+ */
+import { closeSync, copyFileSync, existsSync, fsyncSync, openSync, readFileSync, renameSync, unlinkSync, writeSync } from 'fs';
+import path from 'path';
+
+const _locks = new Map(); // resolved path -> tail promise of the lock queue
+let _tmpSeq = 0;
+
+function backupPath(filePath) {
+  return `${filePath}.bak`;
+}
+
+function fsyncDir(dirPath) {
+  // Persist the rename itself; not supported on every platform/filesystem, so best-effort
+  try {
+    const fd = openSync(dirPath, 'r');
+    try { fsyncSync(fd); } finally { closeSync(fd); }
+  } catch {}
+}
+
+/**
+ * Read and parse a JSON file, recovering from "<file>.bak" when the file is empty or corrupt.
+ * Throws (like readFileSync) when the file does not exist.
+ * @param {string} filePath
+ * @returns {any}
+ */
+function readJsonFile(filePath) {
+  const raw = readFileSync(filePath, 'utf8');
+  try {
+    return JSON.parse(raw);
+  } catch (e) {
+    const bak = backupPath(filePath);
+    if (!existsSync(bak)) throw e;
+    const data = JSON.parse(readFileSync(bak, 'utf8'));
+    console.warn('[STORAGE] corrupt file, restored last good copy:', filePath, e.message);
+    writeFileAtomic(filePath, JSON.stringify(data, null, 2), { backup: false });
+    return data;
+  }
+}
+
+/**
+ * Atomically replace a file: temp file + fsync + rename (+ directory fsync).
+ * @param {string} filePath
+ * @param {string} content
+ * @param {{backup?:boolean, mode?:number}} [opts] backup: keep the current parseable file as "<file>.bak"
+ */
+function writeFileAtomic(filePath, content, { backup = true, mode } = {}) {
+  const dir = path.dirname(filePath);
+  const tmp = path.join(dir, `.${path.basename(filePath)}.tmp-${process.pid}-${_tmpSeq++}`);
+  const fd = openSync(tmp, 'w', mode);
+  try {
+    writeSync(fd, content);
+    fsyncSync(fd);
+  } finally {
+    closeSync(fd);
+  }
+  try {
+    if (backup && existsSync(filePath)) {
+      try {
+        JSON.parse(readFileSync(filePath, 'utf8'));
+        copyFileSync(filePath, backupPath(filePath));
+      } catch { /* never overwrite the last good copy with a corrupt file */ }
+    }
+    renameSync(tmp, filePath);
+  } catch (e) {
+    try { unlinkSync(tmp); } catch {}
+    throw e;
+  }
+  fsyncDir(dir);
+}
+
+/**
+ * Write an object as formatted JSON, atomically.
+ * @param {string} filePath
+ * @param {any} data
+ */
+function writeJsonFile(filePath, data) {
+  writeFileAtomic(filePath, JSON.stringify(data, null, 2));
+}
+
+/**
+ * Wait for the in-process lock on filePath (FIFO). Resolves with a release function that must be
+ * called exactly once, typically from a finally block.
+ * @param {string} filePath
+ * @returns {Promise<() => void>}
+ */
+function acquireFileLock(filePath) {
+  const key = path.resolve(filePath);
+  const prev = _locks.get(key) || Promise.resolve();
+  let release;
+  const held = new Promise(resolve => { release = resolve; });
+  const tail = prev.then(() => held);
+  _locks.set(key, tail);
+  tail.then(() => { if (_locks.get(key) === tail) _locks.delete(key); });
+  return prev.then(() => release);
+}
+
+/**
+ * Run fn while holding the in-process lock for filePath.
+ * @template T
+ * @param {string} filePath
+ * @param {() => T | Promise<T>} fn
+ * @returns {Promise<T>}
+ */
+async function withFileLock(filePath, fn) {
+  const release = await acquireFileLock(filePath);
+  try {
+    return await fn();
+  } finally {
+    release();
+  }
+}
+
+/**
+ * Locked read-modify-write of a JSON file. The mutator may modify the data in place or return a
+ * replacement; it may be async. A missing file starts from `fallback`.
+ * @template T
+ * @param {string} filePath
+ * @param {(data:T) => T | void | Promise<T | void>} mutator
+ * @param {T} [fallback]
+ * @returns {Promise<T>} the data as written
+ */
+function updateJson(filePath, mutator, fallback) {
+  return withFileLock(filePath, async () => {
+    let data;
+    try {
+      data = readJsonFile(filePath);
+    } catch (e) {
+      if (e.code !== 'ENOENT' || fallback === undefined) throw e;
+      data = structuredClone(fallback);
+    }
+    const result = await mutator(data);
+    const next = result === undefined ? data : result;
+    writeJsonFile(filePath, next);
+    return next;
+  });
+}
+
+export default { readJsonFile, writeJsonFile, writeFileAtomic, acquireFileLock, withFileLock, updateJson };
@@ -0,0 +1,235 @@
+'use strict';
+
+/**
+ * Subscription documents for client apps (served by users.js at GET /sub/:token, outside /api auth; the
+ * token is the user's subToken):
+ * - base64: the user's share links, one per line, base64 encoded (v2rayN, v2rayNG, Shadowrocket, ...)
+ * - clash: complete Clash Meta/Mihomo profile (YAML, see clashConfig)
+ * - singbox: complete sing-box profile (JSON, see singboxConfig)
+ * The format comes from ?format= (base64|clash|mihomo|singbox|sing-box), else from the User-Agent.
+ * Clash and sing-box entries are read back from the same share links the base64 list carries (link templates
+ * and endpoints applied, see protocols.parseShareLink), limited to the transports they support (tcp, ws,
+ * httpupgrade, grpc); the others stay in the base64 list only. With nothing left the profile is an error
+ * (users.js answers 422). Admins download the same profiles from GET /api/users/:username/client-config.
+ * Disabled users get no document (users.js answers 403).
+ *
+ * subscription-userinfo header: upload/download bytes, total = quota bytes (0 = unlimited),
+ * expire = expiry as unix seconds (0 = never).
+ */
+import protocols from './protocols.js';
+
+const FORMATS = { base64: 'base64', clash: 'clash', mihomo: 'clash', singbox: 'singbox', 'sing-box': 'singbox' };
+const UPDATE_INTERVAL_HOURS = 12;
+// Client profiles: destinations under these suffixes (and private/LAN addresses) bypass the proxy
+const DIRECT_DOMAIN_SUFFIXES = ['ir'];
+const REMOTE_DNS = ['https://1.1.1.1/dns-query', 'https://8.8.8.8/dns-query'];
+const PROBE_URL = 'https://www.gstatic.com/generate_204';
+const PROFILE_NETWORKS = ['tcp', 'ws', 'httpupgrade', 'grpc'];
+
+/**
+ * @param {string} [format] ?format= value
+ * @param {string} [userAgent]
+ * @returns {'base64'|'clash'|'singbox'}
+ */
+function detectFormat(format, userAgent = '') {
+  if (format && FORMATS[String(format).toLowerCase()]) return FORMATS[String(format).toLowerCase()];
+  if (/clash|mihomo|stash/i.test(userAgent)) return 'clash';
+  if (/sing-?box|SFA|SFI|SFM|SFT/.test(userAgent)) return 'singbox';
+  return 'base64';
+}
+
+/**
+ * subscription-userinfo header value.
+ * @param {{uplinkBytes?:number, downlinkBytes?:number, quota?:number, expiry?:string}} user enriched user (users.js);
+ *   stored users fall back to usageUpBytes/usageDownBytes
+ */
+function userInfoHeader(user) {
+  const total = typeof user.quota === 'number' && user.quota > 0 ? Math.round(user.quota * 1073741824) : 0;
+  const expire = user.expiry ? Math.floor(Date.parse(user.expiry) / 1000) || 0 : 0;
+  const upload = Math.round(user.uplinkBytes ?? user.usageUpBytes ?? 0);
+  const download = Math.round(user.downlinkBytes ?? user.usageDownBytes ?? 0);
+  return `upload=${upload}; download=${download}; total=${total}; expire=${expire}`;
+}
+
+// Unique proxy/outbound names: clients key proxies by name
+function uniqueNames(targets) {
+  const seen = new Map();
+  return targets.map(t => {
+    const tag = protocols.inboundTag(t.inbound);
+    const base = t.endpoint ? `${tag} (${t.endpoint})` : tag;
+    const n = (seen.get(base) || 0) + 1;
+    seen.set(base, n);
+    return n === 1 ? base : `${base} ${n}`;
+  });
+}
+
+/**
+ * Clash/Mihomo proxy entry, or null when the link is unreadable or its transport has no Clash equivalent.
+ * @param {object|null} p protocols.parseShareLink() of the user's link
+ * @param {string} name
+ */
+function clashProxy(p, name) {
+  if (!p || !PROFILE_NETWORKS.includes(p.network)) return null;
+  const proxy = { name, type: p.protocol === 'shadowsocks' ? 'ss' : p.protocol, server: p.address, port: p.port, udp: true };
+  if (p.protocol === 'shadowsocks') return { ...proxy, cipher: p.method, password: p.password };
+  if (p.uuid) proxy.uuid = p.uuid;
+  if (p.password) proxy.password = p.password;
+  if (p.protocol === 'vmess') Object.assign(proxy, { alterId: 0, cipher: 'auto' });
+  if (p.security === 'tls' || p.security === 'reality') {
+    if (p.protocol !== 'trojan') proxy.tls = true;
+    if (p.sni) proxy[p.protocol === 'trojan' ? 'sni' : 'servername'] = p.sni;
+    if (p.alpn) proxy.alpn = p.alpn.split(',');
+    if (p.fp) proxy['client-fingerprint'] = p.fp;
+    if (p.allowInsecure) proxy['skip-cert-verify'] = true;
+    if (p.security === 'reality') proxy['reality-opts'] = { 'public-key': p.pbk, 'short-id': p.sid };
+  }
+  if (p.network === 'ws' || p.network === 'httpupgrade') {
+    proxy.network = 'ws';
+    proxy['ws-opts'] = { path: p.path, headers: { Host: p.host }, ...(p.network === 'httpupgrade' ? { 'v2ray-http-upgrade': true } : {}) };
+  } else if (p.network === 'grpc') {
+    proxy.network = 'grpc';
+    proxy['grpc-opts'] = { 'grpc-service-name': p.serviceName };
+  }
+  return proxy;
+}
+
+/**
+ * sing-box outbound, or null when the link is unreadable or its transport has no sing-box equivalent.
+ * @param {object|null} p protocols.parseShareLink() of the user's link
+ * @param {string} tag
+ */
+function singboxOutbound(p, tag) {
+  if (!p || !PROFILE_NETWORKS.includes(p.network)) return null;
+  const cred = p.protocol === 'shadowsocks' ? { method: p.method, password: p.password } : p.uuid ? { uuid: p.uuid } : { password: p.password };
+  const out = { type: p.protocol, tag, server: p.address, server_port: p.port, ...cred };
+  if (p.protocol === 'vmess') Object.assign(out, { security: 'auto', alter_id: 0 });
+  if (p.security === 'tls' || p.security === 'reality') {
+    out.tls = { enabled: true, server_name: p.sni || undefined, insecure: p.allowInsecure || undefined, alpn: p.alpn ? p.alpn.split(',') : undefined };
+    if (p.fp) out.tls.utls = { enabled: true, fingerprint: p.fp };
+    if (p.security === 'reality') out.tls.reality = { enabled: true, public_key: p.pbk, short_id: p.sid };
+  }
+  if (p.network === 'ws') out.transport = { type: 'ws', path: p.path, headers: { Host: p.host } };
+  else if (p.network === 'httpupgrade') out.transport = { type: 'httpupgrade', host: p.host, path: p.path };
+  else if (p.network === 'grpc') out.transport = { type: 'grpc', service_name: p.serviceName };
+  return out;
+}
+
+// YAML scalars as JSON strings/numbers (JSON is a YAML subset), block style for maps and lists
+function toYaml(value, indent = '') {
+  if (Array.isArray(value)) {
+    if (!value.length) return ' []';
+    return value.map(v => `\n${indent}- ${v && typeof v === 'object' ? toYaml(v, `${indent}  `).trimStart() : JSON.stringify(v)}`).join('');
+  }
+  if (value && typeof value === 'object') {
+    return Object.entries(value).filter(([, v]) => v !== undefined).map(([k, v]) => `\n${indent}${JSON.stringify(k)}:${v && typeof v === 'object' ? toYaml(v, `${indent}  `) : ` ${JSON.stringify(v)}`}`).join('');
+  }
+  return ` ${JSON.stringify(value)}`;
+}
+
+/**
+ * Complete Clash Meta (Mihomo) profile: DNS, proxies behind a select group with an url-test "AUTO" entry,
+ * and rules sending LAN/private and Iranian destinations (.ir, GeoIP IR) direct.
+ * @param {object[]} proxies clashProxy() entries
+ */
+function clashConfig(proxies) {
+  const names = proxies.map(p => p.name);
+  return {
+    'mixed-port': 7890,
+    'allow-lan': false,
+    mode: 'rule',
+    'log-level': 'warning',
+    ipv6: false,
+    dns: {
+      enable: true,
+      ipv6: false,
+      'enhanced-mode': 'fake-ip',
+      'fake-ip-range': '198.18.0.1/16',
+      'fake-ip-filter': ['+.lan', '+.local', ...DIRECT_DOMAIN_SUFFIXES.map(d => `+.${d}`)],
+      'default-nameserver': ['1.1.1.1', '8.8.8.8'],
+      nameserver: REMOTE_DNS,
+      'nameserver-policy': Object.fromEntries(DIRECT_DOMAIN_SUFFIXES.map(d => [`+.${d}`, 'system'])),
+    },
+    proxies,
+    'proxy-groups': [
+      { name: 'PROXY', type: 'select', proxies: names.length > 1 ? ['AUTO', ...names] : names },
+      ...(names.length > 1 ? [{ name: 'AUTO', type: 'url-test', proxies: names, url: PROBE_URL, interval: 300, tolerance: 50 }] : []),
+    ],
+    rules: [
+      'GEOIP,LAN,DIRECT,no-resolve',
+      ...DIRECT_DOMAIN_SUFFIXES.map(d => `DOMAIN-SUFFIX,${d},DIRECT`),
+      'GEOIP,IR,DIRECT',
+      'MATCH,PROXY',
+    ],
+  };
+}
+
+/**
+ * Complete sing-box (1.11+) profile: tun and local mixed inbounds, DNS (remote through the proxy, direct
+ * domains through the system resolver), the outbounds behind a selector with an urltest "auto" entry, and
+ * routing that sends private IPs and .ir domains direct. sing-box has no bundled GeoIP database, so unlike
+ * the Clash profile Iranian IPs without a .ir name go through the proxy.
+ * @param {object[]} outbounds singboxOutbound() entries
+ */
+function singboxConfig(outbounds) {
+  const tags = outbounds.map(o => o.tag);
+  const directSuffixes = DIRECT_DOMAIN_SUFFIXES.map(d => `.${d}`);
+  return {
+    log: { level: 'warn', timestamp: true },
+    dns: {
+      servers: [
+        { tag: 'dns-remote', address: REMOTE_DNS[0], detour: 'proxy' },
+        { tag: 'dns-direct', address: 'local' },
+      ],
+      // Server names of the outbounds themselves are resolved directly, not through the proxy they lead to
+      rules: [{ outbound: 'any', server: 'dns-direct' }, { domain_suffix: directSuffixes, server: 'dns-direct' }],
+      final: 'dns-remote',
+      strategy: 'prefer_ipv4',
+    },
+    inbounds: [
+      { type: 'tun', tag: 'tun-in', address: ['172.19.0.1/30'], auto_route: true, strict_route: true, stack: 'mixed' },
+      { type: 'mixed', tag: 'mixed-in', listen: '127.0.0.1', listen_port: 2080 },
+    ],
+    outbounds: [
+      { type: 'selector', tag: 'proxy', outbounds: tags.length > 1 ? ['auto', ...tags] : tags },
+      ...(tags.length > 1 ? [{ type: 'urltest', tag: 'auto', outbounds: tags, url: PROBE_URL, interval: '5m', tolerance: 50 }] : []),
+      ...outbounds,
+      { type: 'direct', tag: 'direct' },
+    ],
+    route: {
+      rules: [
+        { action: 'sniff' },
+        { protocol: 'dns', action: 'hijack-dns' },
+        { ip_is_private: true, outbound: 'direct' },
+        { domain_suffix: directSuffixes, outbound: 'direct' },
+      ],
+      final: 'proxy',
+      auto_detect_interface: true,
+    },
+  };
+}
+
+/**
+ * Build the subscription body for a user (Clash and sing-box get complete profiles, also served by the
+ * client config export in users.js).
+ * @param {'base64'|'clash'|'singbox'} format
+ * @param {object} user stored user (credentials)
+ * @param {{inbound:object, template:object, endpoint:string|null, name:string}[]} targets protocols.userLinkTargets()
+ * @returns {{contentType?:string, body?:string, filename?:string, error?:string}} error: no link fits the profile
+ */
+function renderSubscription(format, user, targets) {
+  const names = uniqueNames(targets);
+  const links = targets.map(t => protocols.shareLink(t.inbound, user, t.template, t.name));
+  if (format === 'clash' || format === 'singbox') {
+    const entries = links.map((url, i) => (format === 'clash' ? clashProxy : singboxOutbound)(protocols.parseShareLink(url), names[i])).filter(Boolean);
+    if (!entries.length) {
+      return { error: `No link of ${user.username} fits a ${format === 'clash' ? 'Clash' : 'sing-box'} profile (supported transports: ${PROFILE_NETWORKS.join(', ')})` };
+    }
+    if (format === 'clash') {
+      return { contentType: 'text/yaml; charset=utf-8', body: `${toYaml(clashConfig(entries)).trimStart()}\n`, filename: `${user.username}.yaml` };
+    }
+    return { contentType: 'application/json; charset=utf-8', body: JSON.stringify(singboxConfig(entries), null, 2), filename: `${user.username}.json` };
+  }
+  return { contentType: 'text/plain; charset=utf-8', body: Buffer.from(links.join('\n')).toString('base64'), filename: user.username };
+}
+
+export default { UPDATE_INTERVAL_HOURS, detectFormat, userInfoHeader, renderSubscription };
@@ -0,0 +1,80 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { appendFileSync, mkdtempSync, renameSync, rmSync, truncateSync, writeFileSync } from 'fs';
+import os from 'os';
+import path from 'path';
+import accessLog from '../access-log.js';
+
+const { parseAccessLine, createAccessLogTailer } = accessLog;
+
+test('parseAccessLine reads accepted connections', () => {
+  const rec = parseAccessLine('2025/01/02 03:04:05.250000 from tcp:1.2.3.4:5678 accepted tcp:example.com:443 [vless-ws >> direct] email: alice');
+  assert.deepEqual(rec, {
+    time: new Date(2025, 0, 2, 3, 4, 5, 250).getTime(),
+    srcIp: '1.2.3.4', srcPort: 5678, status: 'accepted', network: 'tcp', dest: 'example.com', destPort: 443,
+    inbound: 'vless-ws', outbound: 'direct', email: 'alice', reason: null,
+  });
+});
+
+test('parseAccessLine handles IPv6, older route formats and rejections', () => {
+  const v6 = parseAccessLine('2025/01/02 03:04:05 from [2001:db8::1]:443 accepted udp:[2001:db8::2]:53 [psiphon]');
+  assert.equal(v6.srcIp, '2001:db8::1');
+  assert.equal(v6.dest, '2001:db8::2');
+  assert.equal(v6.destPort, 53);
+  assert.equal(v6.inbound, null);
+  assert.equal(v6.outbound, 'psiphon');
+  assert.equal(parseAccessLine('2025/01/02 03:04:05 from 1.2.3.4:1 accepted tcp:a.b:80 [in -> out]').inbound, 'in');
+  const rejected = parseAccessLine('2025/01/02 03:04:05 from 1.2.3.4:1 rejected  proxy/vless/encoding: invalid user');
+  assert.equal(rejected.status, 'rejected');
+  assert.equal(rejected.reason, 'proxy/vless/encoding: invalid user');
+  assert.equal(parseAccessLine('2025/01/02 03:04:05 [Info] app/dispatcher: taking detour'), null);
+});
+
+function line(n, email = 'alice') {
+  return `2025/01/02 03:04:${String(n).padStart(2, '0')} from 1.2.3.4:${1000 + n} accepted tcp:host${n}.example:443 [in >> out] email: ${email}\n`;
+}
+
+test('tailer reads appended lines, keeps partial lines and follows log rotation', t => {
+  const dir = mkdtempSync(path.join(os.tmpdir(), 'access-log-'));
+  t.after(() => rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, 'access.log');
+  writeFileSync(file, line(1) + line(2));
+  const tailer = createAccessLogTailer(file, { ringSize: 10 });
+  const seen = [];
+  tailer.onRecords(records => seen.push(...records.map(r => r.dest)));
+
+  assert.deepEqual(tailer.poll().map(r => r.dest), ['host1.example', 'host2.example']);
+  assert.deepEqual(tailer.poll(), []);
+
+  // A line written in two pieces is only parsed once complete
+  const third = line(3);
+  appendFileSync(file, third.slice(0, 20));
+  assert.deepEqual(tailer.poll(), []);
+  appendFileSync(file, third.slice(20));
+  assert.deepEqual(tailer.poll().map(r => r.dest), ['host3.example']);
+
+  // logrotate (create): the old file is moved away, a new inode starts from its beginning
+  renameSync(file, `${file}.1`);
+  writeFileSync(file, line(4));
+  assert.deepEqual(tailer.poll().map(r => r.dest), ['host4.example']);
+
+  // copytruncate: same inode, shorter than the offset
+  truncateSync(file, 0);
+  assert.deepEqual(tailer.poll(), []);
+  appendFileSync(file, line(5));
+  assert.deepEqual(tailer.poll().map(r => r.dest), ['host5.example']);
+
+  assert.deepEqual(seen, ['host1.example', 'host2.example', 'host3.example', 'host4.example', 'host5.example']);
+  assert.deepEqual(tailer.query({ limit: 2 }).map(r => r.dest), ['host5.example', 'host4.example']);
+});
+
+test('tailer ring keeps only the newest records', t => {
+  const dir = mkdtempSync(path.join(os.tmpdir(), 'access-log-'));
+  t.after(() => rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, 'access.log');
+  writeFileSync(file, [1, 2, 3, 4, 5].map(n => line(n)).join(''));
+  const tailer = createAccessLogTailer(file, { ringSize: 3 });
+  tailer.poll();
+  assert.deepEqual(tailer.query().map(r => r.dest), ['host5.example', 'host4.example', 'host3.example']);
+  assert.deepEqual(tailer.stats().total, 5);
+});
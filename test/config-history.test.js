@@ -0,0 +1,74 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'fs';
+import os from 'os';
+import path from 'path';
+import express from 'express';
+
+// The history directory is fixed at import time
+const dir = mkdtempSync(path.join(os.tmpdir(), 'config-history-'));
+process.env.CONFIG_HISTORY_DIR = dir;
+const { default: configHistory } = await import('../config-history.js');
+
+test.after(() => rmSync(dir, { recursive: true, force: true }));
+
+test('diffJson reports added, removed and changed paths', () => {
+  const a = { log: { loglevel: 'warning' }, inbounds: [{ port: 443 }], api: { tag: 'api' } };
+  const b = { log: { loglevel: 'debug' }, inbounds: [{ port: 443 }, { port: 8443 }], stats: {} };
+  assert.deepEqual(configHistory.diffJson(a, b), [
+    { path: 'log.loglevel', op: 'change', from: 'warning', to: 'debug' },
+    { path: 'inbounds[1]', op: 'add', to: { port: 8443 } },
+    { path: 'api', op: 'remove', from: { tag: 'api' } },
+    { path: 'stats', op: 'add', to: {} },
+  ]);
+  assert.deepEqual(configHistory.diffJson({ a: [1] }, { a: { 0: 1 } }), [{ path: 'a', op: 'change', from: [1], to: { 0: 1 } }]);
+  assert.deepEqual(configHistory.diffJson(1, 1), []);
+});
+
+test('recordRevision stores a baseline first and skips unchanged configs', () => {
+  const first = configHistory.recordRevision({ v: 2 }, { actor: 'admin', source: 'POST /api/config', reason: 'edit' }, { v: 1 });
+  assert.equal(first.actor, 'admin');
+  const list = configHistory.listRevisions();
+  assert.deepEqual(list.map(r => r.source), ['POST /api/config', 'baseline']);
+  assert.deepEqual(configHistory.getRevision(list[1].id).config, { v: 1 });
+  assert.equal(configHistory.recordRevision({ v: 2 }, {}), null);
+  assert.equal(configHistory.listRevisions().length, 2);
+  assert.equal(configHistory.getRevision('../index'), null);
+});
+
+test('rollback re-applies a revision through the checked save and restarts Xray', async t => {
+  let live = { v: 3 };
+  const calls = [];
+  let save = async (config, meta) => { calls.push(['save', config, meta.reason]); live = config; return { tested: true }; };
+  const utils = {
+    CONFIG_FILE: 'unused',
+    readJson: () => live,
+    saveXrayConfigChecked: (config, meta) => save(config, meta),
+    restartXray: () => calls.push(['restart']),
+  };
+  const app = express();
+  configHistory.registerConfigHistoryRoutes(app, utils);
+  const server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  t.after(() => new Promise(resolve => server.close(resolve)));
+  const base = `http://127.0.0.1:${server.address().port}/api/config/revisions`;
+
+  const baseline = configHistory.listRevisions().find(r => r.source === 'baseline');
+  const diff = await (await fetch(`${base}/${baseline.id}/diff/current`)).json();
+  assert.deepEqual(diff.changes, [{ path: 'v', op: 'change', from: 1, to: 3 }]);
+
+  const res = await fetch(`${base}/${baseline.id}/rollback`, { method: 'POST' });
+  assert.equal(res.status, 200);
+  assert.deepEqual(await res.json(), { rolledBack: baseline.id, tested: true });
+  assert.deepEqual(calls, [['save', { v: 1 }, `Rollback to ${baseline.id}`], ['restart']]);
+
+  assert.equal((await fetch(`${base}/1-000/rollback`, { method: 'POST' })).status, 404);
+
+  // A revision xray now rejects is reported with the binary's output and nothing is restarted
+  calls.length = 0;
+  save = async () => { throw Object.assign(new Error('Xray rejected the config'), { status: 422, output: 'bad' }); };
+  const rejected = await fetch(`${base}/${baseline.id}/rollback`, { method: 'POST' });
+  assert.equal(rejected.status, 422);
+  assert.deepEqual(await rejected.json(), { error: 'Xray rejected the config', output: 'bad' });
+  assert.deepEqual(calls, []);
+});
@@ -0,0 +1,49 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { chmodSync, mkdtempSync, readdirSync, readFileSync, rmSync, writeFileSync } from 'fs';
+import os from 'os';
+import path from 'path';
+
+// utils.js reads the paths at import time: point them at a scratch directory and a stub xray first
+const dir = mkdtempSync(path.join(os.tmpdir(), 'config-save-'));
+const configFile = path.join(dir, 'config.json');
+const stub = path.join(dir, 'xray');
+// The stub mimics `xray run -test -config FILE`: configs mentioning "broken-outbound" fail
+writeFileSync(stub, `#!/bin/sh
+if grep -q broken-outbound "$4"; then
+  echo "Failed to build outbound config with tag broken-outbound" >&2
+  exit 23
+fi
+echo "Configuration OK."
+`);
+chmodSync(stub, 0o755);
+Object.assign(process.env, { XRAY_CONFIG_FILE: configFile, XRAY_BIN: stub, CONFIG_HISTORY_DIR: path.join(dir, 'history') });
+const { default: utils } = await import('../utils.js');
+const { default: configHistory } = await import('../config-history.js');
+
+test.after(() => rmSync(dir, { recursive: true, force: true }));
+
+const live = { outbounds: [{ tag: 'direct', protocol: 'freedom' }] };
+
+test('a config the stub accepts replaces the live file and is recorded as a revision', async () => {
+  writeFileSync(configFile, JSON.stringify(live));
+  const next = { outbounds: [...live.outbounds, { tag: 'blocked', protocol: 'blackhole' }] };
+  assert.deepEqual(await utils.saveXrayConfigChecked(next, { actor: 'admin', source: 'test' }), { tested: true });
+  assert.deepEqual(JSON.parse(readFileSync(configFile, 'utf8')), next);
+  assert.equal(configHistory.listRevisions()[0].source, 'test');
+  assert.deepEqual(readdirSync(dir).filter(f => f.startsWith('.config.candidate')), []);
+});
+
+test('a config the stub rejects leaves the live file untouched and returns the output', async () => {
+  writeFileSync(configFile, JSON.stringify(live));
+  const revisions = configHistory.listRevisions().length;
+  const bad = { outbounds: [{ tag: 'broken-outbound', protocol: 'freedom' }] };
+  await assert.rejects(utils.saveXrayConfigChecked(bad), err => {
+    assert.equal(err.status, 422);
+    assert.match(err.output, /Failed to build outbound config with tag broken-outbound/);
+    return true;
+  });
+  assert.deepEqual(JSON.parse(readFileSync(configFile, 'utf8')), live);
+  assert.equal(configHistory.listRevisions().length, revisions);
+  assert.deepEqual(readdirSync(dir).filter(f => f.startsWith('.config.candidate')), []);
+});
@@ -0,0 +1,61 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import configValidator from '../config-validator.js';
+
+const { validateXrayConfig } = configValidator;
+const UUID = '3f0c2a52-6c1d-4d7e-9a1b-2c3d4e5f6a7b';
+
+function validConfig() {
+  return {
+    api: { tag: 'api', services: ['StatsService'] },
+    inbounds: [
+      { tag: 'vless-in', port: 443, protocol: 'vless', settings: { decryption: 'none', clients: [{ id: UUID, email: 'alice' }] } },
+      { tag: 'ss-in', port: '8388', protocol: 'shadowsocks', settings: { method: '2022-blake3-aes-128-gcm', password: 'c2VydmVyLWtleS0xMjM0NQ==', clients: [] } },
+      { tag: 'api', listen: '127.0.0.1', port: 10085, protocol: 'dokodemo-door', settings: { address: '127.0.0.1' } },
+    ],
+    outbounds: [{ tag: 'direct', protocol: 'freedom' }, { tag: 'blocked', protocol: 'blackhole' }],
+    routing: { rules: [{ type: 'field', inboundTag: ['api'], outboundTag: 'api' }, { type: 'field', ip: ['geoip:private'], outboundTag: 'blocked' }] },
+  };
+}
+
+const paths = list => list.map(x => x.path);
+
+test('validateXrayConfig accepts a valid config', () => {
+  const { errors } = validateXrayConfig(validConfig());
+  assert.deepEqual(errors, []);
+});
+
+test('validateXrayConfig rejects non-objects', () => {
+  assert.deepEqual(paths(validateXrayConfig([]).errors), ['$']);
+  assert.deepEqual(paths(validateXrayConfig(null).errors), ['$']);
+});
+
+test('validateXrayConfig reports duplicate tags, bad ports and unknown protocols', () => {
+  const config = validConfig();
+  config.inbounds.push({ tag: 'vless-in', port: 70000, protocol: 'nope', settings: {} });
+  const { errors } = validateXrayConfig(config);
+  assert.deepEqual(paths(errors), ['inbounds[3].tag', 'inbounds[3].protocol', 'inbounds[3].port']);
+});
+
+test('validateXrayConfig checks client ids', () => {
+  const config = validConfig();
+  config.inbounds[0].settings.clients.push({ id: UUID }, { id: 'x'.repeat(31) }, { id: 'short' });
+  const { errors, warnings } = validateXrayConfig(config);
+  assert.deepEqual(paths(errors), ['inbounds[0].settings.clients[1].id', 'inbounds[0].settings.clients[2].id']);
+  assert.deepEqual(paths(warnings), ['inbounds[0].settings.clients[3].id']);
+});
+
+test('validateXrayConfig requires a Shadowsocks method unless every client has one', () => {
+  const config = validConfig();
+  delete config.inbounds[1].settings.method;
+  assert.deepEqual(paths(validateXrayConfig(config).errors), ['inbounds[1].settings.method']);
+  config.inbounds[1].settings.clients = [{ method: 'aes-128-gcm', password: 'p' }];
+  assert.deepEqual(validateXrayConfig(config).errors, []);
+});
+
+test('validateXrayConfig checks routing targets', () => {
+  const config = validConfig();
+  config.routing.rules.push({ type: 'field', domain: [], outboundTag: 'missing' }, { type: 'field', balancerTag: 'nobody' });
+  const { errors } = validateXrayConfig(config);
+  assert.deepEqual(paths(errors), ['routing.rules[2].outboundTag', 'routing.rules[2].domain', 'routing.rules[3].balancerTag']);
+});
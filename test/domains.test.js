@@ -0,0 +1,70 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import domains from '../domains.js';
+
+const { compileDomainRules, MANAGED_RULE_TAG } = domains;
+const opts = { defaultTarget: 'psiphon', psiphonTag: 'psiphon' };
+
+function baseConfig(rules = []) {
+  return {
+    outbounds: [
+      { tag: 'direct', protocol: 'freedom' },
+      { tag: 'psiphon', protocol: 'socks' },
+      { tag: 'blocked', protocol: 'blackhole' },
+      { tag: 'wg', protocol: 'wireguard' },
+    ],
+    routing: { rules },
+  };
+}
+
+test('compileDomainRules groups matchers per target outbound', () => {
+  const config = baseConfig();
+  const result = compileDomainRules(config, [
+    { domain: 'example.com' },
+    { domain: '*.example.org', wildcard: true },
+    { domain: 'geosite:netflix', outbound: 'wg' },
+    { domain: 'ads.example.net', outbound: 'block' },
+    { domain: 'off.example.com', enabled: false },
+  ], opts);
+  assert.deepEqual(result, { changed: true, skipped: [] });
+  assert.deepEqual(config.routing.rules, [
+    { type: 'field', ruleTag: MANAGED_RULE_TAG, domain: ['full:example.com', 'domain:example.org'], outboundTag: 'psiphon' },
+    { type: 'field', ruleTag: MANAGED_RULE_TAG, domain: ['geosite:netflix'], outboundTag: 'wg' },
+    { type: 'field', ruleTag: MANAGED_RULE_TAG, domain: ['full:ads.example.net'], outboundTag: 'blocked' },
+  ]);
+});
+
+test('compileDomainRules replaces the managed block in place and keeps hand-written rules', () => {
+  const manual = [
+    { type: 'field', ip: ['geoip:private'], outboundTag: 'direct' },
+    { type: 'field', ruleTag: MANAGED_RULE_TAG, domain: ['full:old.example.com'], outboundTag: 'psiphon' },
+    { type: 'field', network: 'udp', outboundTag: 'blocked' },
+  ];
+  const config = baseConfig(structuredClone(manual));
+  compileDomainRules(config, [{ domain: 'new.example.com', outbound: 'direct' }], opts);
+  assert.deepEqual(config.routing.rules, [
+    manual[0],
+    { type: 'field', ruleTag: MANAGED_RULE_TAG, domain: ['full:new.example.com'], outboundTag: 'direct' },
+    manual[2],
+  ]);
+});
+
+test('compileDomainRules reports no change when the rules are already current', () => {
+  const config = baseConfig();
+  const list = [{ domain: 'example.com' }];
+  compileDomainRules(config, list, opts);
+  assert.equal(compileDomainRules(config, list, opts).changed, false);
+});
+
+test('compileDomainRules skips domains whose outbound does not exist', () => {
+  const config = baseConfig();
+  const result = compileDomainRules(config, [{ domain: 'a.example.com', outbound: 'gone' }, { domain: 'b.example.com' }], opts);
+  assert.deepEqual(result.skipped, ['a.example.com']);
+  assert.deepEqual(config.routing.rules.map(r => r.domain), [['full:b.example.com']]);
+});
+
+test('compileDomainRules drops the managed block when no domain is enabled', () => {
+  const config = baseConfig([{ type: 'field', ruleTag: MANAGED_RULE_TAG, domain: ['full:x.example.com'], outboundTag: 'psiphon' }]);
+  assert.equal(compileDomainRules(config, [], opts).changed, true);
+  assert.deepEqual(config.routing.rules, []);
+});
@@ -0,0 +1,50 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import endpoints from '../endpoints.js';
+import protocols from '../protocols.js';
+
+const { parseEndpoint } = endpoints;
+
+test('parseEndpoint fills in defaults for a new endpoint', () => {
+  assert.deepEqual(parseEndpoint({ host: ' [2001:db8::1] ' }), { fields: { host: '2001:db8::1', label: '2001:db8::1', port: null, sni: '', enabled: true } });
+  assert.deepEqual(parseEndpoint({ host: 'cdn.example.com', label: 'CDN', port: '8443', sni: ' front.example.com ', enabled: false }),
+    { fields: { host: 'cdn.example.com', label: 'CDN', port: 8443, sni: 'front.example.com', enabled: false } });
+});
+
+test('parseEndpoint rejects bad fields and checks only what a partial update sends', () => {
+  assert.match(parseEndpoint({ host: 'not a host' }).error, /host must be a domain or IP address/);
+  assert.match(parseEndpoint({}).error, /host must be a domain or IP address/);
+  assert.match(parseEndpoint({ host: 'a.example.com', port: 0 }).error, /port must be a port number/);
+  assert.match(parseEndpoint({ host: 'a.example.com', label: 'x'.repeat(65) }).error, /at most 64 characters/);
+  assert.match(parseEndpoint({ host: 'a.example.com', enabled: 'yes' }).error, /enabled must be true or false/);
+  assert.deepEqual(parseEndpoint({ port: '' }, { partial: true }), { fields: { port: null } });
+  assert.deepEqual(parseEndpoint({ label: '' }, { partial: true }), { fields: {} });
+});
+
+const user = { username: 'alice', displayName: 'Alice', uuid: '3f0c2a52-6c1d-4d7e-9a1b-2c3d4e5f6a7b', trojanPassword: 'secret', inbounds: ['vless-ws', 'trojan-tcp'] };
+const inbounds = [
+  { tag: 'vless-ws', port: 443, protocol: 'vless', settings: { clients: [] }, streamSettings: { network: 'ws', security: 'tls', tlsSettings: { serverName: 'vpn.example.com' }, wsSettings: { path: '/ws' } } },
+  { tag: 'trojan-tcp', port: 8443, protocol: 'trojan', settings: { clients: [] }, streamSettings: { network: 'tcp', security: 'tls', tlsSettings: { serverName: 'vpn.example.com' } } },
+];
+const eps = [{ label: 'CDN', host: 'cdn.example.com', port: 2053, sni: 'front.example.com' }, { label: 'v6', host: '2001:db8::1', port: null, sni: '' }];
+
+test('every inbound gets one link per endpoint, with the endpoint address, port and sni', () => {
+  const links = protocols.userLinks(user, inbounds, {}, eps);
+  assert.deepEqual(links.map(l => [l.tag, l.endpoint]), [['vless-ws', 'CDN'], ['vless-ws', 'v6'], ['trojan-tcp', 'CDN'], ['trojan-tcp', 'v6']]);
+  assert.match(links[0].url, /^vless:\/\/[^@]+@cdn\.example\.com:2053\?.*sni=front\.example\.com.*#Alice%20\(CDN\)$/);
+  assert.match(links[1].url, /@\[2001:db8::1\]:443\?.*sni=vpn\.example\.com/);
+  assert.match(links[3].url, /^trojan:\/\/secret@\[2001:db8::1\]:8443\?/);
+  assert.equal(protocols.userLinks(user, inbounds, {}, []).length, 2);
+});
+
+test('url templates get the endpoint host, port and sni substituted', () => {
+  const templates = { 'trojan-tcp': { url: 'trojan://{password}@edge.example.com:443?security=tls&sni=edge.example.com&type=tcp#{label}' } };
+  const links = protocols.userLinks(user, inbounds, templates, eps).filter(l => l.tag === 'trojan-tcp');
+  assert.deepEqual(links.map(l => l.url), [
+    'trojan://secret@cdn.example.com:2053?security=tls&sni=front.example.com&type=tcp#Alice%20(CDN)',
+    'trojan://secret@[2001:db8::1]:443?security=tls&sni=edge.example.com&type=tcp#Alice%20(v6)',
+  ]);
+  // Saved before host:port was required: nothing to substitute, one link
+  const legacy = protocols.userLinks(user, inbounds, { 'trojan-tcp': { url: 'trojan://{password}@edge#{label}' } }, eps).filter(l => l.tag === 'trojan-tcp');
+  assert.deepEqual(legacy.map(l => [l.endpoint, l.url]), [[null, 'trojan://secret@edge#Alice']]);
+});
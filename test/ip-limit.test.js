@@ -0,0 +1,71 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { chmodSync, existsSync, mkdtempSync, readFileSync, rmSync, writeFileSync } from 'fs';
+import os from 'os';
+import path from 'path';
+
+// Stub ss on PATH: `ss -K` closes the fake connections unless the "no-destroy" file exists (a kernel without
+// CONFIG_INET_DIAG_DESTROY, where ss still exits 0); a plain query lists them while they are open
+const dir = mkdtempSync(path.join(os.tmpdir(), 'ip-limit-'));
+const open = path.join(dir, 'open');
+const calls = path.join(dir, 'calls');
+writeFileSync(path.join(dir, 'ss'), `#!/bin/sh
+echo "$*" >> "${calls}"
+if [ "$1" = "-K" ]; then [ -f "${dir}/no-destroy" ] || rm -f "${open}"; exit 0; fi
+[ -f "${open}" ] && echo "ESTAB 0 0 198.51.100.1:443 203.0.113.7:50000"
+exit 0
+`);
+chmodSync(path.join(dir, 'ss'), 0o755);
+process.env.PATH = `${dir}:${process.env.PATH}`;
+const { default: ipLimit } = await import('../ip-limit.js');
+
+test.after(() => rmSync(dir, { recursive: true, force: true }));
+
+const now = Date.now();
+const seen = (email, srcIp, ago = 0) => ({ status: 'accepted', email, srcIp, time: now - ago });
+
+test('limitChanges disables users over their limit and re-enables them after the cool-down', () => {
+  ipLimit.trackRecords([
+    seen('alice', '203.0.113.7'), seen('alice', '203.0.113.8', 1000), seen('alice', '203.0.113.7', 2000),
+    seen('bob', '203.0.113.9'), seen('bob', '203.0.113.10'),
+    { status: 'rejected', email: 'carol', srcIp: '203.0.113.11', time: now },
+  ]);
+  const users = [
+    { id: 'a', username: 'alice', enabled: true, ipLimit: 1 },
+    { id: 'b', username: 'bob', enabled: true, ipLimit: 2 },
+    { id: 'c', username: 'carol', enabled: true, ipLimit: 1 },
+    { id: 'd', username: 'dave', enabled: false, disabledReason: 'ip-limit', ipLimitUntil: new Date(now - 1).toISOString() },
+    { id: 'e', username: 'erin', enabled: false, disabledReason: 'ip-limit', ipLimitUntil: new Date(now + 60000).toISOString() },
+    { id: 'f', username: 'alice', enabled: false, disabledReason: 'quota', ipLimit: 1 },
+  ];
+  const changes = ipLimit.limitChanges(users, now);
+  assert.deepEqual([...changes.keys()], ['a', 'd']);
+  assert.deepEqual(changes.get('a'), {
+    enabled: false, disabledReason: 'ip-limit', ipLimitUntil: new Date(now + ipLimit.IP_COOLDOWN_MS).toISOString(),
+    _ips: ['203.0.113.7', '203.0.113.8'],
+  });
+  assert.deepEqual(changes.get('d'), { enabled: true, disabledReason: undefined, ipLimitUntil: undefined });
+
+  // A re-enabled user starts over with an empty window
+  ipLimit.forget('alice');
+  assert.equal(ipLimit.limitChanges(users.slice(0, 1), now).size, 0);
+});
+
+test('dropSessions closes the offenders\' connections by address and skips loopback', async () => {
+  writeFileSync(open, '');
+  assert.equal(await ipLimit.dropSessions(['203.0.113.7', '::ffff:203.0.113.8', '2001:db8::1', '127.0.0.1', 'not-an-ip']), true);
+  assert.equal(existsSync(open), false);
+  assert.deepEqual(readFileSync(calls, 'utf8').trim().split('\n'), [
+    '-K -Htn dst 203.0.113.7 or dst 203.0.113.8 or dst [2001:db8::1]',
+    '-Htn dst 203.0.113.7 or dst 203.0.113.8 or dst [2001:db8::1]',
+  ]);
+  rmSync(calls);
+  assert.equal(await ipLimit.dropSessions(['127.0.0.1', '::1']), true);
+  assert.equal(existsSync(calls), false);
+});
+
+test('dropSessions reports connections it could not close', async () => {
+  writeFileSync(open, '');
+  writeFileSync(path.join(dir, 'no-destroy'), '');
+  assert.equal(await ipLimit.dropSessions(['203.0.113.7']), false);
+});
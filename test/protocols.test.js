@@ -0,0 +1,57 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import protocols from '../protocols.js';
+
+const user = { username: 'alice', uuid: '3f0c2a52-6c1d-4d7e-9a1b-2c3d4e5f6a7b', trojanPassword: 'secret', ssKey: Buffer.alloc(32, 7).toString('base64') };
+
+const config = {
+  inbounds: [
+    { port: 443, protocol: 'vless', settings: { clients: [] }, streamSettings: { network: 'tcp', security: 'tls', tlsSettings: { serverName: 'vpn.example.com' } } },
+    { tag: 'trojan-in', port: 8443, protocol: 'trojan', settings: { clients: [] } },
+    { tag: 'ss-legacy', port: 8388, protocol: 'shadowsocks', settings: { method: 'aes-128-gcm', clients: [] } },
+    { tag: 'api', port: 10085, protocol: 'dokodemo-door', settings: {} },
+  ],
+};
+
+test('managedInbounds keeps untagged inbounds and names them by protocol and port', () => {
+  const inbounds = protocols.managedInbounds(config);
+  assert.deepEqual(inbounds.map(protocols.inboundTag), ['untagged-vless-443', 'trojan-in']);
+  assert.deepEqual(protocols.defaultInboundTags(inbounds), ['untagged-vless-443']);
+});
+
+test('users without an inbound list get a link for the untagged default inbound', () => {
+  const inbounds = protocols.managedInbounds(config);
+  const links = protocols.userLinks(user, inbounds);
+  assert.equal(links.length, 1);
+  assert.equal(links[0].tag, 'untagged-vless-443');
+  assert.match(links[0].url, /^vless:\/\/3f0c2a52-6c1d-4d7e-9a1b-2c3d4e5f6a7b@vpn\.example\.com:443\?/);
+  assert.deepEqual(protocols.parseInboundTags(['untagged-vless-443', 'trojan-in'], inbounds), { tags: ['untagged-vless-443', 'trojan-in'] });
+  assert.match(protocols.parseInboundTags(['ss-legacy'], inbounds).error, /Unknown or unmanaged/);
+});
+
+test('clientKey changes with the credential and the email', () => {
+  const inbounds = protocols.managedInbounds(config);
+  const a = protocols.clientFor(inbounds[1], user);
+  assert.deepEqual(a, { password: 'secret', email: 'alice', level: 0 });
+  assert.notEqual(protocols.clientKey(a), protocols.clientKey({ ...a, email: 'bob' }));
+});
+
+test('parseShareLink reads back what shareLink built for every protocol', () => {
+  const inbounds = [
+    { tag: 'vless-reality', port: 443, protocol: 'vless', settings: { clients: [] }, streamSettings: { network: 'grpc', security: 'reality', realitySettings: { serverNames: ['www.example.org'], publicKey: 'pub', shortIds: ['ab'] }, grpcSettings: { serviceName: 'svc' } } },
+    { tag: 'vmess-ws', port: 8080, protocol: 'vmess', settings: { clients: [] }, streamSettings: { network: 'ws', security: 'tls', tlsSettings: { serverName: 'vpn.example.com', alpn: ['h2'] }, wsSettings: { path: '/vm' } } },
+    { tag: 'trojan-in', port: 8443, protocol: 'trojan', settings: { clients: [] } },
+    { tag: 'ss-in', port: 8388, protocol: 'shadowsocks', settings: { method: '2022-blake3-aes-128-gcm', password: 'c2VydmVyLWtleS0xMjM0NQ==', clients: [] } },
+  ];
+  const template = { address: '2001:db8::1' };
+  const [vless, vmess, trojan, ss] = inbounds.map(ib => protocols.parseShareLink(protocols.shareLink(ib, user, template)));
+  assert.deepEqual(vless, { protocol: 'vless', uuid: user.uuid, address: '2001:db8::1', port: 443, network: 'grpc', security: 'reality', sni: 'www.example.org', fp: 'chrome', pbk: 'pub', sid: 'ab', serviceName: 'svc', allowInsecure: false });
+  assert.deepEqual(vmess, { protocol: 'vmess', uuid: user.uuid, address: '2001:db8::1', port: 8080, network: 'ws', security: 'tls', sni: 'vpn.example.com', alpn: 'h2', fp: '', allowInsecure: false, host: 'vpn.example.com', path: '/vm' });
+  assert.deepEqual(trojan, { protocol: 'trojan', password: 'secret', address: '2001:db8::1', port: 8443, network: 'tcp', security: 'none', allowInsecure: false });
+  assert.deepEqual(ss, { protocol: 'shadowsocks', address: '2001:db8::1', port: 8388, method: '2022-blake3-aes-128-gcm', password: `c2VydmVyLWtleS0xMjM0NQ==:${protocols.ssUserKey(user, '2022-blake3-aes-128-gcm')}`, network: 'tcp', security: 'none' });
+  // Admin-written links: trojan defaults to TLS, legacy SIP002 base64 userinfo
+  assert.equal(protocols.parseShareLink('trojan://pw@edge.example.com:443?sni=edge.example.com#x').security, 'tls');
+  assert.equal(protocols.parseShareLink(`ss://${Buffer.from('aes-128-gcm:pw').toString('base64')}@1.2.3.4:8388#x`).method, 'aes-128-gcm');
+  assert.equal(protocols.parseShareLink('vless://id@edge.example.com#no-port'), null);
+  assert.equal(protocols.parseShareLink('hysteria2://pw@edge.example.com:443'), null);
+});
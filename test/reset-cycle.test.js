@@ -0,0 +1,43 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import users from '../users.js';
+
+const { parseResetCycle, nextCycleReset } = users;
+// Boundaries are in server local time, so the fixtures are too
+const at = (...args) => new Date(...args).getTime();
+
+test('parseResetCycle validates cycles and fills in default days', () => {
+  assert.deepEqual(parseResetCycle('none'), { cycle: null });
+  assert.deepEqual(parseResetCycle(null), { cycle: null });
+  assert.deepEqual(parseResetCycle('daily'), { cycle: { type: 'daily' } });
+  assert.deepEqual(parseResetCycle('weekly'), { cycle: { type: 'weekly', day: 1 } });
+  assert.deepEqual(parseResetCycle({ type: 'monthly', day: '31' }), { cycle: { type: 'monthly', day: 31 } });
+  assert.deepEqual(parseResetCycle({ type: 'days', days: 30 }), { cycle: { type: 'days', days: 30 } });
+  assert.match(parseResetCycle({ type: 'weekly', day: 7 }).error, /0-6/);
+  assert.match(parseResetCycle({ type: 'monthly', day: 0 }).error, /1-31/);
+  assert.match(parseResetCycle({ type: 'days' }).error, /between 1 and 3650/);
+  assert.match(parseResetCycle('hourly').error, /must be one of none, daily, weekly, monthly, days/);
+});
+
+test('daily and every-N-days cycles', () => {
+  assert.equal(nextCycleReset({ type: 'daily' }, at(2025, 0, 31, 15, 30)), at(2025, 1, 1));
+  assert.equal(nextCycleReset({ type: 'daily' }, at(2025, 1, 1)), at(2025, 1, 2));
+  const start = at(2025, 0, 10, 8);
+  assert.equal(nextCycleReset({ type: 'days', days: 30 }, start), start + 30 * 86400000);
+});
+
+test('weekly cycles reset on the next matching weekday, strictly after the start', () => {
+  // 2025-01-01 is a Wednesday
+  assert.equal(nextCycleReset({ type: 'weekly', day: 1 }, at(2025, 0, 1, 12)), at(2025, 0, 6));
+  assert.equal(nextCycleReset({ type: 'weekly', day: 1 }, at(2025, 0, 6)), at(2025, 0, 13));
+  assert.equal(nextCycleReset({ type: 'weekly', day: 0 }, at(2025, 0, 4, 23, 59)), at(2025, 0, 5));
+});
+
+test('monthly cycles clamp to the last day of short months', () => {
+  assert.equal(nextCycleReset({ type: 'monthly', day: 15 }, at(2025, 0, 20)), at(2025, 1, 15));
+  assert.equal(nextCycleReset({ type: 'monthly', day: 15 }, at(2025, 0, 10)), at(2025, 0, 15));
+  assert.equal(nextCycleReset({ type: 'monthly', day: 31 }, at(2025, 0, 31)), at(2025, 1, 28));
+  assert.equal(nextCycleReset({ type: 'monthly', day: 31 }, at(2025, 1, 28)), at(2025, 2, 31));
+  assert.equal(nextCycleReset({ type: 'monthly', day: 30 }, at(2024, 1, 10)), at(2024, 1, 29));
+  assert.equal(nextCycleReset({ type: 'monthly', day: 1 }, at(2025, 11, 5)), at(2026, 0, 1));
+});
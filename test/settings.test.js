@@ -0,0 +1,53 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, readFileSync, rmSync } from 'fs';
+import os from 'os';
+import path from 'path';
+import protocols from '../protocols.js';
+
+// settings.js fixes its file at import time
+const dir = mkdtempSync(path.join(os.tmpdir(), 'settings-'));
+process.env.SETTINGS_FILE = path.join(dir, 'settings.json');
+const { default: settings } = await import('../settings.js');
+
+test.after(() => rmSync(dir, { recursive: true, force: true }));
+
+const user = { username: 'alice', displayName: 'Alice', uuid: '3f0c2a52-6c1d-4d7e-9a1b-2c3d4e5f6a7b' };
+// A plain TCP inbound behind a proxy that terminated TLS and the ws transport for the old hard-coded link
+const config = { inbounds: [{ tag: 'vless-in', port: 10000, listen: '127.0.0.1', protocol: 'vless', settings: { clients: [] } }] };
+const LEGACY_URL = `vless://${user.uuid}@aparat.feezor.net:443?encryption=none&security=tls&sni=aparat.feezor.net`
+  + '&alpn=h3%2Ch2%2Chttp%2F1.1&allowInsecure=1&type=ws&host=aparat.feezor.net&path=%2Faparat.com%2Fv%2F#Alice';
+
+test('parseLinkTemplates validates fields and drops empty ones', () => {
+  assert.deepEqual(settings.parseLinkTemplates({ a: { address: ' cdn.example.com ', port: '8443', security: 'tls', network: 'ws', host: '' }, b: {} }),
+    { templates: { a: { address: 'cdn.example.com', port: 8443, security: 'tls', network: 'ws' } } });
+  assert.match(settings.parseLinkTemplates({ a: { security: 'ssl' } }).error, /security must be one of none, tls, reality/);
+  assert.match(settings.parseLinkTemplates({ a: { network: 'quic2' } }).error, /network must be one of/);
+  assert.match(settings.parseLinkTemplates({ a: { port: 70000 } }).error, /port must be a port number/);
+  assert.match(settings.parseLinkTemplates({ a: { url: 'cdn.example.com' } }).error, /complete link/);
+  assert.match(settings.parseLinkTemplates({ a: { url: 'trojan://{password}@edge#{label}' } }).error, /host:port/);
+  assert.match(settings.parseLinkTemplates({ a: { color: 'red' } }).error, /Unknown link template field 'color'/);
+  assert.match(settings.parseLinkTemplates([]).error, /keyed by inbound tag/);
+});
+
+test('an upgraded install gets field overrides reproducing the old link on any inbound transport', async () => {
+  const seeded = await settings.seedLegacyLinkTemplate(config, 3);
+  assert.equal(seeded.tag, 'vless-in');
+  assert.equal(seeded.template.url, undefined);
+  assert.deepEqual(JSON.parse(readFileSync(process.env.SETTINGS_FILE, 'utf8')).linkTemplates, { 'vless-in': seeded.template });
+
+  const [link] = protocols.userLinks(user, protocols.managedInbounds(config), settings.loadSettings().linkTemplates);
+  assert.equal(link.url, LEGACY_URL);
+  const p = protocols.linkParams(config.inbounds[0], seeded.template);
+  assert.equal(p.security, 'tls');
+  assert.equal(p.network, 'ws');
+
+  // Seeding happens once: later starts keep what the admin saved since
+  assert.equal(await settings.seedLegacyLinkTemplate(config, 3), null);
+});
+
+test('a fresh install records empty templates', async () => {
+  rmSync(process.env.SETTINGS_FILE);
+  assert.equal(await settings.seedLegacyLinkTemplate(config, 0), null);
+  assert.deepEqual(settings.loadSettings().linkTemplates, {});
+});
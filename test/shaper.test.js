@@ -0,0 +1,61 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import shaper from '../shaper.js';
+
+const { planShaping, tcBatch } = shaper;
+
+test('planShaping gives each limited user a class and each shapable address a filter', () => {
+  const plan = planShaping([
+    { username: 'alice', mbps: 10, ips: ['203.0.113.7', '::ffff:198.51.100.2', '127.0.0.1'] },
+    { username: 'bob', mbps: 2.5, ips: ['2001:db8::1', '203.0.113.7'] },
+    { username: 'carol', mbps: 0, ips: ['192.0.2.1'] },
+    { username: 'dave', mbps: 5, ips: ['::1'] },
+  ]);
+  assert.deepEqual(plan.classes, [
+    { username: 'alice', minor: 0x10, kbit: 10000 },
+    { username: 'bob', minor: 0x11, kbit: 2500 },
+  ]);
+  // The shared address goes to the lower limit; loopback and unlimited users are left out
+  assert.deepEqual(plan.filters, [
+    { ip: '198.51.100.2', minor: 0x10 },
+    { ip: '2001:db8::1', minor: 0x11 },
+    { ip: '203.0.113.7', minor: 0x11 },
+  ]);
+});
+
+test('planShaping keeps class ids of users across plans and reuses freed ones', () => {
+  const prev = planShaping([{ username: 'alice', mbps: 10, ips: ['192.0.2.1'] }, { username: 'bob', mbps: 5, ips: ['192.0.2.2'] }]);
+  const next = planShaping([{ username: 'carol', mbps: 1, ips: ['192.0.2.3'] }, { username: 'bob', mbps: 8, ips: ['192.0.2.2'] }], prev);
+  assert.deepEqual(next.classes, [
+    { username: 'carol', minor: 0x10, kbit: 1000 },
+    { username: 'bob', minor: 0x11, kbit: 8000 },
+  ]);
+});
+
+test('tcBatch sets up both directions from scratch, then updates in place', () => {
+  const first = planShaping([{ username: 'alice', mbps: 10, ips: ['192.0.2.1', '2001:db8::1'] }]);
+  assert.deepEqual(tcBatch(null, first, { iface: 'eth0', ifb: 'ifb0' }), [
+    'qdisc add dev eth0 root handle 1: htb',
+    'qdisc add dev eth0 handle ffff: ingress',
+    'filter add dev eth0 parent ffff: protocol all prio 1 u32 match u32 0 0 action mirred egress redirect dev ifb0',
+    'qdisc add dev ifb0 root handle 1: htb',
+    'class replace dev eth0 parent 1: classid 1:10 htb rate 10000kbit ceil 10000kbit',
+    'filter add dev eth0 parent 1: protocol ip prio 1 u32 match ip dst 192.0.2.1/32 flowid 1:10',
+    'filter add dev eth0 parent 1: protocol ipv6 prio 2 u32 match ip6 dst 2001:db8::1/128 flowid 1:10',
+    'class replace dev ifb0 parent 1: classid 1:10 htb rate 10000kbit ceil 10000kbit',
+    'filter add dev ifb0 parent 1: protocol ip prio 1 u32 match ip src 192.0.2.1/32 flowid 1:10',
+    'filter add dev ifb0 parent 1: protocol ipv6 prio 2 u32 match ip6 src 2001:db8::1/128 flowid 1:10',
+  ]);
+  const two = planShaping([{ username: 'alice', mbps: 10, ips: ['192.0.2.1'] }, { username: 'bob', mbps: 2, ips: ['192.0.2.9'] }]);
+  const next = planShaping([{ username: 'bob', mbps: 2, ips: ['192.0.2.9'] }], two);
+  assert.deepEqual(tcBatch(two, next, { iface: 'eth0', ifb: 'ifb0' }), [
+    'filter del dev eth0 parent 1:',
+    'class del dev eth0 classid 1:10',
+    'class replace dev eth0 parent 1: classid 1:11 htb rate 2000kbit ceil 2000kbit',
+    'filter add dev eth0 parent 1: protocol ip prio 1 u32 match ip dst 192.0.2.9/32 flowid 1:11',
+    'filter del dev ifb0 parent 1:',
+    'class del dev ifb0 classid 1:10',
+    'class replace dev ifb0 parent 1: classid 1:11 htb rate 2000kbit ceil 2000kbit',
+    'filter add dev ifb0 parent 1: protocol ip prio 1 u32 match ip src 192.0.2.9/32 flowid 1:11',
+  ]);
+});
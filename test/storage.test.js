@@ -0,0 +1,84 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { existsSync, mkdtempSync, readdirSync, readFileSync, rmSync, writeFileSync } from 'fs';
+import os from 'os';
+import path from 'path';
+import storage from '../storage.js';
+
+function tempDir(t) {
+  const dir = mkdtempSync(path.join(os.tmpdir(), 'storage-'));
+  t.after(() => rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+test('writeJsonFile replaces the file, keeps the previous one as .bak and leaves no temp files', t => {
+  const dir = tempDir(t);
+  const file = path.join(dir, 'data.json');
+  storage.writeJsonFile(file, { v: 1 });
+  assert.equal(existsSync(`${file}.bak`), false);
+  storage.writeJsonFile(file, { v: 2 });
+  assert.deepEqual(JSON.parse(readFileSync(file, 'utf8')), { v: 2 });
+  assert.deepEqual(JSON.parse(readFileSync(`${file}.bak`, 'utf8')), { v: 1 });
+  assert.deepEqual(readdirSync(dir).sort(), ['data.json', 'data.json.bak']);
+});
+
+test('a corrupt file is not copied over the last good .bak', t => {
+  const dir = tempDir(t);
+  const file = path.join(dir, 'data.json');
+  storage.writeJsonFile(file, { v: 1 });
+  storage.writeJsonFile(file, { v: 2 });
+  writeFileSync(file, '{"v": 3'); // torn write from a crash
+  storage.writeJsonFile(file, { v: 4 });
+  assert.deepEqual(JSON.parse(readFileSync(`${file}.bak`, 'utf8')), { v: 1 });
+});
+
+test('readJsonFile recovers an empty or corrupt file from .bak', t => {
+  const dir = tempDir(t);
+  const file = path.join(dir, 'data.json');
+  storage.writeJsonFile(file, { v: 1 });
+  storage.writeJsonFile(file, { v: 2 });
+  writeFileSync(file, '');
+  assert.deepEqual(storage.readJsonFile(file), { v: 1 });
+  assert.deepEqual(JSON.parse(readFileSync(file, 'utf8')), { v: 1 });
+});
+
+test('readJsonFile throws when there is neither a file nor a usable backup', t => {
+  const dir = tempDir(t);
+  const file = path.join(dir, 'data.json');
+  assert.throws(() => storage.readJsonFile(file), { code: 'ENOENT' });
+  writeFileSync(file, 'not json');
+  assert.throws(() => storage.readJsonFile(file), SyntaxError);
+});
+
+test('file locks are exclusive and granted in request order', async () => {
+  const order = [];
+  const file = path.join(os.tmpdir(), 'storage-lock-test.json');
+  const first = await storage.acquireFileLock(file);
+  const second = storage.withFileLock(file, () => order.push('second'));
+  const third = storage.withFileLock(file, async () => {
+    await new Promise(resolve => setTimeout(resolve, 5));
+    order.push('third');
+  });
+  const fourth = storage.withFileLock(file, () => order.push('fourth'));
+  await new Promise(resolve => setTimeout(resolve, 10));
+  assert.deepEqual(order, []);
+  first();
+  await Promise.all([second, third, fourth]);
+  assert.deepEqual(order, ['second', 'third', 'fourth']);
+});
+
+test('a throwing holder still releases the lock', async () => {
+  const file = path.join(os.tmpdir(), 'storage-lock-throw-test.json');
+  await assert.rejects(storage.withFileLock(file, () => { throw new Error('boom'); }), /boom/);
+  assert.equal(await storage.withFileLock(file, () => 'next'), 'next');
+});
+
+test('concurrent updateJson calls do not lose updates', async t => {
+  const dir = tempDir(t);
+  const file = path.join(dir, 'counter.json');
+  await Promise.all(Array.from({ length: 20 }, () => storage.updateJson(file, async data => {
+    await new Promise(resolve => setImmediate(resolve));
+    data.n += 1;
+  }, { n: 0 })));
+  assert.deepEqual(storage.readJsonFile(file), { n: 20 });
+});
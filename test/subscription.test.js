@@ -0,0 +1,98 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import protocols from '../protocols.js';
+import subscription from '../subscription.js';
+
+const { renderSubscription, detectFormat, userInfoHeader } = subscription;
+
+const user = {
+  username: 'alice',
+  displayName: 'Alice',
+  uuid: '3f0c2a52-6c1d-4d7e-9a1b-2c3d4e5f6a7b',
+  trojanPassword: 'trojan-secret',
+  ssKey: Buffer.alloc(32, 7).toString('base64'),
+  inbounds: ['vless-ws', 'trojan-tcp', 'vless-xhttp'],
+};
+
+const inbounds = [
+  {
+    tag: 'vless-ws', port: 443, protocol: 'vless', settings: { clients: [] },
+    streamSettings: { network: 'ws', security: 'tls', tlsSettings: { serverName: 'vpn.example.com' }, wsSettings: { path: '/ws' } },
+  },
+  { tag: 'trojan-tcp', port: 8443, protocol: 'trojan', settings: { clients: [] }, streamSettings: { network: 'tcp', security: 'tls', tlsSettings: { serverName: 'vpn.example.com' } } },
+  { tag: 'vless-xhttp', port: 2053, protocol: 'vless', settings: { clients: [] }, streamSettings: { network: 'xhttp', security: 'tls', tlsSettings: { serverName: 'vpn.example.com' } } },
+];
+
+const targets = () => protocols.userLinkTargets(user, inbounds, {}, []);
+
+test('base64 subscription lists one share link per inbound', () => {
+  const { contentType, body, filename } = renderSubscription('base64', user, targets());
+  assert.equal(contentType, 'text/plain; charset=utf-8');
+  assert.equal(filename, 'alice');
+  const links = Buffer.from(body, 'base64').toString('utf8').split('\n');
+  assert.equal(links.length, 3);
+  const vless = new URL(links[0]);
+  assert.equal(vless.protocol, 'vless:');
+  assert.equal(vless.username, user.uuid);
+  assert.equal(vless.host, 'vpn.example.com:443');
+  assert.equal(vless.searchParams.get('type'), 'ws');
+  assert.equal(vless.searchParams.get('path'), '/ws');
+  assert.equal(vless.hash, '#Alice');
+  assert.match(links[1], /^trojan:\/\/trojan-secret@vpn\.example\.com:8443\?/);
+});
+
+test('clash profile carries the proxies its transports support', () => {
+  const { contentType, body } = renderSubscription('clash', user, targets());
+  assert.equal(contentType, 'text/yaml; charset=utf-8');
+  assert.match(body, /"name": "vless-ws"/);
+  assert.match(body, /"name": "trojan-tcp"/);
+  assert.doesNotMatch(body, /vless-xhttp/); // xhttp is left to the base64 list
+});
+
+test('sing-box profile is JSON with one outbound per supported inbound', () => {
+  const { body } = renderSubscription('singbox', user, targets());
+  const doc = JSON.parse(body);
+  const tags = doc.outbounds.map(o => o.tag);
+  assert.ok(tags.includes('vless-ws'));
+  assert.ok(tags.includes('trojan-tcp'));
+  assert.ok(!tags.includes('vless-xhttp'));
+  assert.equal(doc.outbounds.find(o => o.tag === 'vless-ws').uuid, user.uuid);
+});
+
+test('profiles connect where the share links do: templates and endpoints applied', () => {
+  // A url template on the trojan inbound, TLS and ws terminated by a CDN in front of the plain vless-ws one
+  const templates = {
+    'vless-ws': { address: 'cdn.example.com', port: 2053, host: 'cdn.example.com', sni: 'cdn.example.com' },
+    'trojan-tcp': { url: 'trojan://{password}@edge.example.com:443?security=tls&sni=edge.example.com&type=tcp#{label}' },
+  };
+  const t = protocols.userLinkTargets(user, inbounds, templates, [{ label: 'v6', host: '2001:db8::1', port: null, sni: '' }]);
+  const doc = JSON.parse(renderSubscription('singbox', user, t).body);
+  const vless = doc.outbounds.find(o => o.tag === 'vless-ws (v6)');
+  assert.deepEqual([vless.server, vless.server_port, vless.tls.server_name, vless.transport], ['2001:db8::1', 2053, 'cdn.example.com', { type: 'ws', path: '/ws', headers: { Host: 'cdn.example.com' } }]);
+  const trojan = doc.outbounds.find(o => o.tag === 'trojan-tcp (v6)');
+  assert.deepEqual([trojan.server, trojan.server_port, trojan.password, trojan.tls.server_name], ['2001:db8::1', 443, 'trojan-secret', 'edge.example.com']);
+
+  const clash = renderSubscription('clash', user, t).body;
+  assert.match(clash, /"name": "trojan-tcp \(v6\)"\n\s+"type": "trojan"\n\s+"server": "2001:db8::1"\n\s+"port": 443\n\s+"udp": true\n\s+"password": "trojan-secret"\n\s+"sni": "edge.example.com"/);
+});
+
+test('profiles nothing can be exported to are an error, not an empty group', () => {
+  const only = { ...user, inbounds: ['vless-xhttp'] };
+  const t = protocols.userLinkTargets(only, inbounds, {}, []);
+  assert.match(renderSubscription('clash', only, t).error, /No link of alice fits a Clash profile/);
+  assert.match(renderSubscription('singbox', only, t).error, /No link of alice fits a sing-box profile/);
+  assert.ok(renderSubscription('base64', only, t).body);
+});
+
+test('detectFormat prefers ?format= over the User-Agent', () => {
+  assert.equal(detectFormat('sing-box', 'ClashMeta'), 'singbox');
+  assert.equal(detectFormat(undefined, 'clash.meta/1.18'), 'clash');
+  assert.equal(detectFormat(undefined, 'SFA/1.9'), 'singbox');
+  assert.equal(detectFormat('unknown', 'v2rayNG/1.8'), 'base64');
+});
+
+test('userInfoHeader reports usage, quota and expiry', () => {
+  assert.equal(userInfoHeader({ uplinkBytes: 10, downlinkBytes: 20, quota: 1, expiry: '2030-01-01T00:00:00Z' }),
+    `upload=10; download=20; total=1073741824; expire=${Date.parse('2030-01-01T00:00:00Z') / 1000}`);
+  assert.equal(userInfoHeader({ quota: -1 }), 'upload=0; download=0; total=0; expire=0');
+});
@@ -0,0 +1,65 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, readFileSync, rmSync, writeFileSync } from 'fs';
+import os from 'os';
+import path from 'path';
+import userStore from '../user-store.js';
+
+function tempFiles(t) {
+  const dir = mkdtempSync(path.join(os.tmpdir(), 'user-store-'));
+  t.after(() => rmSync(dir, { recursive: true, force: true }));
+  return {
+    usersFile: path.join(dir, 'users.json'),
+    usageFile: path.join(dir, 'usage-store.json'),
+    historyFile: path.join(dir, 'usage-history.json'),
+    dbFile: path.join(dir, 'users.db'),
+  };
+}
+
+let sqliteAvailable = true;
+try { await import('better-sqlite3'); } catch { sqliteAvailable = false; }
+
+test('first sqlite start imports the JSON files once', { skip: !sqliteAvailable && 'better-sqlite3 is not installed' }, async t => {
+  const files = tempFiles(t);
+  const users = [
+    { id: 1, username: 'alice', uuid: 'uuid-a', quota: 10 },
+    { username: 'bob', uuid: 'uuid-b' }, // written before numeric ids
+  ];
+  const usage = {
+    'uuid-a': { accumBytes: 300, lastRawBytes: 30, accumUp: 100, accumDown: 200, lastRawUp: 10, lastRawDown: 20 },
+    'uuid-b': { accumBytes: 50, lastRawBytes: 5 }, // written before split accounting
+  };
+  const bucket = userStore.bucketStart(Date.now(), '1h');
+  writeFileSync(files.usersFile, JSON.stringify(users));
+  writeFileSync(files.usageFile, JSON.stringify(usage));
+  writeFileSync(files.historyFile, JSON.stringify({ 'uuid-a': { '1h': { [bucket]: [1, 2] } } }));
+
+  t.after(() => userStore.initUserStore({ ...files, backend: 'json' }));
+  assert.equal(await userStore.initUserStore({ ...files, backend: 'sqlite' }), 'sqlite');
+  assert.deepEqual(userStore.loadUsers(), [users[0], { ...users[1], id: 2 }]);
+  assert.deepEqual(userStore.loadUsage(), usage);
+  assert.deepEqual(userStore.queryHistory('uuid-a', '1h', bucket, bucket), [{ ts: bucket, up: 1, down: 2 }]);
+
+  // The JSON files stay as they were (switching back stays possible) and are not imported again
+  assert.deepEqual(JSON.parse(readFileSync(files.usersFile, 'utf8')), users);
+  userStore.saveUsers([{ id: 1, username: 'alice', uuid: 'uuid-a', quota: 20 }]);
+  await userStore.initUserStore({ ...files, backend: 'sqlite' });
+  assert.deepEqual(userStore.loadUsers(), [{ id: 1, username: 'alice', uuid: 'uuid-a', quota: 20 }]);
+});
+
+test('json backend upserts usage records and rolls history up', async t => {
+  const files = tempFiles(t);
+  writeFileSync(files.usersFile, '[]');
+  await userStore.initUserStore({ ...files, backend: 'json' });
+  userStore.saveUsage({ a: { accumBytes: 1, lastRawBytes: 1 } });
+  userStore.saveUsage({ b: { accumBytes: 2, lastRawBytes: 2 } });
+  assert.deepEqual(Object.keys(userStore.loadUsage()).sort(), ['a', 'b']);
+
+  const ts = Date.now();
+  userStore.recordHistory(ts, { a: { up: 1, down: 2 } });
+  userStore.recordHistory(ts, { a: { up: 3, down: 4 } });
+  for (const g of Object.keys(userStore.HISTORY_GRANULARITIES)) {
+    const b = userStore.bucketStart(ts, g);
+    assert.deepEqual(userStore.queryHistory('a', g, b, b), [{ ts: b, up: 4, down: 6 }]);
+  }
+});
@@ -0,0 +1,122 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import http2 from 'http2';
+import net from 'net';
+import xrayApi from '../xray-api.js';
+
+const { createApiClient, encodeFields, decodeFields } = xrayApi;
+
+function grpcFrame(message) {
+  const frame = Buffer.alloc(5 + message.length);
+  frame.writeUInt32BE(message.length, 1);
+  message.copy(frame, 5);
+  return frame;
+}
+
+/**
+ * Fake Xray API: records every call as {path, request (decoded fields)} and answers through handler(path, fields),
+ * which returns {message} or {status, text} for a gRPC error.
+ */
+async function fakeXray(t, handler) {
+  const calls = [];
+  const server = http2.createServer();
+  server.on('stream', (stream, headers) => {
+    const chunks = [];
+    stream.on('data', c => chunks.push(c));
+    stream.on('end', () => {
+      const body = Buffer.concat(chunks);
+      const fields = decodeFields(body.subarray(5, 5 + body.readUInt32BE(1)));
+      calls.push({ path: headers[':path'], fields });
+      const reply = handler(headers[':path'], fields);
+      stream.respond({ ':status': 200, 'content-type': 'application/grpc' }, { waitForTrailers: true });
+      stream.on('wantTrailers', () => stream.sendTrailers(reply.status
+        ? { 'grpc-status': String(reply.status), 'grpc-message': encodeURIComponent(reply.text) }
+        : { 'grpc-status': '0' }));
+      stream.end(reply.message ? grpcFrame(reply.message) : undefined);
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const client = createApiClient({ port: server.address().port, timeoutMs: 1000 });
+  t.after(() => {
+    client.close();
+    return new Promise(resolve => server.close(resolve));
+  });
+  return { client, calls };
+}
+
+const stat = (name, value) => encodeFields([[1, name], [2, value]]);
+const str = buf => buf.toString('utf8');
+
+test('queryStats sends the pattern and reset flag and decodes the counters', async t => {
+  const { client, calls } = await fakeXray(t, () => ({
+    message: encodeFields([[1, stat('user>>>alice>>>traffic>>>uplink', 5_000_000_000)], [1, stat('user>>>alice>>>traffic>>>downlink', 0)]]),
+  }));
+  const stats = await client.queryStats('user>>>alice>>>', { reset: true });
+  assert.deepEqual(stats, [
+    { name: 'user>>>alice>>>traffic>>>uplink', value: 5_000_000_000 },
+    { name: 'user>>>alice>>>traffic>>>downlink', value: 0 },
+  ]);
+  assert.equal(calls[0].path, '/xray.app.stats.command.StatsService/QueryStats');
+  assert.equal(str(calls[0].fields[1][0]), 'user>>>alice>>>');
+  assert.deepEqual(calls[0].fields[2], [1]);
+
+  await client.queryStats('outbound>>>');
+  assert.equal(calls[1].fields[2], undefined); // reset=false is the protobuf default and not sent
+});
+
+test('addUser and removeUser send AlterInbound operations', async t => {
+  const { client, calls } = await fakeXray(t, () => ({}));
+  await client.addUser('vless-in', 'vless', { id: '3f0c2a52-6c1d-4d7e-9a1b-2c3d4e5f6a7b', email: 'alice', flow: 'xtls-rprx-vision' });
+  await client.removeUser('trojan-in', 'bob');
+
+  const [add, remove] = calls;
+  assert.equal(add.path, '/xray.app.proxyman.command.HandlerService/AlterInbound');
+  assert.equal(str(add.fields[1][0]), 'vless-in');
+  const op = decodeFields(add.fields[2][0]);
+  assert.equal(str(op[1][0]), 'xray.app.proxyman.command.AddUserOperation');
+  const user = decodeFields(decodeFields(op[2][0])[1][0]);
+  assert.deepEqual(user[1], [0]); // level
+  assert.equal(str(user[2][0]), 'alice');
+  const account = decodeFields(user[3][0]);
+  assert.equal(str(account[1][0]), 'xray.proxy.vless.Account');
+  const vless = decodeFields(account[2][0]);
+  assert.equal(str(vless[1][0]), '3f0c2a52-6c1d-4d7e-9a1b-2c3d4e5f6a7b');
+  assert.equal(str(vless[2][0]), 'xtls-rprx-vision');
+
+  assert.equal(str(remove.fields[1][0]), 'trojan-in');
+  const removeOp = decodeFields(remove.fields[2][0]);
+  assert.equal(str(removeOp[1][0]), 'xray.app.proxyman.command.RemoveUserOperation');
+  assert.equal(str(decodeFields(removeOp[2][0])[1][0]), 'bob');
+});
+
+test('addUser refuses protocols HandlerService accounts are not built for', async t => {
+  const { client, calls } = await fakeXray(t, () => ({}));
+  await assert.rejects(client.addUser('socks-in', 'socks', { email: 'x' }), /not supported/);
+  assert.equal(calls.length, 0);
+});
+
+test('a non-zero grpc-status rejects with the status and message', async t => {
+  const { client } = await fakeXray(t, () => ({ status: 2, text: 'User alice already exists.' }));
+  await assert.rejects(client.removeUser('vless-in', 'alice'), err => {
+    assert.equal(err.grpcStatus, 2);
+    assert.match(err.message, /AlterInbound: User alice already exists\./);
+    return true;
+  });
+});
+
+test('connection refused rejects instead of hanging', async () => {
+  // A port that was just free: nothing listens on it
+  const probe = net.createServer();
+  await new Promise(resolve => probe.listen(0, '127.0.0.1', resolve));
+  const { port } = probe.address();
+  await new Promise(resolve => probe.close(resolve));
+  const client = createApiClient({ port, timeoutMs: 1000 });
+  try {
+    await assert.rejects(client.queryStats('user>>>'), err => {
+      assert.equal(err.code, 'ECONNREFUSED');
+      return true;
+    });
+  } finally {
+    client.close();
+  }
+});
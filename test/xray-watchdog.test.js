@@ -0,0 +1,104 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { chmodSync, existsSync, mkdtempSync, readFileSync, rmSync, writeFileSync } from 'fs';
+import os from 'os';
+import path from 'path';
+
+// Stub xray, pgrep, systemctl and journalctl on PATH, before utils.js reads its paths. The fake service runs
+// (state file "running") only while its config is valid: "broken" fails `xray run -test`, "crash-on-start"
+// passes the test but exits on start. Stopping records the exit time the way systemd reports it.
+const dir = mkdtempSync(path.join(os.tmpdir(), 'xray-watchdog-'));
+const configFile = path.join(dir, 'config.json');
+const running = path.join(dir, 'running');
+const exited = path.join(dir, 'exited');
+const stubs = {
+  xray: `grep -q broken "$4" && { echo "Failed to start: broken inbound" >&2; exit 23; }
+echo "Configuration OK."`,
+  pgrep: `[ -f "${running}" ] && echo 4242`,
+  systemctl: `ok() { ! grep -q -e broken -e crash-on-start "${configFile}"; }
+stop() { rm -f "${running}"; awk '{ printf "%.0f\\n", $1 * 1000000 }' /proc/uptime > "${exited}"; }
+case "$1" in
+  restart) if ok; then touch "${running}"; else stop; fi ;;
+  reload) if [ -f "${running}" ] && ! ok; then stop; fi ;;
+  show) cat "${exited}" 2>/dev/null || echo 0 ;;
+esac`,
+  journalctl: 'echo "xray[4242]: stub journal"',
+};
+for (const [name, body] of Object.entries(stubs)) {
+  writeFileSync(path.join(dir, name), `#!/bin/sh\n${body}\n`);
+  chmodSync(path.join(dir, name), 0o755);
+}
+Object.assign(process.env, {
+  PATH: `${dir}:${process.env.PATH}`,
+  XRAY_CONFIG_FILE: configFile,
+  XRAY_BIN: path.join(dir, 'xray'),
+  CONFIG_HISTORY_DIR: path.join(dir, 'history'),
+  XRAY_HEALTH_GRACE_MS: '200',
+});
+const { default: utils } = await import('../utils.js');
+
+test.after(() => rmSync(dir, { recursive: true, force: true }));
+
+const good = { log: { loglevel: 'warning' }, inbounds: [{ tag: 'vless-in', port: 443, protocol: 'vless' }] };
+const live = () => JSON.parse(readFileSync(configFile, 'utf8'));
+
+// Wait for the watchdog to finish, including the check that follows a rollback
+async function settled() {
+  for (let i = 0; i < 200; i++) {
+    await new Promise(resolve => setTimeout(resolve, 25));
+    const health = utils.getXrayHealth();
+    if (health.state !== 'checking') return health;
+  }
+  throw new Error('watchdog did not settle');
+}
+
+// Start from a healthy service on the good config, then apply next with a reload
+async function change(next, { alreadyDown = false } = {}) {
+  utils.writeXrayConfig(good, { source: 'test' });
+  writeFileSync(exited, alreadyDown ? '1000000\n' : '0\n');
+  if (alreadyDown) rmSync(running, { force: true }); else writeFileSync(running, '');
+  utils.writeXrayConfig(next, { source: 'test', reason: 'change under test' });
+  utils.reloadXray();
+  return settled();
+}
+
+test('a config that fails xray run -test is rolled back and Xray restarted', async () => {
+  const health = await change({ ...good, inbounds: [{ tag: 'broken', port: 443, protocol: 'vless' }] });
+  assert.equal(health.state, 'rolled-back');
+  assert.match(health.error, /Xray process is not running: the config fails xray run -test/);
+  assert.match(health.output, /Failed to start: broken inbound/);
+  assert.deepEqual(live(), good);
+  assert.ok(existsSync(running));
+});
+
+test('an exit after a change that passes the test is rolled back', async () => {
+  const health = await change({ ...good, log: { access: '/var/log/crash-on-start.log' } });
+  assert.equal(health.state, 'rolled-back');
+  assert.match(health.error, /Xray exited after the change/);
+  assert.match(health.output, /stub journal/);
+  assert.deepEqual(live(), good);
+});
+
+test('a process that was down before the change is reported and the config kept', async () => {
+  const next = { ...good, log: { loglevel: 'info' } };
+  const health = await change(next, { alreadyDown: true });
+  assert.equal(health.state, 'failed');
+  assert.match(health.error, /config kept: the failure is not tied to the last change/);
+  assert.equal(health.rolledBackTo, null);
+  assert.deepEqual(live(), next);
+});
+
+test('a stats API that does not answer is reported and the config kept', async () => {
+  // Nothing listens on the API port here, so the probe fails while the process runs
+  const next = { ...good, api: { tag: 'api', services: ['StatsService'] } };
+  const health = await change(next);
+  assert.equal(health.state, 'failed');
+  assert.match(health.error, /Stats API on port \d+ did not respond \(config kept/);
+  assert.deepEqual(live(), next);
+});
+
+test('a healthy reload clears the previous failure', async () => {
+  const health = await change({ ...good, log: { loglevel: 'error' } });
+  assert.equal(health.state, 'ok');
+  assert.equal(health.error, null);
+});
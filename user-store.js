@@ -0,0 +1,290 @@
+'use strict';
+
+/**
+ * Persistence for users and their accumulated usage, behind one interface with two backends:
+ * - json (default): users.json + usage-store.json through storage.js
+ * - sqlite: users.db through better-sqlite3 (optional dependency, loaded only when selected)
+ *
+ * The backend is chosen once at startup with `--user-store=sqlite|json` or USER_STORE=sqlite|json.
+ * The first sqlite start imports users.json, usage-store.json and usage-history.json (one-shot, recorded in the meta
+ * table); the JSON files are left untouched so switching back stays possible.
+ *
+ * Usage records are keyed by user uuid in both backends:
+ * { [uuid]: { accumBytes, lastRawBytes, accumUp, accumDown, lastRawUp, lastRawDown } }
+ * (the up/down fields are absent on records written before split accounting).
+ * Traffic history is bucketed per uuid at HISTORY_GRANULARITIES (5m/1h/1d), each with its own
+ * retention; every recorded delta is added to all three rollups. The json backend keeps history in
+ * usage-history.json (fine for small panels; use sqlite for thousands of users).
+ *
+ * Callers serialize read-modify-write cycles with the USERS_FILE / USAGE_FILE locks (storage.js),
+ * which are in-process and therefore cover both backends.
+ */
+import { existsSync } from 'fs';
+import path from 'path';
+import utils from './utils.js';
+
+const USAGE_FILE = path.join(path.dirname(utils.USERS_FILE), 'usage-store.json');
+const HISTORY_FILE = path.join(path.dirname(utils.USERS_FILE), 'usage-history.json');
+const DB_FILE = process.env.USER_DB_FILE || path.join(path.dirname(utils.USERS_FILE), 'users.db');
+
+const HOUR_MS = 3600000;
+const DAY_MS = 24 * HOUR_MS;
+/** Bucket size and retention per history granularity */
+const HISTORY_GRANULARITIES = {
+  '5m': { ms: 5 * 60000, retentionMs: 2 * DAY_MS },
+  '1h': { ms: HOUR_MS, retentionMs: 35 * DAY_MS },
+  '1d': { ms: DAY_MS, retentionMs: 400 * DAY_MS },
+};
+
+/**
+ * Start of the bucket containing ts. Hours and days follow server local time so "yesterday" means
+ * the server's calendar day.
+ * @param {number} ts epoch ms
+ * @param {'5m'|'1h'|'1d'} granularity
+ */
+function bucketStart(ts, granularity) {
+  const d = new Date(ts);
+  if (granularity === '1d') d.setHours(0, 0, 0, 0);
+  else if (granularity === '1h') d.setMinutes(0, 0, 0);
+  else return Math.floor(ts / HISTORY_GRANULARITIES['5m'].ms) * HISTORY_GRANULARITIES['5m'].ms;
+  return d.getTime();
+}
+
+/**
+ * Backend selected by CLI flag or environment (flag wins).
+ * @returns {'json'|'sqlite'}
+ */
+function configuredBackend() {
+  const flag = process.argv.find(a => a.startsWith('--user-store='));
+  const value = (flag ? flag.split('=')[1] : process.env.USER_STORE || 'json').toLowerCase();
+  if (value !== 'json' && value !== 'sqlite') throw new Error(`Unknown user store backend '${value}' (expected json or sqlite)`);
+  return value;
+}
+
+function createJsonBackend({ usersFile, usageFile, historyFile }) {
+  const readUsage = () => { try { return utils.readJson(usageFile); } catch { return {}; } };
+  // { [uuid]: { [granularity]: { [bucketStart]: [up, down] } } }
+  const readHistory = () => { try { return utils.readJson(historyFile); } catch { return {}; } };
+  return {
+    name: 'json',
+    loadUsers: () => utils.readJson(usersFile),
+    saveUsers: users => utils.writeJson(usersFile, users),
+    loadUsage: readUsage,
+    saveUsage(records) {
+      if (!Object.keys(records).length) return;
+      utils.writeJson(usageFile, { ...readUsage(), ...records });
+    },
+    recordHistory(ts, deltas) {
+      const history = readHistory();
+      for (const [uuid, { up, down }] of Object.entries(deltas)) {
+        const perUser = history[uuid] || (history[uuid] = {});
+        for (const g of Object.keys(HISTORY_GRANULARITIES)) {
+          const buckets = perUser[g] || (perUser[g] = {});
+          const key = bucketStart(ts, g);
+          const cur = buckets[key] || [0, 0];
+          buckets[key] = [cur[0] + up, cur[1] + down];
+        }
+      }
+      for (const [uuid, perUser] of Object.entries(history)) {
+        for (const [g, { retentionMs }] of Object.entries(HISTORY_GRANULARITIES)) {
+          for (const key of Object.keys(perUser[g] || {})) if (Number(key) < ts - retentionMs) delete perUser[g][key];
+        }
+        if (!Object.values(perUser).some(b => Object.keys(b).length)) delete history[uuid];
+      }
+      utils.writeJson(historyFile, history);
+    },
+    queryHistory(uuid, granularity, from, to) {
+      const buckets = readHistory()[uuid]?.[granularity] || {};
+      return Object.entries(buckets)
+        .map(([ts, [up, down]]) => ({ ts: Number(ts), up, down }))
+        .filter(p => p.ts >= from && p.ts <= to)
+        .sort((a, b) => a.ts - b.ts);
+    },
+  };
+}
+
+async function createSqliteBackend({ usersFile, usageFile, historyFile, dbFile }) {
+  let Database;
+  try {
+    ({ default: Database } = await import('better-sqlite3'));
+  } catch (e) {
+    throw new Error(`The sqlite user store needs the better-sqlite3 package (npm install better-sqlite3): ${e.message}`);
+  }
+  const db = new Database(dbFile);
+  db.pragma('journal_mode = WAL');
+  db.pragma('synchronous = NORMAL');
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS users (
+      id INTEGER PRIMARY KEY,
+      uuid TEXT NOT NULL UNIQUE,
+      username TEXT NOT NULL UNIQUE,
+      data TEXT NOT NULL
+    );
+    CREATE TABLE IF NOT EXISTS usage (
+      uuid TEXT PRIMARY KEY,
+      accum_bytes INTEGER NOT NULL DEFAULT 0,
+      last_raw_bytes INTEGER NOT NULL DEFAULT 0,
+      accum_up INTEGER,
+      accum_down INTEGER,
+      last_raw_up INTEGER,
+      last_raw_down INTEGER
+    );
+    CREATE TABLE IF NOT EXISTS usage_history (
+      uuid TEXT NOT NULL,
+      granularity TEXT NOT NULL,
+      bucket INTEGER NOT NULL,
+      up INTEGER NOT NULL DEFAULT 0,
+      down INTEGER NOT NULL DEFAULT 0,
+      PRIMARY KEY (uuid, granularity, bucket)
+    ) WITHOUT ROWID;
+    CREATE TABLE IF NOT EXISTS meta (key TEXT PRIMARY KEY, value TEXT);
+  `);
+  // Databases created before split up/down accounting lack these columns (NULL = not tracked yet)
+  const usageColumns = new Set(db.pragma('table_info(usage)').map(c => c.name));
+  for (const col of ['accum_up', 'accum_down', 'last_raw_up', 'last_raw_down']) {
+    if (!usageColumns.has(col)) db.exec(`ALTER TABLE usage ADD COLUMN ${col} INTEGER`);
+  }
+
+  const stmt = {
+    allUsers: db.prepare('SELECT id, data FROM users ORDER BY id'),
+    upsertUser: db.prepare(`INSERT INTO users (id, uuid, username, data) VALUES (@id, @uuid, @username, @data)
+      ON CONFLICT(id) DO UPDATE SET uuid = excluded.uuid, username = excluded.username, data = excluded.data`),
+    deleteUser: db.prepare('DELETE FROM users WHERE id = ?'),
+    allUsage: db.prepare('SELECT uuid, accum_bytes, last_raw_bytes, accum_up, accum_down, last_raw_up, last_raw_down FROM usage'),
+    upsertUsage: db.prepare(`INSERT INTO usage (uuid, accum_bytes, last_raw_bytes, accum_up, accum_down, last_raw_up, last_raw_down)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT(uuid) DO UPDATE SET accum_bytes = excluded.accum_bytes, last_raw_bytes = excluded.last_raw_bytes,
+        accum_up = excluded.accum_up, accum_down = excluded.accum_down,
+        last_raw_up = excluded.last_raw_up, last_raw_down = excluded.last_raw_down`),
+    addHistory: db.prepare(`INSERT INTO usage_history (uuid, granularity, bucket, up, down) VALUES (?, ?, ?, ?, ?)
+      ON CONFLICT(uuid, granularity, bucket) DO UPDATE SET up = up + excluded.up, down = down + excluded.down`),
+    pruneHistory: db.prepare('DELETE FROM usage_history WHERE granularity = ? AND bucket < ?'),
+    queryHistory: db.prepare(`SELECT bucket AS ts, up, down FROM usage_history
+      WHERE uuid = ? AND granularity = ? AND bucket BETWEEN ? AND ? ORDER BY bucket`),
+    getMeta: db.prepare('SELECT value FROM meta WHERE key = ?'),
+    setMeta: db.prepare('INSERT OR REPLACE INTO meta (key, value) VALUES (?, ?)'),
+  };
+
+  // Only rows whose serialized data changed are written, so a one-user edit stays one-row cheap.
+  const saveUsers = db.transaction(users => {
+    const existing = new Map(stmt.allUsers.all().map(r => [r.id, r.data]));
+    const keep = new Set(users.map(u => u.id));
+    for (const id of existing.keys()) if (!keep.has(id)) stmt.deleteUser.run(id);
+    for (const u of users) {
+      if (!Number.isFinite(u.id)) throw new Error(`User '${u.username}' has no numeric id`);
+      const data = JSON.stringify(u);
+      if (existing.get(u.id) !== data) stmt.upsertUser.run({ id: u.id, uuid: u.uuid, username: u.username, data });
+    }
+  });
+  const saveUsage = db.transaction(records => {
+    const opt = v => typeof v === 'number' ? v : null;
+    for (const [uuid, rec] of Object.entries(records)) {
+      stmt.upsertUsage.run(uuid, rec.accumBytes || 0, rec.lastRawBytes || 0,
+        opt(rec.accumUp), opt(rec.accumDown), opt(rec.lastRawUp), opt(rec.lastRawDown));
+    }
+  });
+  const recordHistory = db.transaction((ts, deltas) => {
+    for (const [uuid, { up, down }] of Object.entries(deltas)) {
+      for (const g of Object.keys(HISTORY_GRANULARITIES)) stmt.addHistory.run(uuid, g, bucketStart(ts, g), up, down);
+    }
+    for (const [g, { retentionMs }] of Object.entries(HISTORY_GRANULARITIES)) stmt.pruneHistory.run(g, ts - retentionMs);
+  });
+
+  const migrate = db.transaction(() => {
+    let users = [];
+    let usage = {};
+    try { if (existsSync(usersFile)) users = utils.readJson(usersFile); } catch (e) { throw new Error(`Cannot migrate ${usersFile}: ${e.message}`); }
+    try { if (existsSync(usageFile)) usage = utils.readJson(usageFile); } catch {}
+    let maxId = users.reduce((m, u) => Number.isFinite(u.id) ? Math.max(m, u.id) : m, 0);
+    for (const u of users) if (!Number.isFinite(u.id)) u.id = ++maxId;
+    saveUsers(users);
+    saveUsage(usage);
+    let history = {};
+    try { if (existsSync(historyFile)) history = utils.readJson(historyFile); } catch {}
+    for (const [uuid, perUser] of Object.entries(history)) {
+      for (const [g, buckets] of Object.entries(perUser)) {
+        for (const [bucket, [up, down]] of Object.entries(buckets)) stmt.addHistory.run(uuid, g, Number(bucket), up, down);
+      }
+    }
+    stmt.setMeta.run('json_migrated_at', new Date().toISOString());
+    return { users: users.length, usage: Object.keys(usage).length };
+  });
+  if (!stmt.getMeta.get('json_migrated_at')) {
+    const counts = migrate();
+    console.log('[USER_STORE] migrated JSON files into', dbFile, counts);
+  }
+
+  return {
+    name: 'sqlite',
+    loadUsers: () => stmt.allUsers.all().map(r => JSON.parse(r.data)),
+    saveUsers,
+    loadUsage() {
+      const out = {};
+      for (const r of stmt.allUsage.all()) {
+        const rec = out[r.uuid] = { accumBytes: r.accum_bytes, lastRawBytes: r.last_raw_bytes };
+        if (r.last_raw_up !== null) {
+          Object.assign(rec, { accumUp: r.accum_up, accumDown: r.accum_down, lastRawUp: r.last_raw_up, lastRawDown: r.last_raw_down });
+        }
+      }
+      return out;
+    },
+    saveUsage,
+    recordHistory,
+    queryHistory: (uuid, granularity, from, to) => stmt.queryHistory.all(uuid, granularity, from, to),
+    close: () => db.close(),
+  };
+}
+
+// JSON until initUserStore() says otherwise, so scripts importing users.js keep working.
+let backend = createJsonBackend({ usersFile: utils.USERS_FILE, usageFile: USAGE_FILE, historyFile: HISTORY_FILE });
+
+/**
+ * Select and open the backend. Call once at startup, before routes touch users.
+ * @param {{backend?:'json'|'sqlite', usersFile?:string, usageFile?:string, historyFile?:string, dbFile?:string}} [opts]
+ * @returns {Promise<string>} backend name
+ */
+async function initUserStore(opts = {}) {
+  const files = {
+    usersFile: opts.usersFile || utils.USERS_FILE,
+    usageFile: opts.usageFile || USAGE_FILE,
+    historyFile: opts.historyFile || HISTORY_FILE,
+    dbFile: opts.dbFile || DB_FILE,
+  };
+  const name = opts.backend || configuredBackend();
+  backend?.close?.();
+  backend = name === 'sqlite' ? await createSqliteBackend(files) : createJsonBackend(files);
+  console.log('[USER_STORE] backend:', backend.name);
+  return backend.name;
+}
+
+export default {
+  USAGE_FILE,
+  HISTORY_FILE,
+  HISTORY_GRANULARITIES,
+  bucketStart,
+  initUserStore,
+  backendName: () => backend.name,
+  /** @returns {any[]} all users, in id order for sqlite / file order for json */
+  loadUsers: () => backend.loadUsers(),
+  /** Replace the user list. @param {any[]} users */
+  saveUsers: users => backend.saveUsers(users),
+  /** @returns {Record<string,{accumBytes:number,lastRawBytes:number,accumUp?:number,accumDown?:number,lastRawUp?:number,lastRawDown?:number}>} */
+  loadUsage: () => backend.loadUsage(),
+  /** Upsert the given usage records (others are left as they are). @param {Record<string,{accumBytes:number,lastRawBytes:number,accumUp?:number,accumDown?:number,lastRawUp?:number,lastRawDown?:number}>} records */
+  saveUsage: records => backend.saveUsage(records),
+  /**
+   * Add traffic deltas to every rollup bucket containing ts and drop buckets past retention.
+   * @param {number} ts epoch ms
+   * @param {Record<string,{up:number,down:number}>} deltas bytes per uuid
+   */
+  recordHistory: (ts, deltas) => backend.recordHistory(ts, deltas),
+  /**
+   * Non-empty buckets for one user, oldest first.
+   * @param {string} uuid
+   * @param {'5m'|'1h'|'1d'} granularity
+   * @param {number} from epoch ms (inclusive, bucket start)
+   * @param {number} to epoch ms (inclusive, bucket start)
+   * @returns {{ts:number, up:number, down:number}[]}
+   */
+  queryHistory: (uuid, granularity, from, to) => backend.queryHistory(uuid, granularity, from, to),
+};
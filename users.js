@@ -1,5 +1,12 @@
 'use strict';
-import path from 'path';
+import userStore from './user-store.js';
+import settings from './settings.js';
+import ipLimit from './ip-limit.js';
+import shaper from './shaper.js';
+import protocols from './protocols.js';
+import endpoints from './endpoints.js';
+import subscription from './subscription.js';
+import { fileURLToPath } from 'url';
 
 /**
  * User management routes:
@@ -7,19 +14,41 @@ import path from 'path';
  * - POST /api/users
  * - DELETE /api/users/:username
  * - POST /api/users/:username/reset-quota
+ * - GET /api/users/:username/usage/history
+ * - GET /api/users/:username/quota-periods
+ * - GET /api/users/:username/ips
+ * - GET /api/ip-limit/events
+ * - GET /api/inbounds
+ * - POST /api/users/:username/subscription/rotate
+ * - GET /api/users/:username/client-config?format=singbox|clash
+ * - GET /sub/:token (public, token-protected; see subscription.js)
+ * - GET /u/:token, GET /u/:token/info (public self-service status page, same token)
  *
  * Features:
  * - List/add/remove VPN users
  * - View user connection stats (bandwidth usage from Xray)
- * - Set user limits (bandwidth quota in GB, max connections value, expiry date)
+ * - Set user limits (bandwidth quota in GB, device/IP limit, expiry date, speed cap in Mbit/s)
  * - Reset quota for specific users (usage reset only)
- * - Auto-disable users if over bandwidth quota, expired, or over connection limit (heuristic)
- * - vless:// URL generation
+ * - Optional per-user quota reset cycle (daily, weekly, monthly, every N days from activation), applied by
+ *   the background aggregation: the finished period is archived on the user and users disabled only for
+ *   quota are re-enabled
+ * - Auto-disable users if over bandwidth quota or expired; users seen from more than ipLimit distinct source IPs
+ *   are disabled for a cool-down and re-enabled automatically
+ * - Users attach to any set of managed inbounds (vless, vmess, trojan, Shadowsocks 2022; see protocols.js) with
+ *   per-protocol credentials, and get a share link per inbound (per inbound and server endpoint once endpoints.js
+ *   has enabled endpoints)
+ * - Per-user uplink/downlink traffic history (5-minute, hourly, daily buckets)
  *
  * Notes:
- * - Bandwidth usage is read live from Xray API (uplink+downlink), converted to GB with 2 decimals.
- * - Connection limit is enforced heuristically via recent access.log entries per UUID.
- * - After any change to Xray client list, the service is reloaded automatically.
+ * - Bandwidth usage is read live from the Xray StatsService (gRPC, one query for all users); uplink and downlink are accumulated separately and
+ *   each user's quotaMode ('both' default, 'down', 'up') picks what counts against the quota.
+ * - Source IPs come from the Xray access log (read incrementally by ip-limit.js, matched by client email =
+ *   username) within a sliding window (IP_LIMIT_WINDOW_MS, cool-down IP_LIMIT_COOLDOWN_MS). Behind a reverse
+ *   proxy every connection is logged from the proxy's address unless it passes X-Forwarded-For (see ip-limit.js).
+ *   A disable removes the client through HandlerService and closes its open connections from those IPs (ss -K;
+ *   Xray is restarted when the kernel cannot do that).
+ * - Client list changes are written to the Xray config and applied to the running Xray through the
+ *   HandlerService API (no restart); Xray is restarted only as a fallback (see syncInboundClients).
  *
  * @param {import('express').Express} app
  * @param {*} utils - shared utilities (see utils.js)
@@ -28,24 +57,181 @@ function registerUserRoutes(app, utils) {
   const {
     USERS_FILE,
     CONFIG_FILE,
-    readJson,
-    writeJson,
     bytesToGB,
-  getUserTraffic,
-  getUserTrafficMulti,
-  resetUserTrafficCounters,
+  resetUserTrafficCountersMulti,
   reloadXray,
-  getRecentUuidCounts,
+  acquireFileLock,
+  withFileLock,
   } = utils;
+  // users.json/usage-store.json or SQLite, chosen at startup (see user-store.js); the file paths
+  // double as lock keys for either backend.
+  const { USAGE_FILE } = userStore;
+
+  // Which traffic direction counts against a user's quota
+  const QUOTA_MODES = ['both', 'down', 'up'];
+  function quotaUsageBytes(u) {
+    if (u.quotaMode === 'down') return u.usageDownBytes || 0;
+    if (u.quotaMode === 'up') return u.usageUpBytes || 0;
+    return u.usageAccumBytes || 0;
+  }
+
+  // ---- Quota reset cycles (see parseResetCycle/nextCycleReset below) ----
+  const MAX_QUOTA_PERIODS = 24; // archived periods kept per user
+
+  function quotaResetDue(u, now) {
+    return !!(u.resetCycle && u.quotaPeriodStart && nextCycleReset(u.resetCycle, Date.parse(u.quotaPeriodStart)) <= now);
+  }
 
   /**
-   * Build desired VLESS clients array (id=uuid, email=username) from users list (enabled only).
+   * Start a new quota period for every user whose cycle boundary has passed: archive the finished period's
+   * usage on the user, zero the accumulated usage (raw Xray counters stay untouched, so the next poll only
+   * adds new traffic) and re-enable users that were disabled for quota. Mutates the in-memory users too.
+   * @param {Array} users users just folded by accumulateUsageAsync
+   * @param {number} now
+   */
+  async function applyQuotaResets(users, now) {
+    if (!users.some(u => quotaResetDue(u, now))) return;
+    const release = await acquireFileLock(USERS_FILE);
+    try {
+      const stored = baseLoadUsers();
+      const live = new Map(users.map(u => [u.id, u]));
+      const reset = [];
+      const reenabled = [];
+      for (const s of stored) {
+        const u = live.get(s.id);
+        if (!u || !quotaResetDue(s, now)) continue;
+        // A panel that was down for several periods archives them as one and resumes in the current period
+        let end = nextCycleReset(s.resetCycle, Date.parse(s.quotaPeriodStart));
+        for (let next = nextCycleReset(s.resetCycle, end); next <= now; next = nextCycleReset(s.resetCycle, next)) end = next;
+        const period = {
+          from: s.quotaPeriodStart,
+          to: new Date(end).toISOString(),
+          upBytes: u.usageUpBytes || 0,
+          downBytes: u.usageDownBytes || 0,
+          totalBytes: u.usageAccumBytes || 0,
+          quota: typeof s.quota === 'number' ? s.quota : -1,
+          quotaMode: s.quotaMode || 'both',
+        };
+        s.quotaPeriods = [...(s.quotaPeriods || []), period].slice(-MAX_QUOTA_PERIODS);
+        s.quotaPeriodStart = period.to;
+        const expired = s.expiry && new Date(s.expiry).getTime() <= now;
+        if (!s.enabled && s.disabledReason === 'quota' && !expired) {
+          s.enabled = true;
+          delete s.disabledReason;
+          reenabled.push(s.username);
+        }
+        Object.assign(u, { quotaPeriods: s.quotaPeriods, quotaPeriodStart: s.quotaPeriodStart, enabled: s.enabled, disabledReason: s.disabledReason });
+        u.usageAccumBytes = 0; u.usageUpBytes = 0; u.usageDownBytes = 0;
+        reset.push(s);
+      }
+      if (!reset.length) return;
+      await withFileLock(USAGE_FILE, () => {
+        const store = userStore.loadUsage();
+        const zeroed = {};
+        for (const s of reset) {
+          if (store[s.uuid]) zeroed[s.uuid] = { ...store[s.uuid], accumBytes: 0, accumUp: 0, accumDown: 0 };
+        }
+        userStore.saveUsage(zeroed);
+      });
+      userStore.saveUsers(stored);
+      console.log('[QUOTA_CYCLE] new period for', reset.map(s => s.username).join(','), reenabled.length ? `re-enabled: ${reenabled.join(',')}` : '');
+      if (reenabled.length) {
+        await syncInboundClients(stored, { actor: 'system', source: 'quota-reset-cycle', reason: `Re-enable after quota reset: ${reenabled.join(', ')}` });
+      }
+    } finally {
+      release();
+    }
+  }
+
+  // ---- Device/IP limit ----
+  // ipLimit: max distinct source IPs within ip-limit.js's window (0/absent = unlimited). Offenders get
+  // disabledReason 'ip-limit' and ipLimitUntil; the aggregation loop re-enables them once it has passed.
+  function parseIpLimit(value) {
+    if (value === null || value === '' || value === 0) return { limit: 0 };
+    const limit = Number(value);
+    if (!Number.isInteger(limit) || limit < 0 || limit > 1000) return { error: 'ipLimit must be an integer between 0 and 1000 (0 = unlimited)' };
+    return { limit };
+  }
+
+  /**
+   * Disable users over their IP limit and re-enable those whose cool-down has passed (see ipLimit.limitChanges).
+   * Changes are written to the user store, mirrored into the in-memory users and pushed to Xray; the offenders'
+   * open connections are then closed.
    * @param {Array} users
+   * @param {number} now
    */
-  function buildDesiredClients(users) {
-    return users
-      .filter(u => u.enabled !== false)
-      .map(u => ({ id: u.uuid, email: u.username, level: 0 }));
+  async function applyIpLimits(users, now) {
+    try { ipLimit.pollAccessLog(); } catch (e) { console.warn('[IP_LIMIT] access log read failed', e.message); }
+    const changes = ipLimit.limitChanges(users, now);
+    if (!changes.size) return;
+    const release = await acquireFileLock(USERS_FILE);
+    try {
+      const stored = baseLoadUsers();
+      const live = new Map(users.map(u => [u.id, u]));
+      for (const s of stored) {
+        const change = changes.get(s.id);
+        if (!change) continue;
+        const { _ips, ...fields } = change;
+        for (const [k, v] of Object.entries(fields)) {
+          if (v === undefined) { delete s[k]; delete live.get(s.id)[k]; } else { s[k] = v; live.get(s.id)[k] = v; }
+        }
+        ipLimit.forget(s.username);
+        ipLimit.recordEnforcement(fields.enabled
+          ? { username: s.username, action: 're-enabled' }
+          : { username: s.username, action: 'disabled', ips: _ips, limit: s.ipLimit, until: fields.ipLimitUntil });
+      }
+      userStore.saveUsers(stored);
+      const names = stored.filter(s => changes.has(s.id)).map(s => s.username).join(', ');
+      // HandlerService remove/add refuses new connections without touching anyone else's. The offenders' open
+      // connections survive the removal: close them by address, and restart Xray only if that is not possible.
+      await syncInboundClients(stored, { actor: 'system', source: 'ip-limit', reason: `IP limit enforcement: ${names}` });
+      const offenderIps = [...changes.values()].filter(c => c.enabled === false).flatMap(c => c._ips);
+      if (offenderIps.length && !(await ipLimit.dropSessions(offenderIps))) {
+        console.warn('[IP_LIMIT] restarting Xray to drop the sessions of', names);
+        utils.restartXray?.();
+      }
+    } finally {
+      release();
+    }
+  }
+
+  // ---- Speed limits ----
+  // A user's effective cap is the lower of its own speedLimitMbps and the server-wide one from settings.js
+  // (0/absent = unlimited). Xray has no per-user rate limit, so shaper.js enforces the caps with tc on the
+  // source IPs ip-limit.js has seen for each enabled user; applied after every aggregation pass.
+  function effectiveSpeedLimit(u, globalMbps) {
+    const caps = [u.speedLimitMbps, globalMbps].filter(v => typeof v === 'number' && v > 0);
+    return caps.length ? Math.min(...caps) : 0;
+  }
+
+  function applySpeedLimits(users) {
+    const globalMbps = settings.loadSettings().speedLimitMbps;
+    const limits = users.filter(u => u.enabled).map(u => ({ username: u.username, mbps: effectiveSpeedLimit(u, globalMbps) }))
+      .filter(l => l.mbps > 0).map(l => ({ ...l, ips: ipLimit.recentIps(l.username).map(x => x.ip) }));
+    return shaper.applySpeedLimits(limits);
+  }
+
+  // Fold a raw Xray counter into an accumulated total; counters drop to zero when Xray restarts.
+  function foldCounter(accum, lastRaw, raw) {
+    return raw >= lastRaw ? accum + (raw - lastRaw) : accum + raw;
+  }
+
+  /**
+   * Build the desired clients of every managed inbound (email=username, level 0, protocol credentials)
+   * from users list (enabled only, each in the inbounds it is attached to).
+   * @param {Array} users
+   * @param {object[]} inbounds see protocols.managedInbounds
+   * @returns {Map<string, object[]>} inbound tag -> clients
+   */
+  function buildDesiredClients(users, inbounds) {
+    const byTag = new Map(inbounds.map(ib => [protocols.inboundTag(ib), []]));
+    for (const u of users) {
+      if (u.enabled === false) continue;
+      for (const tag of protocols.userInboundTags(u, inbounds)) {
+        byTag.get(tag).push(protocols.clientFor(inbounds.find(ib => protocols.inboundTag(ib) === tag), u));
+      }
+    }
+    return byTag;
   }
 
   // ---- Background usage aggregation cache (new fast path) ----
@@ -53,113 +239,199 @@ function registerUserRoutes(app, utils) {
   let _cacheStamp = 0;
   let _isAggregating = false;
   const AGG_INTERVAL_MS = 5000;
+
+  // ---- Traffic history (see user-store.js for buckets/retention) ----
+  // Accumulated per-direction deltas are buffered per 5-minute bucket and flushed once a minute.
+  const HISTORY_FLUSH_MS = 60000;
+  let _pendingHistory = new Map(); // bucketStart -> { [uuid]: {up, down} }
+  let _historyFlushedAt = Date.now();
+
+  function bufferHistoryDelta(uuid, up, down, ts) {
+    if (!up && !down) return;
+    const bucket = userStore.bucketStart(ts, '5m');
+    const deltas = _pendingHistory.get(bucket) || {};
+    const cur = deltas[uuid] || { up: 0, down: 0 };
+    deltas[uuid] = { up: cur.up + up, down: cur.down + down };
+    _pendingHistory.set(bucket, deltas);
+  }
+
+  function flushHistory() {
+    const pending = _pendingHistory;
+    _pendingHistory = new Map();
+    _historyFlushedAt = Date.now();
+    try {
+      for (const [bucket, deltas] of pending) userStore.recordHistory(bucket, deltas);
+    } catch (e) { console.warn('[USAGE_HISTORY] flush failed', e.message); }
+  }
   
-  // Persist only enabled flag changes (avoid rewriting whole usage stats each poll)
-  function persistEnabledFlags(enriched) {
+  // Persist only enabled flag (and disabledReason) changes (avoid rewriting whole usage stats each poll)
+  async function persistEnabledFlags(enriched) {
+    const release = await acquireFileLock(USERS_FILE);
     try {
       const orig = baseLoadUsers();
       let changed = false;
-      const byId = new Map(enriched.map(u=>[u.id,u.enabled]));
+      const byId = new Map(enriched.map(u=>[u.id,u]));
       for (const u of orig) {
-        const newEnabled = byId.get(u.id);
-        if (typeof newEnabled === 'boolean' && newEnabled !== u.enabled) { u.enabled = newEnabled; changed = true; }
+        const next = byId.get(u.id);
+        if (next && typeof next.enabled === 'boolean' && next.enabled !== u.enabled) {
+          u.enabled = next.enabled;
+          if (next.disabledReason) u.disabledReason = next.disabledReason; else delete u.disabledReason;
+          changed = true;
+        }
       }
-      if (changed) writeJson(USERS_FILE, orig);
+      if (changed) userStore.saveUsers(orig);
     } catch(e) { /* silent */ }
+    finally { release(); }
   }
 
   // Lightweight accumulateUsage used by mutation endpoints just to fold current cached usage-store values.
   function accumulateUsage(users) {
     try {
-      const dir = path.dirname(USERS_FILE);
-      const USAGE_FILE = path.join(dir, 'usage-store.json');
-      let store = {}; try { store = utils.readJson(USAGE_FILE); } catch {}
+      const store = userStore.loadUsage();
       for (const u of users) {
         const rec = store[u.uuid];
-        if (rec) { u.usageAccumBytes = rec.accumBytes; u.lastRawBytes = rec.lastRawBytes; }
+        if (rec) {
+          u.usageAccumBytes = rec.accumBytes;
+          u.lastRawBytes = rec.lastRawBytes;
+          // Not yet migrated by accumulateUsageLocked: same attribution of the combined total
+          const legacy = typeof rec.lastRawUp !== 'number';
+          u.usageUpBytes = legacy ? (u.quotaMode === 'up' ? rec.accumBytes || 0 : 0) : rec.accumUp || 0;
+          u.usageDownBytes = legacy ? (u.quotaMode === 'up' ? 0 : rec.accumBytes || 0) : rec.accumDown || 0;
+        }
       }
     } catch { /* ignore */ }
   }
 
-  // Sync desired VLESS clients into Xray config file; return true if config changed.
-  function syncVlessClients(users) {
+  function loadManagedInbounds() {
+    try { return protocols.managedInbounds(utils.readJson(CONFIG_FILE)); } catch { return []; }
+  }
+  // Sync desired clients into every managed inbound in the Xray config file (kept for persistence) and the running
+  // Xray; return true if config changed. meta ({actor, source, reason}) is recorded with the config revision.
+  // Client changes are applied through HandlerService (remove + add per changed client) so nobody else's
+  // connections drop; connections a removed client already has stay open. Xray is restarted instead when an
+  // untagged inbound changed (HandlerService addresses inbounds by tag), an API call fails, or the caller asks
+  // for it (opts.restart: to drop a user's live sessions).
+  async function syncInboundClients(users, meta = {}, { restart = false } = {}) {
+    let change;
     try {
-      const desired = buildDesiredClients(users);
-      const cfg = utils.readJson(CONFIG_FILE);
-      if (!Array.isArray(cfg.inbounds)) return false;
-      // Find first vless inbound with settings.clients
-      let changed = false;
-      for (const inbound of cfg.inbounds) {
-        if (inbound?.protocol === 'vless' && inbound?.settings && Array.isArray(inbound.settings.clients)) {
-          const prev = inbound.settings.clients;
-          // Cheap diff compare (stringify sorted by id)
-          const norm = a => JSON.stringify(a.map(c=>({id:c.id,email:c.email,level:c.level})).sort((a,b)=>a.id.localeCompare(b.id)));
-          if (norm(prev) !== norm(desired)) {
-            inbound.settings.clients = desired;
-            changed = true;
-          }
-          break;
+      change = writeInboundClients(users, meta);
+    } catch(e) {
+      console.warn('[SYNC_CLIENTS] failed', e.message);
+      return false;
+    }
+    if (!change) return false;
+    // HandlerService needs the inbound tag: changes to an untagged inbound only take effect with a restart
+    const untagged = change.inbounds.filter(c => !c.tag);
+    if (restart || untagged.length) {
+      if (untagged.length) console.log('[SYNC_CLIENTS] untagged inbound changed, restarting Xray:', untagged.map(c => c.protocol).join(', '));
+      utils.restartXray?.();
+      return true;
+    }
+    try {
+      for (const { tag, protocol, prev, desired } of change.inbounds) {
+        const had = new Set(prev.map(protocols.clientKey));
+        const keep = new Set(desired.map(protocols.clientKey));
+        const removed = prev.filter(c => !keep.has(protocols.clientKey(c)));
+        const added = desired.filter(c => !had.has(protocols.clientKey(c)));
+        for (const c of removed) {
+          if (!c.email) throw new Error(`a client of ${tag} has no email`);
+          await utils.removeInboundUser(tag, c.email);
         }
+        for (const c of added) await utils.addInboundUser(tag, protocol, c);
+        console.log('[XRAY_API]', tag, `removed=${removed.length} added=${added.length} (no restart)`);
       }
-      if (changed) {
-        writeJson(CONFIG_FILE, cfg);
-        utils.reloadXray?.();
-      }
-      return changed;
     } catch(e) {
-      console.warn('[SYNC_VLESS] failed', e.message);
-      return false;
+      console.warn('[XRAY_API] runtime user update failed, restarting Xray:', e.message);
+      utils.restartXray?.();
+    }
+    return true;
+  }
+  // Write desired clients into the Xray config file.
+  // Returns null if nothing changed, else the changed inbounds ({tag, protocol, prev, desired}; tag is the config's
+  // own, undefined for an untagged inbound).
+  function writeInboundClients(users, meta = {}) {
+    const cfg = utils.readJson(CONFIG_FILE);
+    const inbounds = protocols.managedInbounds(cfg);
+    const desiredByTag = buildDesiredClients(users, inbounds);
+    // Cheap diff compare (sorted client keys)
+    const norm = a => JSON.stringify(a.map(protocols.clientKey).sort());
+    const changed = [];
+    for (const inbound of inbounds) {
+      const prev = inbound.settings.clients;
+      const desired = desiredByTag.get(protocols.inboundTag(inbound));
+      if (norm(prev) === norm(desired)) continue;
+      inbound.settings.clients = desired;
+      changed.push({ tag: inbound.tag, protocol: inbound.protocol, prev, desired });
     }
+    if (!changed.length) return null;
+    utils.writeXrayConfig(cfg, { reason: 'Sync inbound clients', ...meta });
+    return { inbounds: changed };
+  }
+  // Async stats helper (non-blocking) for background aggregation: one QueryStats call returns every user's counters.
+  // Holds the usage-store lock across the stats query so a concurrent reset is not overwritten.
+  function accumulateUsageAsync(users) {
+    return withFileLock(USAGE_FILE, () => accumulateUsageLocked(users));
   }
-  // Async stats helper (non-blocking) for background aggregation
-  async function accumulateUsageAsync(users) {
-    const dir = path.dirname(USERS_FILE);
-    const USAGE_FILE = path.join(dir, 'usage-store.json');
-    let store = {};
-    try { store = utils.readJson(USAGE_FILE); } catch { store = {}; }
-    let storeChanged = false;
-    const concurrency = 6;
-    let idx = 0;
-    async function worker() {
-      while (idx < users.length) {
-        const i = idx++;
-        const u = users[i];
-        const key = u.uuid;
-        const statKey = u.statKey || u.displayName || u.username || u.uuid;
-        let rawBytes = 0;
-        try {
-          const { stdout } = await utils.runCmd(`timeout 0.5s ${utils.XRAY_BIN} api statsquery --server=127.0.0.1:${utils.XRAY_API_PORT} --pattern \"user>>>${statKey}\"`).catch(()=>({stdout:''}));
-          if (stdout.includes('stat')) {
-            try {
-              const j = JSON.parse(stdout);
-              for (const s of j.stat || []) {
-                if (s?.name && s.name.startsWith(`user>>>${statKey}>>>traffic>>>`) && typeof s.value === 'number') rawBytes += s.value;
-              }
-            } catch {}
-          }
-        } catch {}
-        const prev = store[key] || { accumBytes: 0, lastRawBytes: rawBytes };
-        if (!store[key]) { prev.accumBytes = rawBytes; prev.lastRawBytes = rawBytes; storeChanged = true; }
-        else if (rawBytes >= prev.lastRawBytes) {
-          if (rawBytes > prev.lastRawBytes) { prev.accumBytes += (rawBytes - prev.lastRawBytes); prev.lastRawBytes = rawBytes; storeChanged = true; }
-        } else { prev.accumBytes += rawBytes; prev.lastRawBytes = rawBytes; storeChanged = true; }
-        store[key] = prev;
-        u.usageAccumBytes = prev.accumBytes;
-        u.lastRawBytes = prev.lastRawBytes;
+  async function accumulateUsageLocked(users) {
+    let traffic;
+    try {
+      traffic = await utils.queryUserTraffic();
+    } catch (e) {
+      // Stats API unreachable: keep the stored totals rather than folding zero readings
+      if (process.env.STATS_DEBUG) console.warn('[STATS_FAIL] aggregate', e.message);
+      accumulateUsage(users);
+      return;
+    }
+    const store = userStore.loadUsage();
+    const changed = {};
+    for (const u of users) {
+      const key = u.uuid;
+      const statKey = u.statKey || u.displayName || u.username || u.uuid;
+      const { up: rawUp, down: rawDown } = traffic.get(statKey) || { up: 0, down: 0 };
+      const rawBytes = rawUp + rawDown;
+      const rec = store[key];
+      let prev = rec;
+      let next;
+      if (!rec) {
+        next = { accumBytes: rawBytes, lastRawBytes: rawBytes, accumUp: rawUp, accumDown: rawDown, lastRawUp: rawUp, lastRawDown: rawDown };
+      } else {
+        const accumBytes = foldCounter(rec.accumBytes || 0, rec.lastRawBytes || 0, rawBytes);
+        let accumUp, accumDown;
+        if (typeof rec.lastRawUp === 'number') {
+          accumUp = foldCounter(rec.accumUp || 0, rec.lastRawUp, rawUp);
+          accumDown = foldCounter(rec.accumDown || 0, rec.lastRawDown || 0, rawDown);
+        } else {
+          // Records from before split accounting only carry a combined total: attribute all of it to the
+          // direction the quota counts (downlink for 'both'), so down/up quotas keep the prior usage
+          const countsUp = u.quotaMode === 'up';
+          accumUp = countsUp ? accumBytes : 0;
+          accumDown = countsUp ? 0 : accumBytes;
+          prev = { accumUp: countsUp ? rec.accumBytes || 0 : 0, accumDown: countsUp ? 0 : rec.accumBytes || 0 };
+        }
+        next = { accumBytes, lastRawBytes: rawBytes, accumUp, accumDown, lastRawUp: rawUp, lastRawDown: rawDown };
       }
+      if (!rec || rec.lastRawBytes !== next.lastRawBytes || rec.lastRawUp !== next.lastRawUp || rec.lastRawDown !== next.lastRawDown) changed[key] = next;
+      // History only gets this sample's growth, not the totals carried over by a migration
+      bufferHistoryDelta(key, next.accumUp - (prev?.accumUp || 0), next.accumDown - (prev?.accumDown || 0), Date.now());
+      store[key] = next;
+      u.usageAccumBytes = next.accumBytes;
+      u.lastRawBytes = next.lastRawBytes;
+      u.usageUpBytes = next.accumUp;
+      u.usageDownBytes = next.accumDown;
     }
-    await Promise.all(Array.from({length: Math.min(concurrency, users.length)}, () => worker()));
-    if (storeChanged) try { writeJson(USAGE_FILE, store); } catch {}
+    try { userStore.saveUsage(changed); } catch {}
+    if (Date.now() - _historyFlushedAt >= HISTORY_FLUSH_MS) flushHistory();
   }
   function baseLoadUsers() {
-    let users = readJson(USERS_FILE);
+    let users = userStore.loadUsers();
     let needPersist = false;
     let maxId = users.reduce((m,u)=> Number.isFinite(u.id)?Math.max(m,u.id):m, 0);
     for (const u of users) {
       if (!Number.isFinite(u.id)) { u.id = ++maxId; needPersist = true; }
       if (!u.statKey) { u.statKey = u.displayName || u.username || u.uuid; needPersist = true; }
+      if (protocols.ensureCredentials(u)) needPersist = true;
     }
-    if (needPersist) writeJson(USERS_FILE, users);
+    if (needPersist) userStore.saveUsers(users);
     return users;
   }
   async function aggregate(trigger) {
@@ -170,24 +442,32 @@ function registerUserRoutes(app, utils) {
       let users = baseLoadUsers();
       await accumulateUsageAsync(users);
       const now = Date.now();
+      await applyQuotaResets(users, now);
+      await applyIpLimits(users, now);
+      const inbounds = loadManagedInbounds();
+      const { linkTemplates } = settings.loadSettings();
+      const activeEndpoints = endpoints.loadEndpoints().filter(ep => ep.enabled !== false);
       const enriched = users.map(u => {
-        const usagePreciseGB = (u.usageAccumBytes || 0) / 1073741824;
+        // bandwidthUsage* is what the quota counts (see quotaMode); uplink/downlink are always reported
+        const usagePreciseGB = quotaUsageBytes(u) / 1073741824;
         const usageGB = +usagePreciseGB.toFixed(2);
         const daysLeft = u.expiry ? Math.max(0, Math.ceil((new Date(u.expiry) - now)/86400000)) : -1;
         const quotaGB = (typeof u.quota === 'number' && u.quota !== -1) ? u.quota : -1;
         const remainingPreciseGB = quotaGB === -1 ? -1 : Math.max(0, quotaGB - usagePreciseGB);
         const remainingGB = remainingPreciseGB === -1 ? -1 : +remainingPreciseGB.toFixed(2);
         let enabled = !!u.enabled;
-        if ((quotaGB !== -1 && usagePreciseGB >= quotaGB) || (u.expiry && daysLeft <= 0)) enabled = false;
-        if (enabled !== u.enabled) { u.enabled = enabled; }
-        const PUBLIC_HOST = process.env.PUBLIC_HOST || 'aparat.feezor.net';
-        const WS_PATH = '/aparat.com/v/';
-        const label = encodeURIComponent(u.displayName || u.username);
-        const params = new URLSearchParams({ encryption: 'none', security: 'tls', sni: PUBLIC_HOST, alpn: 'h3,h2,http/1.1', allowInsecure: '1', type: 'ws', host: PUBLIC_HOST, path: WS_PATH });
-        const vlessUrl = `vless://${u.uuid}@${PUBLIC_HOST}:443?${params.toString()}#${label}`;
-        return { ...u, bandwidthUsage: usageGB, bandwidthUsageRaw: usagePreciseGB, remainingBandwidth: remainingGB, remainingBandwidthRaw: remainingPreciseGB, daysLeft, vlessUrl };
+        const expired = u.expiry && daysLeft <= 0;
+        if ((quotaGB !== -1 && usagePreciseGB >= quotaGB) || expired) enabled = false;
+        // disabledReason lets a quota reset cycle re-enable users it disabled (and only those)
+        if (enabled !== u.enabled) { u.enabled = enabled; u.disabledReason = expired ? 'expired' : 'quota'; }
+        const nextQuotaReset = u.resetCycle && u.quotaPeriodStart ? new Date(nextCycleReset(u.resetCycle, Date.parse(u.quotaPeriodStart))).toISOString() : '';
+        const links = protocols.userLinks(u, inbounds, linkTemplates, activeEndpoints);
+        const vlessUrl = links.find(l => l.protocol === 'vless')?.url || '';
+        return { ...u, bandwidthUsage: usageGB, bandwidthUsageRaw: usagePreciseGB, remainingBandwidth: remainingGB, remainingBandwidthRaw: remainingPreciseGB, daysLeft, vlessUrl, links,
+          uplinkBytes: u.usageUpBytes || 0, downlinkBytes: u.usageDownBytes || 0, totalBytes: u.usageAccumBytes || 0, nextQuotaReset };
       });
-      persistEnabledFlags(enriched);
+      await persistEnabledFlags(enriched);
+      await applySpeedLimits(enriched);
       _cachedEnriched = enriched;
       _cacheStamp = Date.now();
       const dur = Date.now() - start;
@@ -209,13 +489,18 @@ function registerUserRoutes(app, utils) {
       if (Date.now() - _cacheStamp > AGG_INTERVAL_MS*2 && !_isAggregating) aggregate('stale');
       if (req.query.refresh==='1') setTimeout(()=>aggregate('manual'),10).unref();
       const enriched = _cachedEnriched.length ? _cachedEnriched : baseLoadUsers();
+      const globalSpeedMbps = settings.loadSettings().speedLimitMbps;
       try { res.set({'Cache-Control':'no-store, no-cache, must-revalidate, max-age=0','Pragma':'no-cache','Expires':'0'}); res.removeHeader('ETag'); } catch {}
       const response = enriched.map(u=>({
         id:u.id, username:u.username, uuid:u.uuid, displayName:u.displayName||'', expiry:u.expiry||'', quota:(typeof u.quota==='number')?u.quota:-1, enabled:!!u.enabled,
         bandwidthUsage:+((u.bandwidthUsage||0).toFixed(2)), bandwidthUsageRaw:u.bandwidthUsageRaw||(u.bandwidthUsage||0),
         bandwidthUsageBytes:(()=>{ try {return Math.round((u.bandwidthUsageRaw||u.bandwidthUsage||0)*1073741824);}catch{return 0;}})(),
         remainingBandwidth:u.remainingBandwidth===-1?-1:+((u.remainingBandwidth||0).toFixed(2)), remainingBandwidthRaw:u.remainingBandwidthRaw===-1?-1:(u.remainingBandwidthRaw??u.remainingBandwidth??0),
-        daysLeft:u.daysLeft, vlessUrl:u.vlessUrl
+        daysLeft:u.daysLeft, vlessUrl:u.vlessUrl, links:u.links||[], subscriptionPath:u.subToken?`/sub/${u.subToken}`:'', inbounds:Array.isArray(u.inbounds)?u.inbounds:null,
+        quotaMode:QUOTA_MODES.includes(u.quotaMode)?u.quotaMode:'both', uplinkBytes:u.uplinkBytes||0, downlinkBytes:u.downlinkBytes||0, totalBytes:u.totalBytes||0,
+        resetCycle:u.resetCycle||null, quotaPeriodStart:u.quotaPeriodStart||'', nextQuotaReset:u.nextQuotaReset||'', disabledReason:u.enabled?'':(u.disabledReason||''),
+        speedLimitMbps:u.speedLimitMbps||0, effectiveSpeedLimitMbps:effectiveSpeedLimit(u, globalSpeedMbps),
+        ipLimit:u.ipLimit||0, ipLimitUntil:(!u.enabled && u.disabledReason==='ip-limit') ? (u.ipLimitUntil||'') : ''
       }));
       const phases = `cached:${_cachedEnriched.length?1:0},agg:${_isAggregating?1:0}`;
       try { res.set({'X-Phases':phases,'X-Cache-Age':String(Date.now()-_cacheStamp)}); } catch {}
@@ -226,17 +511,32 @@ function registerUserRoutes(app, utils) {
 
   /**
    * POST /api/users
-  * Body: { username: string, displayName?: string, expiry?: string, quota?: number }
-   * Adds user to users.json, updates Xray VLESS clients, reloads Xray.
+  * Body: { username: string, displayName?: string, expiry?: string, quota?: number, quotaMode?: 'both'|'down'|'up',
+  *         resetCycle?: {type:'daily'|'weekly'|'monthly'|'days', day?:number, days?:number}|'none',
+  *         speedLimitMbps?: number (0 = unlimited), ipLimit?: number (max distinct source IPs, 0 = unlimited),
+  *         inbounds?: string[] (inbound tags, see GET /api/inbounds; default: the first vless inbound) }
+   * Adds user to users.json and the clients of its inbounds (config file and running Xray).
    */
-  app.post('/api/users', (req, res) => {
+  app.post('/api/users', async (req, res) => {
   const t0 = Date.now();
-  const { username, displayName, expiry, quota } = req.body;
+  const { username, displayName, expiry, quota, quotaMode } = req.body;
     if (!username) {
       return res.status(400).json({ error: 'username is required' });
     }
+    if (quotaMode !== undefined && !QUOTA_MODES.includes(quotaMode)) {
+      return res.status(400).json({ error: `quotaMode must be one of ${QUOTA_MODES.join(', ')}` });
+    }
+    const { cycle: resetCycle, error: cycleError } = req.body.resetCycle === undefined ? {} : parseResetCycle(req.body.resetCycle);
+    if (cycleError) return res.status(400).json({ error: cycleError });
+    const { mbps: speedLimitMbps, error: speedError } = req.body.speedLimitMbps === undefined ? {} : settings.parseSpeedLimit(req.body.speedLimitMbps);
+    if (speedError) return res.status(400).json({ error: speedError });
+    const { limit: userIpLimit, error: ipLimitError } = req.body.ipLimit === undefined ? {} : parseIpLimit(req.body.ipLimit);
+    if (ipLimitError) return res.status(400).json({ error: ipLimitError });
+    const { tags: inboundTags, error: inboundsError } = req.body.inbounds === undefined ? {} : protocols.parseInboundTags(req.body.inbounds, loadManagedInbounds());
+    if (inboundsError) return res.status(400).json({ error: inboundsError });
+    const release = await acquireFileLock(USERS_FILE);
     try {
-      let users = readJson(USERS_FILE);
+      let users = userStore.loadUsers();
       if (users.find(u => u.username === username)) {
         return res.status(400).json({ error: 'username already exists' });
       }
@@ -265,35 +565,57 @@ function registerUserRoutes(app, utils) {
         displayName: displayName || '',
 	expiry: normalizeExpiry(expiry),
         quota: (typeof quota === 'number') ? quota : -1,
+        quotaMode: quotaMode || 'both',
+        ...(resetCycle ? { resetCycle, quotaPeriodStart: new Date().toISOString() } : {}),
+        ...(speedLimitMbps ? { speedLimitMbps } : {}),
+        ...(userIpLimit ? { ipLimit: userIpLimit } : {}),
+        ...(inboundTags ? { inbounds: inboundTags } : {}),
         enabled: true,
         bandwidthUsage: 0,
         statKey: displayName || username || uuid
       });
-  // Fold current usage (will initialize accumulation fields for all users) before restart
+      protocols.ensureCredentials(users[users.length - 1]);
+  // Fold current usage (will initialize accumulation fields for all users)
   accumulateUsage(users);
-  writeJson(USERS_FILE, users);
+  userStore.saveUsers(users);
 
-  // Central sync & always restart per requirement
-  syncVlessClients(users);
-  utils.restartXray?.();
+  // Central sync; the new client is added to the running Xray
+  await syncInboundClients(users, { actor: req.user, source: 'POST /api/users', reason: `Add user ${username}` });
   res.json({ added: username });
   console.log(`[PERF] POST /api/users user=${username} total=${Date.now()-t0}ms`);
     } catch (e) {
       res.status(500).json({ error: e.message });
+    } finally {
+      release();
     }
   });
 
   /**
    * PUT /api/users/:username
-  * Updates a user's fields. Supports: username, displayName, expiry, quota.
+  * Updates a user's fields. Supports: username, displayName, expiry, quota, quotaMode, resetCycle
+  * (a changed or newly set cycle starts a new quota period now; "none" removes it), speedLimitMbps (0 = unlimited),
+  * ipLimit (0 = unlimited), inbounds (inbound tags).
    * UUID changes are not allowed (auto-generated); attempts are ignored.
    */
-  app.put('/api/users/:username', (req, res) => {
+  app.put('/api/users/:username', async (req, res) => {
 	const t0 = Date.now();
     const { username: oldUsername } = req.params;
-  const { username: newUsername, displayName, expiry, quota } = req.body || {};
+  const { username: newUsername, displayName, expiry, quota, quotaMode } = req.body || {};
+    if (quotaMode !== undefined && !QUOTA_MODES.includes(quotaMode)) {
+      return res.status(400).json({ error: `quotaMode must be one of ${QUOTA_MODES.join(', ')}` });
+    }
+    const hasCycle = req.body?.resetCycle !== undefined;
+    const { cycle: resetCycle, error: cycleError } = hasCycle ? parseResetCycle(req.body.resetCycle) : {};
+    if (cycleError) return res.status(400).json({ error: cycleError });
+    const { mbps: speedLimitMbps, error: speedError } = req.body?.speedLimitMbps === undefined ? {} : settings.parseSpeedLimit(req.body.speedLimitMbps);
+    if (speedError) return res.status(400).json({ error: speedError });
+    const { limit: userIpLimit, error: ipLimitError } = req.body?.ipLimit === undefined ? {} : parseIpLimit(req.body.ipLimit);
+    if (ipLimitError) return res.status(400).json({ error: ipLimitError });
+    const { tags: inboundTags, error: inboundsError } = req.body?.inbounds === undefined ? {} : protocols.parseInboundTags(req.body.inbounds, loadManagedInbounds());
+    if (inboundsError) return res.status(400).json({ error: inboundsError });
+    const release = await acquireFileLock(USERS_FILE);
     try {
-      let users = readJson(USERS_FILE);
+      let users = userStore.loadUsers();
       const idx = users.findIndex(u => u.username === oldUsername);
       if (idx === -1) return res.status(404).json({ error: 'User not found' });
 
@@ -323,13 +645,30 @@ function registerUserRoutes(app, utils) {
         if (before !== norm) console.log(`[USERS] Expiry change for ${oldUsername}: '${before}' -> '${norm}'`);
       }
       if (typeof quota === 'number') updated.quota = quota;
-  // maxConnections removed
+      if (quotaMode !== undefined) updated.quotaMode = quotaMode;
+      if (speedLimitMbps !== undefined) {
+        if (speedLimitMbps) updated.speedLimitMbps = speedLimitMbps; else delete updated.speedLimitMbps;
+      }
+      if (userIpLimit !== undefined) {
+        if (userIpLimit) updated.ipLimit = userIpLimit; else delete updated.ipLimit;
+      }
+      if (inboundTags) updated.inbounds = inboundTags;
+      if (hasCycle && JSON.stringify(resetCycle) !== JSON.stringify(prev.resetCycle || null)) {
+        if (resetCycle) {
+          updated.resetCycle = resetCycle;
+          updated.quotaPeriodStart = new Date().toISOString();
+        } else {
+          delete updated.resetCycle;
+          delete updated.quotaPeriodStart;
+        }
+      }
 
       users[idx] = updated;
       // Determine what changed
       const usernameChanged = updated.username !== prev.username;
-      const quotaChanged = typeof quota === 'number' && quota !== prev.quota;
+      const quotaChanged = (typeof quota === 'number' && quota !== prev.quota) || (quotaMode !== undefined && quotaMode !== (prev.quotaMode || 'both'));
       const expiryChanged = Object.prototype.hasOwnProperty.call(req.body,'expiry') && updated.expiry !== prev.expiry;
+      const inboundsChanged = JSON.stringify(updated.inbounds || null) !== JSON.stringify(prev.inbounds || null);
       // Only run expensive usage accumulation if quota changed (affects enable/disable logic) or username changed (statKey impact)
       if (usernameChanged || quotaChanged) {
         const a0 = Date.now();
@@ -337,41 +676,47 @@ function registerUserRoutes(app, utils) {
         const a1 = Date.now();
         console.log('[PERF] accumulateOnPUT ms=', a1 - a0, 'usernameChanged=', usernameChanged, 'quotaChanged=', quotaChanged);
       }
-      writeJson(USERS_FILE, users);
+      userStore.saveUsers(users);
       if (usernameChanged) {
-        syncVlessClients(users);
-        utils.restartXray?.();
+        await syncInboundClients(users, { actor: req.user, source: 'PUT /api/users/:username', reason: `Rename user ${oldUsername} -> ${updated.username}` });
+      } else if (inboundsChanged) {
+        await syncInboundClients(users, { actor: req.user, source: 'PUT /api/users/:username', reason: `Inbounds of ${updated.username}: ${updated.inbounds.join(', ')}` });
       }
 
   res.json({ updated: updated.username });
   console.log(`[PERF] PUT /api/users/${oldUsername} total=${Date.now()-t0}ms`);
     } catch (e) {
       res.status(500).json({ error: e.message });
+    } finally {
+      release();
     }
   });
 
   /**
    * DELETE /api/users/:username
-   * Removes user from users.json and Xray VLESS clients, then reloads Xray.
+   * Removes user from users.json and the clients of its inbounds (config file and running Xray).
+   * Connections the user already has stay open until they close (HandlerService only refuses new ones).
    */
-  app.delete('/api/users/:username', (req, res) => {
+  app.delete('/api/users/:username', async (req, res) => {
   const t0 = Date.now();
     const { username } = req.params;
+    const release = await acquireFileLock(USERS_FILE);
     try {
-      let users = readJson(USERS_FILE);
+      let users = userStore.loadUsers();
       const user = users.find(u => u.username === username);
       if (!user) return res.status(404).json({ error: 'User not found' });
 
   users = users.filter(u => u.username !== username);
   accumulateUsage(users);
-  writeJson(USERS_FILE, users);
+  userStore.saveUsers(users);
 
-  syncVlessClients(users);
-  utils.restartXray?.();
+      await syncInboundClients(users, { actor: req.user, source: 'DELETE /api/users/:username', reason: `Delete user ${username}` });
   res.json({ removed: username });
   console.log(`[PERF] DELETE /api/users/${username} total=${Date.now()-t0}ms`);
     } catch (e) {
       res.status(500).json({ error: e.message });
+    } finally {
+      release();
     }
   });
 
@@ -381,58 +726,55 @@ function registerUserRoutes(app, utils) {
    * - Xray per-user stats (best-effort)
    * - bandwidthUsage field in users.json
    */
-  app.post('/api/users/:username/reset-quota', (req, res) => {
+  app.post('/api/users/:username/reset-quota', async (req, res) => {
     const { username } = req.params;
+    const release = await acquireFileLock(USERS_FILE);
     try {
-      let users = readJson(USERS_FILE);
+      let users = userStore.loadUsers();
       const user = users.find(u => u.username === username);
       if (!user) return res.status(404).json({ error: 'User not found' });
 
-        const resetOK = (utils.resetUserTrafficAllVariants
-          ? utils.resetUserTrafficAllVariants([user.uuid, user.username, user.displayName, user.statKey])
-          : (utils.resetUserTrafficCountersMulti
-              ? utils.resetUserTrafficCountersMulti([user.uuid, user.username, user.displayName, user.statKey])
-              : resetUserTrafficCounters(user.uuid)));
+        const resetOK = await resetUserTrafficCountersMulti([user.uuid, user.username, user.displayName, user.statKey]);
   user.usageAccumBytes = 0;
   user.lastRawBytes = 0;
       // Also reset persistent usage-store entry
       try {
-        const dir = path.dirname(USERS_FILE);
-        const USAGE_FILE = path.join(dir, 'usage-store.json');
-        let store = {};
-        try { store = utils.readJson(USAGE_FILE); } catch { store = {}; }
-        if (store[user.uuid]) { store[user.uuid] = { accumBytes: 0, lastRawBytes: 0 }; writeJson(USAGE_FILE, store); }
+        await withFileLock(USAGE_FILE, () => {
+          if (userStore.loadUsage()[user.uuid]) userStore.saveUsage({ [user.uuid]: { accumBytes: 0, lastRawBytes: 0, accumUp: 0, accumDown: 0, lastRawUp: 0, lastRawDown: 0 } });
+        });
       } catch {}
       if ('bandwidthUsageRaw' in user) user.bandwidthUsageRaw = 0;
-      writeJson(USERS_FILE, users);
-  // Sync & restart (requirement: restart on every change)
-  syncVlessClients(users);
-  utils.restartXray?.();
+      userStore.saveUsers(users);
+      // Counters were reset through the API; sync only in case the client list drifted
+      await syncInboundClients(users, { actor: req.user, source: 'POST /api/users/:username/reset-quota', reason: `Reset quota for ${username}` });
 
       res.json({ quotaReset: username, xrayCountersReset: resetOK });
     } catch (e) {
       res.status(500).json({ error: e.message });
+    } finally {
+      release();
     }
   });
 
   // Debug endpoint: view stored & live raw usage for a user
-  app.get('/api/users/:username/usage-debug', (req, res) => {
+  app.get('/api/users/:username/usage-debug', async (req, res) => {
     try {
       const { username } = req.params;
-      const users = readJson(USERS_FILE);
+      const users = userStore.loadUsers();
       const u = users.find(x => x.username === username);
       if (!u) return res.status(404).json({ error: 'User not found' });
-      const dir = path.dirname(USERS_FILE);
-      const USAGE_FILE = path.join(dir, 'usage-store.json');
-      let store = {}; try { store = utils.readJson(USAGE_FILE); } catch {}
+      const store = userStore.loadUsage();
       const statKey = u.statKey || u.displayName || u.username || u.uuid;
-      const multiRaw = getUserTrafficMulti([statKey, u.displayName, u.username, u.uuid]);
-      const singleRaw = utils.getUserTraffic?.(u.uuid) || 0;
+      const split = await utils.getUserTrafficMultiSplit([statKey, u.displayName, u.username, u.uuid]);
+      const multiRaw = split.total;
+      const singleRaw = await utils.getUserTraffic(u.uuid);
       res.json({
         username,
         uuid: u.uuid,
         store: store[u.uuid] || null,
         multiRaw,
+        multiRawUp: split.up,
+        multiRawDown: split.down,
         singleRaw,
         diff: (store[u.uuid]?.lastRawBytes ?? 0) - multiRaw
       });
@@ -441,60 +783,331 @@ function registerUserRoutes(app, utils) {
     }
   });
 
+  /**
+   * GET /api/users/:username/usage/history?from=&to=&granularity=
+   * Traffic per bucket (uplink/downlink bytes), empty buckets filled with zeros.
+   * - from/to: epoch ms or ISO date (default: last 24h)
+   * - granularity: 5m | 1h | 1d (default: finest one whose retention covers `from`)
+   */
+  app.get('/api/users/:username/usage/history', async (req, res) => {
+    try {
+      const user = userStore.loadUsers().find(u => u.username === req.params.username);
+      if (!user) return res.status(404).json({ error: 'User not found' });
+      const parseTime = (v, def) => {
+        if (v === undefined || v === '') return def;
+        const t = /^\d+$/.test(String(v)) ? Number(v) : Date.parse(v);
+        return Number.isFinite(t) ? t : NaN;
+      };
+      const now = Date.now();
+      const to = parseTime(req.query.to, now);
+      const from = parseTime(req.query.from, to - 86400000);
+      if (Number.isNaN(from) || Number.isNaN(to) || from > to) return res.status(400).json({ error: 'Invalid from/to range' });
+      const { HISTORY_GRANULARITIES, bucketStart } = userStore;
+      let granularity = req.query.granularity;
+      if (granularity === undefined || granularity === '' || granularity === 'auto') {
+        granularity = Object.keys(HISTORY_GRANULARITIES).find(g => now - from <= HISTORY_GRANULARITIES[g].retentionMs) || '1d';
+      }
+      const spec = HISTORY_GRANULARITIES[granularity];
+      if (!spec) return res.status(400).json({ error: `granularity must be one of ${Object.keys(HISTORY_GRANULARITIES).join(', ')}` });
+      const start = bucketStart(from, granularity);
+      if ((to - start) / spec.ms > 5000) return res.status(400).json({ error: 'Range too large for this granularity' });
+
+      // Include deltas still waiting in the flush buffer
+      const stored = await withFileLock(USAGE_FILE, () => {
+        flushHistory();
+        return userStore.queryHistory(user.uuid, granularity, start, to);
+      });
+      const byTs = new Map(stored.map(p => [p.ts, p]));
+      const points = [];
+      // Step via bucketStart so local-time hours/days stay aligned across DST changes
+      for (let t = start; t <= to; t = bucketStart(t + spec.ms * 1.5, granularity)) {
+        const p = byTs.get(t);
+        points.push({ ts: t, up: p?.up || 0, down: p?.down || 0 });
+      }
+      const totals = points.reduce((acc, p) => ({ up: acc.up + p.up, down: acc.down + p.down }), { up: 0, down: 0 });
+      res.json({ username: user.username, granularity, from: start, to, retentionMs: spec.retentionMs, points, totals });
+    } catch (e) {
+      res.status(500).json({ error: e.message });
+    }
+  });
+
+  /**
+   * GET /api/users/:username/quota-periods
+   * The user's reset cycle, current period and archived periods (newest first).
+   */
+  app.get('/api/users/:username/quota-periods', (req, res) => {
+    try {
+      const user = userStore.loadUsers().find(u => u.username === req.params.username);
+      if (!user) return res.status(404).json({ error: 'User not found' });
+      const nextReset = user.resetCycle && user.quotaPeriodStart ? new Date(nextCycleReset(user.resetCycle, Date.parse(user.quotaPeriodStart))).toISOString() : null;
+      res.json({
+        username: user.username,
+        resetCycle: user.resetCycle || null,
+        currentPeriod: user.quotaPeriodStart ? { from: user.quotaPeriodStart, nextReset } : null,
+        periods: (user.quotaPeriods || []).slice().reverse(),
+      });
+    } catch (e) {
+      res.status(500).json({ error: e.message });
+    }
+  });
+
+  /**
+   * GET /api/users/:username/ips
+   * Distinct source IPs seen for the user within the IP limit window (most recent first).
+   */
+  app.get('/api/users/:username/ips', (req, res) => {
+    try {
+      const user = userStore.loadUsers().find(u => u.username === req.params.username);
+      if (!user) return res.status(404).json({ error: 'User not found' });
+      ipLimit.pollAccessLog();
+      res.json({
+        username: user.username,
+        ipLimit: user.ipLimit || 0,
+        windowMs: ipLimit.IP_WINDOW_MS,
+        disabledUntil: (!user.enabled && user.disabledReason === 'ip-limit') ? user.ipLimitUntil || null : null,
+        ips: ipLimit.recentIps(user.username).map(x => ({ ip: x.ip, lastSeen: new Date(x.lastSeen).toISOString() })),
+      });
+    } catch (e) {
+      res.status(500).json({ error: e.message });
+    }
+  });
+
+  /**
+   * GET /api/ip-limit/events
+   * Recent IP limit enforcement actions (disable / automatic re-enable), newest first.
+   */
+  app.get('/api/ip-limit/events', (req, res) => {
+    res.json({ windowMs: ipLimit.IP_WINDOW_MS, cooldownMs: ipLimit.IP_COOLDOWN_MS, events: ipLimit.listEnforcements() });
+  });
+
   /**
    * POST /api/users/:username/enable
    * Sets enabled=true for the user and ensures UUID is present in Xray clients.
    */
-  app.post('/api/users/:username/enable', (req, res) => {
+  app.post('/api/users/:username/enable', async (req, res) => {
   const t0 = Date.now();
     const { username } = req.params;
+    const release = await acquireFileLock(USERS_FILE);
     try {
-      let users = readJson(USERS_FILE);
+      let users = userStore.loadUsers();
       const user = users.find(u => u.username === username);
       if (!user) return res.status(404).json({ error: 'User not found' });
-  // Capture usage for all users before restart
+  // Capture usage for all users
   accumulateUsage(users);
   user.enabled = true;
-  writeJson(USERS_FILE, users);
+  delete user.disabledReason;
+  delete user.ipLimitUntil;
+  ipLimit.forget(user.username);
+  userStore.saveUsers(users);
 
-  syncVlessClients(users);
-  utils.restartXray?.();
+      await syncInboundClients(users, { actor: req.user, source: 'POST /api/users/:username/enable', reason: `Enable user ${username}` });
   res.json({ enabled: username });
   console.log(`[PERF] POST /api/users/${username}/enable total=${Date.now()-t0}ms`);
     } catch (e) {
       res.status(500).json({ error: e.message });
+    } finally {
+      release();
     }
   });
 
   /**
    * POST /api/users/:username/disable
    * Sets enabled=false for the user and removes UUID from Xray clients.
+   * Connections the user already has stay open until they close (HandlerService only refuses new ones).
    */
-  app.post('/api/users/:username/disable', (req, res) => {
+  app.post('/api/users/:username/disable', async (req, res) => {
   const t0 = Date.now();
     const { username } = req.params;
+    const release = await acquireFileLock(USERS_FILE);
     try {
-      let users = readJson(USERS_FILE);
+      let users = userStore.loadUsers();
       const user = users.find(u => u.username === username);
       if (!user) return res.status(404).json({ error: 'User not found' });
   accumulateUsage(users);
   user.enabled = false;
-  writeJson(USERS_FILE, users);
+  user.disabledReason = 'manual';
+  userStore.saveUsers(users);
 
-  syncVlessClients(users);
-  utils.restartXray?.();
+      await syncInboundClients(users, { actor: req.user, source: 'POST /api/users/:username/disable', reason: `Disable user ${username}` });
   res.json({ disabled: username });
   console.log(`[PERF] POST /api/users/${username}/disable total=${Date.now()-t0}ms`);
+    } catch (e) {
+      res.status(500).json({ error: e.message });
+    } finally {
+      release();
+    }
+  });
+
+  // New link templates change every user's links
+  settings.onSettingsChange(() => aggregate('settings'));
+  endpoints.onEndpointsChange(() => aggregate('endpoints'));
+
+  // Inbound/endpoint combinations the user gets a link or proxy entry for (see protocols.userLinkTargets)
+  function linkTargets(user) {
+    const activeEndpoints = endpoints.loadEndpoints().filter(ep => ep.enabled !== false);
+    return protocols.userLinkTargets(user, loadManagedInbounds(), settings.loadSettings().linkTemplates, activeEndpoints);
+  }
+
+  // The user behind a subscription/status page token (subToken)
+  function findByToken(token) {
+    if (!token || token.length < 16) return null;
+    return (_cachedEnriched.length ? _cachedEnriched : baseLoadUsers()).find(u => u.subToken === token) || null;
+  }
+
+  /**
+   * POST /api/users/:username/subscription/rotate
+   * Replaces the user's subscription token; the old subscription URL stops working.
+   */
+  app.post('/api/users/:username/subscription/rotate', async (req, res) => {
+    const { username } = req.params;
+    const release = await acquireFileLock(USERS_FILE);
+    try {
+      const users = userStore.loadUsers();
+      const user = users.find(u => u.username === username);
+      if (!user) return res.status(404).json({ error: 'User not found' });
+      delete user.subToken;
+      protocols.ensureCredentials(user);
+      userStore.saveUsers(users);
+      const cached = _cachedEnriched.find(u => u.username === username);
+      if (cached) cached.subToken = user.subToken;
+      res.json({ username, subscriptionPath: `/sub/${user.subToken}` });
+    } catch (e) {
+      res.status(500).json({ error: e.message });
+    } finally {
+      release();
+    }
+  });
+
+  /**
+   * GET /api/users/:username/client-config?format=singbox|clash
+   * Complete client profile for the user (see subscription.js), as a download; 422 when none of the user's links
+   * fits the format.
+   */
+  app.get('/api/users/:username/client-config', (req, res) => {
+    try {
+      if (!['singbox', 'clash'].includes(req.query.format)) return res.status(400).json({ error: 'format must be singbox or clash' });
+      const user = userStore.loadUsers().find(u => u.username === req.params.username);
+      if (!user) return res.status(404).json({ error: 'User not found' });
+      const { contentType, body, filename, error } = subscription.renderSubscription(req.query.format, user, linkTargets(user));
+      if (error) return res.status(422).json({ error });
+      res.set({ 'Content-Type': contentType, 'Content-Disposition': `attachment; filename="${encodeURIComponent(filename)}"` });
+      res.send(body);
+    } catch (e) {
+      res.status(500).json({ error: e.message });
+    }
+  });
+
+  /**
+   * GET /sub/:token?format=base64|clash|singbox
+   * Public subscription for client apps (outside /api auth; the token identifies the user). Serves the user's
+   * links in the requested or User-Agent-detected format with subscription-userinfo (usage, quota, expiry).
+   * Disabled users get 403 with the reason as plain text instead of links (their clients were removed from Xray);
+   * a Clash/sing-box request none of the user's links fits gets 422 with the reason.
+   */
+  app.get('/sub/:token', (req, res) => {
+    try {
+      const { token } = req.params;
+      const user = findByToken(token);
+      if (!user) return res.status(404).type('text/plain').send('Not found');
+      if (user.enabled === false) {
+        res.set({ 'Cache-Control': 'no-store', 'subscription-userinfo': subscription.userInfoHeader(user) });
+        return res.status(403).type('text/plain').send(`Subscription disabled: ${publicStatus(user).disabledReason}`);
+      }
+      const format = subscription.detectFormat(req.query.format, req.get('user-agent'));
+      const { contentType, body, filename, error } = subscription.renderSubscription(format, user, linkTargets(user));
+      if (error) return res.status(422).type('text/plain').send(error);
+      res.set({
+        'Content-Type': contentType,
+        'Content-Disposition': `attachment; filename="${encodeURIComponent(filename)}"`,
+        'Cache-Control': 'no-store',
+        'subscription-userinfo': subscription.userInfoHeader(user),
+        'profile-update-interval': String(subscription.UPDATE_INTERVAL_HOURS),
+      });
+      res.send(body);
+    } catch (e) {
+      console.warn('[SUB] render failed', e.message);
+      res.status(500).type('text/plain').send('Unavailable');
+    }
+  });
+
+  // Self-service page: what a user may see about themselves (no credentials beyond their own links, no admin data)
+  const STATUS_PAGE = fileURLToPath(new URL('./frontend/me.html', import.meta.url));
+  function publicStatus(u) {
+    return {
+      name: u.displayName || u.username,
+      enabled: !!u.enabled,
+      disabledReason: u.enabled ? '' : (['expired', 'quota', 'ip-limit'].includes(u.disabledReason) ? u.disabledReason : 'disabled'),
+      quotaGB: typeof u.quota === 'number' ? u.quota : -1,
+      quotaMode: QUOTA_MODES.includes(u.quotaMode) ? u.quotaMode : 'both',
+      usedGB: u.bandwidthUsageRaw ?? u.bandwidthUsage ?? 0,
+      remainingGB: u.remainingBandwidthRaw ?? u.remainingBandwidth ?? -1,
+      uplinkBytes: u.uplinkBytes || 0,
+      downlinkBytes: u.downlinkBytes || 0,
+      expiry: u.expiry || '',
+      daysLeft: u.daysLeft ?? -1,
+      nextQuotaReset: u.nextQuotaReset || '',
+      links: (u.links || []).map(l => ({ tag: l.tag, protocol: l.protocol, endpoint: l.endpoint, url: l.url })),
+    };
+  }
+  const PUBLIC_HEADERS = { 'Cache-Control': 'no-store', 'Referrer-Policy': 'no-referrer', 'X-Robots-Tag': 'noindex, nofollow' };
+
+  /**
+   * GET /u/:token
+   * Public status page for the user holding the token (the same one as the subscription URL).
+   */
+  app.get('/u/:token', (req, res) => {
+    if (!findByToken(req.params.token)) return res.status(404).type('text/plain').send('Not found');
+    res.set(PUBLIC_HEADERS).sendFile(STATUS_PAGE);
+  });
+
+  /**
+   * GET /u/:token/info
+   * Data for the status page from the aggregated users: usage, quota, expiry, state and share links.
+   */
+  app.get('/u/:token/info', (req, res) => {
+    try {
+      const user = findByToken(req.params.token);
+      if (!user) return res.status(404).json({ error: 'Not found' });
+      res.set(PUBLIC_HEADERS).json(publicStatus(user));
+    } catch (e) {
+      res.status(500).json({ error: 'Unavailable' });
+    }
+  });
+
+  /**
+   * GET /api/inbounds
+   * Inbounds users can be attached to: [{tag, untagged?, protocol, port, network, security, method?, isDefault, linkDefaults,
+   * linkTemplate}] (untagged: the inbound has no tag in the config, tag is the name the panel gives it, see
+   * protocols.inboundTag; isDefault: used for users without an explicit inbounds list; linkDefaults: share-link
+   * parameters derived from the inbound, linkTemplate: the admin's overrides from settings.linkTemplates).
+   */
+  app.get('/api/inbounds', (req, res) => {
+    try {
+      const inbounds = protocols.managedInbounds(utils.readJson(CONFIG_FILE));
+      const defaults = protocols.defaultInboundTags(inbounds);
+      const { linkTemplates } = settings.loadSettings();
+      res.json(inbounds.map(ib => ({
+        tag: protocols.inboundTag(ib),
+        ...(ib.tag ? {} : { untagged: true }),
+        protocol: ib.protocol,
+        port: ib.port,
+        network: ib.streamSettings?.network || 'tcp',
+        security: ib.streamSettings?.security || 'none',
+        ...(ib.protocol === 'shadowsocks' ? { method: ib.settings.method } : {}),
+        isDefault: defaults.includes(protocols.inboundTag(ib)),
+        linkDefaults: protocols.linkParams(ib),
+        linkTemplate: linkTemplates[protocols.inboundTag(ib)] || {},
+      })));
     } catch (e) {
       res.status(500).json({ error: e.message });
     }
   });
 
   // Manual sync endpoint (diagnostics)
-  app.post('/api/users-sync', (req, res) => {
+  app.post('/api/users-sync', async (req, res) => {
     try {
-      const users = readJson(USERS_FILE);
-      const changed = syncVlessClients(users);
+      const users = userStore.loadUsers();
+      const changed = await syncInboundClients(users, { actor: req.user, source: 'POST /api/users-sync', reason: 'Manual sync' });
       res.json({ synced: true, changed });
     } catch (e) {
       res.status(500).json({ error: e.message });
@@ -503,4 +1116,53 @@ function registerUserRoutes(app, utils) {
 
 }
 
-export default { registerUserRoutes };
\ No newline at end of file
+// ---- Quota reset cycles ----
+// resetCycle: {type:'daily'} | {type:'weekly', day:0-6 (Sunday=0)} | {type:'monthly', day:1-31}
+//           | {type:'days', days:N} (every N days from activation). Boundaries use server local time;
+// monthly days past the end of a month fall on its last day. quotaPeriodStart marks the current period.
+const RESET_CYCLE_TYPES = ['daily', 'weekly', 'monthly', 'days'];
+
+/**
+ * Validate a resetCycle from a request body ("none"/null/"" clears it; a bare type string uses defaults).
+ * @returns {{cycle?:object|null, error?:string}}
+ */
+function parseResetCycle(input) {
+  if (input === null || input === '' || input === 'none') return { cycle: null };
+  const type = typeof input === 'string' ? input : input?.type;
+  if (!RESET_CYCLE_TYPES.includes(type)) return { error: `resetCycle.type must be one of none, ${RESET_CYCLE_TYPES.join(', ')}` };
+  const opts = typeof input === 'object' ? input : {};
+  if (type === 'daily') return { cycle: { type } };
+  if (type === 'weekly') {
+    const day = Number(opts.day ?? 1);
+    if (!Number.isInteger(day) || day < 0 || day > 6) return { error: 'resetCycle.day must be 0-6 (Sunday=0) for weekly cycles' };
+    return { cycle: { type, day } };
+  }
+  if (type === 'monthly') {
+    const day = Number(opts.day ?? 1);
+    if (!Number.isInteger(day) || day < 1 || day > 31) return { error: 'resetCycle.day must be 1-31 for monthly cycles' };
+    return { cycle: { type, day } };
+  }
+  const days = Number(opts.days);
+  if (!Number.isInteger(days) || days < 1 || days > 3650) return { error: 'resetCycle.days must be an integer between 1 and 3650' };
+  return { cycle: { type, days } };
+}
+
+/**
+ * First reset boundary strictly after fromMs.
+ * @param {{type:string, day?:number, days?:number}} cycle
+ * @param {number} fromMs
+ */
+function nextCycleReset(cycle, fromMs) {
+  const d = new Date(fromMs);
+  const y = d.getFullYear(), m = d.getMonth(), date = d.getDate();
+  if (cycle.type === 'daily') return new Date(y, m, date + 1).getTime();
+  if (cycle.type === 'weekly') return new Date(y, m, date + ((cycle.day - d.getDay() + 7) % 7 || 7)).getTime();
+  if (cycle.type === 'monthly') {
+    const onDay = month => new Date(y, month, Math.min(cycle.day, new Date(y, month + 1, 0).getDate())).getTime();
+    const t = onDay(m);
+    return t > fromMs ? t : onDay(m + 1);
+  }
+  return fromMs + cycle.days * 86400000;
+}
+
+export default { registerUserRoutes, parseResetCycle, nextCycleReset };
\ No newline at end of file
@@ -6,10 +6,14 @@
  *           and lightweight connection counting from access logs.
  */
 
-import { existsSync, mkdirSync, readFileSync, writeFileSync } from 'fs';
-import { exec, execSync } from 'child_process';
+import { existsSync, mkdirSync, readFileSync, unlinkSync, writeFileSync } from 'fs';
+import { exec, execFile } from 'child_process';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import accessLogModule from './access-log.js';
+import configHistory from './config-history.js';
+import storage from './storage.js';
+import xrayApi from './xray-api.js';
 
 // Resolve project root dynamically (directory containing this utils.js file)
 const __filename = fileURLToPath(import.meta.url);
@@ -19,8 +23,9 @@ const PROJECT_ROOT = __dirname; // adjust if utils.js is moved into subfolder la
 // Paths and binaries
 const USERS_FILE = path.join(PROJECT_ROOT, 'users.json');
 const DOMAINS_FILE = path.join(PROJECT_ROOT, 'domains.json');
-const CONFIG_FILE = '/etc/xray/config.json';
-const XRAY_BIN = '/usr/local/bin/xray';
+// XRAY_CONFIG_FILE and XRAY_BIN env overrides point the config save path at a scratch file and a stub script in tests.
+const CONFIG_FILE = process.env.XRAY_CONFIG_FILE || '/etc/xray/config.json';
+const XRAY_BIN = process.env.XRAY_BIN || '/usr/local/bin/xray';
 const PSIPHON_BIN = '/usr/local/bin/psiphon-console-client';
 const XRAY_ACCESS_LOG = '/var/log/xray/access.log';
 
@@ -41,23 +46,26 @@ function ensureDir(dirPath) {
 }
 
 /**
- * Read JSON file and parse its content.
+ * Read JSON file and parse its content (recovers a corrupt file from its last good copy, see storage.js).
  * @param {string} filePath
  * @returns {any}
  */
 function readJson(filePath) {
-  return JSON.parse(readFileSync(filePath, 'utf8'));
+  return storage.readJsonFile(filePath);
 }
 
 /**
- * Write an object as formatted JSON to a file.
+ * Write an object as formatted JSON to a file (atomic temp+fsync+rename, see storage.js).
+ * Read-modify-write cycles that can interleave with async work should use updateJson/withFileLock.
  * @param {string} filePath
  * @param {any} data
  */
 function writeJson(filePath, data) {
-  writeFileSync(filePath, JSON.stringify(data, null, 2));
+  storage.writeJsonFile(filePath, data);
 }
 
+const { acquireFileLock, withFileLock, updateJson } = storage;
+
 /**
  * Convert bytes to gigabytes with two decimals (as number).
  * @param {number} bytes
@@ -68,11 +76,13 @@ function bytesToGB(bytes) {
 }
 
 /**
- * Validate domain string, allows optional leading wildcard (*.example.com).
+ * Validate domain string, allows optional leading wildcard (*.example.com)
+ * or an Xray geosite list reference (geosite:category-ads-all).
  * @param {string} domain
  * @returns {boolean}
  */
 function validateDomain(domain) {
+  if (/^geosite:[a-zA-Z0-9!@._-]+$/.test(domain)) return true;
   return /^(\*\.)?([a-zA-Z0-9-]+\.)+[a-zA-Z]{2,}$/.test(domain);
 }
 
@@ -124,158 +134,392 @@ function runCmd(cmd, options = {}) {
 }
 
 /**
- * Query Xray API counters for a user's total traffic (uplink + downlink) in bytes.
- * Returns 0 if stats are not available.
- * @param {string} uuid
- * @returns {number} bytes
+ * Write the Xray config and record it as a revision (see config-history.js).
+ * @param {any} config
+ * @param {{actor?:string;source?:string;reason?:string}} [meta] who/which endpoint/why
  */
-const _trafficCache = new Map(); // key -> { ts, bytes }
-const TRAFFIC_CACHE_MS = 3000;
-function runXrayWithTimeout(cmd) {
-  // Use coreutils timeout to avoid hanging processes; fallback to normal if timeout not present
-  const wrapped = `timeout 0.5s ${cmd}`;
-  const t0 = Date.now();
+function writeXrayConfig(config, meta = {}) {
+  let previous;
+  try { previous = readJson(CONFIG_FILE); } catch {}
+  writeJson(CONFIG_FILE, config);
+  configHistory.recordRevision(config, meta, previous);
+}
+
+/**
+ * Check a config with `xray run -test` and, if it passes, atomically replace CONFIG_FILE.
+ * Rejects with { status: 422, output } carrying the binary's output when the test fails.
+ * If the xray binary is missing the test is skipped and the result says so (tested: false plus a warning
+ * for the caller to show), so an untested save is never silent.
+ * The saved config is recorded as a revision.
+ * @param {any} config
+ * @param {{actor?:string;source?:string;reason?:string}} [meta] who/which endpoint/why
+ * @returns {Promise<{tested:boolean, warning?:string}>}
+ */
+function saveXrayConfigChecked(config, meta = {}) {
+  // Serialize test+replace so two saves cannot interleave between test and write
+  return withFileLock(CONFIG_FILE, () => saveXrayConfigCheckedUnlocked(config, meta));
+}
+
+async function saveXrayConfigCheckedUnlocked(config, meta) {
+  const candidate = path.join(path.dirname(CONFIG_FILE), `.config.candidate-${process.pid}-${Date.now()}.json`);
+  writeFileSync(candidate, JSON.stringify(config, null, 2));
+  let tested = false;
+  let warning;
   try {
-    const out = execSync(wrapped, { stdio: ['ignore','pipe','ignore'] }).toString();
-    const dt = Date.now() - t0;
-    if (dt > 400) console.warn('[STATS_SLOW timeout-wrapper]', { cmd, ms: dt });
-    return out;
+    if (existsSync(XRAY_BIN)) {
+      try {
+        await runCmd(`"${XRAY_BIN}" run -test -config "${candidate}"`, { timeout: 15000 });
+        tested = true;
+      } catch (e) {
+        const output = `${e.stdout || ''}${e.stderr || ''}`.trim() || e.message;
+        throw Object.assign(new Error('Xray rejected the config'), { status: 422, output });
+      }
+    } else {
+      warning = `xray binary not found at ${XRAY_BIN}: the config was saved without xray run -test`;
+      console.warn('[CONFIG]', warning);
+    }
+    let previous;
+    try { previous = readJson(CONFIG_FILE); } catch {}
+    writeJson(CONFIG_FILE, config);
+    configHistory.recordRevision(config, meta, previous);
+    return tested ? { tested } : { tested, warning };
+  } finally {
+    try { if (existsSync(candidate)) unlinkSync(candidate); } catch {}
   }
-  catch {
-    try {
-      const t1 = Date.now();
-      const out2 = execSync(cmd, { stdio: ['ignore','pipe','ignore'] }).toString();
-      const dt2 = Date.now() - t1;
-      if (dt2 > 400) console.warn('[STATS_SLOW direct]', { cmd, ms: dt2 });
-      return out2;
-    } catch { return ''; }
+}
+
+// Xray API (StatsService, HandlerService) over gRPC, see xray-api.js; one shared HTTP/2 session to the API inbound
+const xrayApiClient = xrayApi.createApiClient({ port: XRAY_API_PORT });
+
+/**
+ * Query Xray stats counters whose name contains pattern, in one gRPC round trip.
+ * Rejects when the API is unreachable.
+ * @param {string} pattern e.g. "outbound>>>" or "user>>>"
+ * @param {{reset?:boolean}} [opts] reset: zero the matched counters in the same call
+ * @returns {Promise<{name:string, value:number}[]>}
+ */
+function queryXrayStats(pattern, opts) {
+  return xrayApiClient.queryStats(pattern, opts);
+}
+
+/**
+ * Every user's counters in one query, keyed by stat key (the client email).
+ * @returns {Promise<Map<string, {up:number, down:number}>>}
+ */
+async function queryUserTraffic() {
+  const byKey = new Map();
+  for (const s of await queryXrayStats('user>>>')) {
+    const m = /^user>>>(.+)>>>traffic>>>(uplink|downlink)$/.exec(s.name);
+    if (!m) continue;
+    const t = byKey.get(m[1]) || { up: 0, down: 0 };
+    if (m[2] === 'uplink') t.up += s.value; else t.down += s.value;
+    byKey.set(m[1], t);
   }
+  if (process.env.STATS_DEBUG) console.log('[STATS]', byKey.size, 'user keys');
+  return byKey;
 }
-function getUserTraffic(idOrEmail) {
-  if (!idOrEmail) return 0;
+
+// Per-user lookups share one `user>>>` snapshot for TRAFFIC_CACHE_MS instead of a full query each
+const _trafficCache = { ts: 0, byKey: null, pending: null, generation: 0 };
+const TRAFFIC_CACHE_MS = 3000;
+
+/**
+ * queryUserTraffic() through the short-lived cache; concurrent callers share one in-flight query.
+ * @returns {Promise<Map<string, {up:number, down:number}>>}
+ */
+function cachedUserTraffic() {
+  if (_trafficCache.byKey && (Date.now() - _trafficCache.ts) < TRAFFIC_CACHE_MS) return Promise.resolve(_trafficCache.byKey);
+  if (!_trafficCache.pending) {
+    const generation = _trafficCache.generation;
+    _trafficCache.pending = queryUserTraffic()
+      .then(byKey => {
+        // A counter reset while the query was in flight makes this snapshot stale; use it but don't cache it
+        if (generation === _trafficCache.generation) Object.assign(_trafficCache, { ts: Date.now(), byKey });
+        return byKey;
+      })
+      .finally(() => { _trafficCache.pending = null; });
+  }
+  return _trafficCache.pending;
+}
+
+/**
+ * Aggregate traffic across multiple potential stat keys (to handle historical email/label changes),
+ * split by direction. Keys array should contain unique identifiers (e.g. displayName/username/uuid).
+ * Reads the shared snapshot (cachedUserTraffic), so per-user calls don't each run a full `user>>>` query.
+ * Returns zeros when stats are not available.
+ * @param {string[]} keys
+ * @returns {Promise<{up:number, down:number, total:number}>}
+ */
+async function getUserTrafficMultiSplit(keys = []) {
+  let up = 0;
+  let down = 0;
   try {
-  const now = Date.now();
-  const cached = _trafficCache.get(idOrEmail);
-  if (cached && (now - cached.ts) < TRAFFIC_CACHE_MS) return cached.bytes;
-    // Wildcard ( * ) pattern for the last segment appears unsupported in current xray binary; use prefix instead.
-    // Pattern "user>>>KEY" returns both uplink & downlink entries for that KEY, so query once then sum.
-  let raw = runXrayWithTimeout(`${XRAY_BIN} api statsquery --server=127.0.0.1:${XRAY_API_PORT} --pattern "user>>>${idOrEmail}"`);
-    if (!raw.includes('stat')) return 0;
-    let j;
-    try { j = JSON.parse(raw); } catch { return 0; }
-    let sum = 0;
-    for (const s of j.stat || []) {
-      if (!s || typeof s.value !== 'number') continue;
-      if (s.name && s.name.startsWith(`user>>>${idOrEmail}>>>traffic>>>`)) sum += s.value;
-    }
-    // Fallback: if still zero, try explicit uplink/downlink queries (older versions may not return both with prefix)
-    if (sum === 0) {
-      try {
-        const up = runXrayWithTimeout(`${XRAY_BIN} api statsquery --server=127.0.0.1:${XRAY_API_PORT} --pattern "user>>>${idOrEmail}>>>traffic>>>uplink"`);
-        const upJ = JSON.parse(up); if (Array.isArray(upJ.stat)) for (const s of upJ.stat) if (typeof s.value === 'number') sum += s.value;
-      } catch {}
-      try {
-        const down = runXrayWithTimeout(`${XRAY_BIN} api statsquery --server=127.0.0.1:${XRAY_API_PORT} --pattern "user>>>${idOrEmail}>>>traffic>>>downlink"`);
-        const downJ = JSON.parse(down); if (Array.isArray(downJ.stat)) for (const s of downJ.stat) if (typeof s.value === 'number') sum += s.value;
-      } catch {}
+    const byKey = await cachedUserTraffic();
+    for (const key of new Set(keys.filter(Boolean))) {
+      const t = byKey.get(key);
+      if (t) { up += t.up; down += t.down; }
     }
-    if (process.env.STATS_DEBUG) {
-      console.log('[STATS]', idOrEmail, sum);
-    }
-  _trafficCache.set(idOrEmail, { ts: Date.now(), bytes: sum });
-  return sum;
   } catch (e) {
-    if (process.env.STATS_DEBUG) console.warn('[STATS_FAIL]', idOrEmail, e.message);
-    return 0;
+    if (process.env.STATS_DEBUG) console.warn('[STATS_FAIL]', keys.join(','), e.message);
   }
+  return { up, down, total: up + down };
 }
 
 /**
- * Aggregate traffic across multiple potential stat keys (to handle historical email/label changes).
- * Keys array should contain unique identifiers (e.g. displayName/username/uuid).
+ * Combined (uplink + downlink) traffic across multiple stat keys, see getUserTrafficMultiSplit.
  * @param {string[]} keys
- * @returns {number}
+ * @returns {Promise<number>}
  */
-function getUserTrafficMulti(keys = []) {
-  const seenStatNames = new Set();
-  let total = 0;
-  for (const key of [...new Set(keys.filter(Boolean))]) {
-    try {
-  const now = Date.now();
-  const cached = _trafficCache.get(key);
-  if (cached && (now - cached.ts) < TRAFFIC_CACHE_MS) { total += cached.bytes; continue; }
-  let raw = runXrayWithTimeout(`${XRAY_BIN} api statsquery --server=127.0.0.1:${XRAY_API_PORT} --pattern "user>>>${key}"`);
-      if (!raw.includes('stat')) continue;
-      let j; try { j = JSON.parse(raw); } catch { continue; }
-      for (const s of j.stat || []) {
-        if (!s || typeof s.value !== 'number') continue;
-        if (!s.name || !s.name.startsWith(`user>>>`)) continue;
-        if (!seenStatNames.has(s.name)) {
-          seenStatNames.add(s.name);
-          total += s.value;
-        }
-      }
-  _trafficCache.set(key, { ts: Date.now(), bytes: total });
-    } catch {}
+async function getUserTrafficMulti(keys = []) {
+  return (await getUserTrafficMultiSplit(keys)).total;
+}
+
+/**
+ * Total traffic (uplink + downlink) in bytes for one stat key (uuid or email); 0 if stats are not available.
+ * @param {string} idOrEmail
+ * @returns {Promise<number>}
+ */
+function getUserTraffic(idOrEmail) {
+  return idOrEmail ? getUserTrafficMulti([idOrEmail]) : Promise.resolve(0);
+}
+
+/**
+ * Reset counters for multiple historical keys (uuid, username, displayName) to fully clear usage
+ * after label/email changes. Best-effort; resolves false if any reset call failed.
+ * @param {string[]} keys
+ * @returns {Promise<boolean>}
+ */
+async function resetUserTrafficCountersMulti(keys = []) {
+  let ok = true;
+  _trafficCache.byKey = null;
+  _trafficCache.generation++;
+  for (const k of new Set(keys.filter(Boolean))) {
+    // Trailing separator so "alice" does not also reset "alice2"
+    try { await queryXrayStats(`user>>>${k}>>>traffic>>>`, { reset: true }); } catch { ok = false; }
   }
-  if (process.env.STATS_DEBUG) console.log('[STATS_MULTI]', keys.join(','), total);
-  return total;
+  return ok;
 }
 
 /**
  * Reset Xray per-user traffic counters (uplink/downlink) for a given UUID.
- * Best-effort; returns boolean indicating success.
  * @param {string} uuid
- * @returns {boolean}
+ * @returns {Promise<boolean>}
  */
 function resetUserTrafficCounters(uuid) {
+  return resetUserTrafficCountersMulti([uuid]);
+}
+
+/**
+ * Add a client to a running inbound through HandlerService, without a restart.
+ * The config file is not touched; rejects when the API is unreachable or Xray refuses (e.g. duplicate email).
+ * @param {string} tag inbound tag
+ * @param {string} protocol inbound protocol (vless, vmess, trojan, shadowsocks 2022)
+ * @param {{email:string, level?:number, id?:string, password?:string}} client settings.clients entry
+ * @returns {Promise<void>}
+ */
+function addInboundUser(tag, protocol, client) {
+  return xrayApiClient.addUser(tag, protocol, client);
+}
+
+/**
+ * Remove a client from a running inbound by email through HandlerService (connections already open stay up).
+ * @param {string} tag inbound tag
+ * @param {string} email
+ * @returns {Promise<void>}
+ */
+function removeInboundUser(tag, email) {
+  return xrayApiClient.removeUser(tag, email);
+}
+
+// ---- Xray health watchdog ----
+// After every reload/restart we wait XRAY_HEALTH_GRACE_MS, then check that the process is up and
+// (when the config enables the API) that the stats API answers. A failure only triggers a rollback when it
+// can be tied to the new config: the live config fails `xray run -test`, or the process exited after the
+// change. Anything else (API port not answering yet, Xray killed for unrelated reasons) is reported without
+// touching the config. After a rollback Xray is restarted once more; a second failure is only reported.
+const XRAY_HEALTH_GRACE_MS = Number(process.env.XRAY_HEALTH_GRACE_MS) || 8000;
+/** @type {{state:'unknown'|'checking'|'ok'|'rolled-back'|'failed', checkedAt:string|null, error:string|null, output:string|null, rolledBackTo:string|null, failedAt:string|null}} */
+const xrayHealth = { state: 'unknown', checkedAt: null, error: null, output: null, rolledBackTo: null, failedAt: null };
+let _healthTimer = null;
+// System uptime (seconds) when the change being watched was applied, see xrayExitedSince
+let _changedAtUptime = null;
+
+/**
+ * Current watchdog state (copy), surfaced by GET /api/status.
+ */
+function getXrayHealth() {
+  return { ...xrayHealth };
+}
+
+/**
+ * Check that Xray is running and, if the config has an `api` section, that the stats API responds.
+ * @returns {Promise<{kind:'process'|'api', message:string}|null>} failure or null when healthy
+ */
+async function probeXray() {
+  // execFile (no shell) so pgrep cannot match the shell that carries the pattern
+  const running = await new Promise(resolve => {
+    execFile('pgrep', ['-f', XRAY_BIN], { timeout: 5000 }, (err, stdout) => resolve(!err && !!stdout?.toString().trim()));
+  });
+  if (!running) return { kind: 'process', message: 'Xray process is not running' };
+  let config;
+  try { config = readJson(CONFIG_FILE); } catch {}
+  if (!config?.api) return null;
   try {
-    // Explicitly reset both directions; ignore failures individually.
-    execSync(`${XRAY_BIN} api statsreset --server=127.0.0.1:${XRAY_API_PORT} --pattern "user>>>${uuid}>>>traffic>>>uplink"`);
-  } catch {}
+    await queryXrayStats('xray-health-probe');
+    return null;
+  } catch {
+    return { kind: 'api', message: `Stats API on port ${XRAY_API_PORT} did not respond` };
+  }
+}
+
+function systemUptime() {
+  try { return parseFloat(readFileSync('/proc/uptime', 'utf8')); } catch { return null; }
+}
+
+/**
+ * Test the live config with `xray run -test`.
+ * @returns {Promise<{ok:boolean|null, output:string}>} ok is null when the binary could not be run
+ */
+async function testLiveConfig() {
+  if (!existsSync(XRAY_BIN)) return { ok: null, output: '' };
   try {
-    execSync(`${XRAY_BIN} api statsreset --server=127.0.0.1:${XRAY_API_PORT} --pattern "user>>>${uuid}>>>traffic>>>downlink"`);
-  } catch {}
-  return true;
+    await runCmd(`"${XRAY_BIN}" run -test -config "${CONFIG_FILE}"`, { timeout: 15000 });
+    return { ok: true, output: '' };
+  } catch (e) {
+    return { ok: false, output: `${e.stdout || ''}${e.stderr || ''}`.trim() || e.message };
+  }
 }
 
 /**
- * Reset counters for multiple historical keys (uuid, username, displayName) to fully clear usage
- * after label/email changes. Always returns true (best-effort).
- * @param {string[]} keys
+ * Whether the xray service's main process exited after the watched change (systemd monotonic exit time
+ * compared with the uptime recorded at the change; both count from boot).
+ * @returns {Promise<boolean>}
+ */
+async function xrayExitedSince() {
+  if (_changedAtUptime === null) return false;
+  try {
+    const { stdout } = await runCmd('systemctl show xray --property=ExecMainExitTimestampMonotonic --value', { timeout: 5000 });
+    const exitedAt = Number(stdout.trim()) / 1e6;
+    return exitedAt > 0 && exitedAt >= _changedAtUptime;
+  } catch {
+    return false;
+  }
+}
+
+async function journalTail() {
+  try {
+    const { stdout } = await runCmd('journalctl -u xray -n 30 --no-pager', { timeout: 5000 });
+    return stdout.trim();
+  } catch {
+    return '';
+  }
+}
+
+/**
+ * Find the newest recorded revision that differs from the live config.
+ * @returns {{id:string, config:any}|null}
  */
-function resetUserTrafficCountersMulti(keys = []) {
-  const uniq = [...new Set(keys.filter(Boolean))];
-  for (const k of uniq) {
-  try { execSync(`${XRAY_BIN} api statsreset --server=127.0.0.1:${XRAY_API_PORT} --pattern "user>>>${k}"`); } catch {}
-    try { execSync(`${XRAY_BIN} api statsreset --server=127.0.0.1:${XRAY_API_PORT} --pattern "user>>>${k}>>>traffic>>>uplink"`); } catch {}
-    try { execSync(`${XRAY_BIN} api statsreset --server=127.0.0.1:${XRAY_API_PORT} --pattern "user>>>${k}>>>traffic>>>downlink"`); } catch {}
+function findRollbackRevision() {
+  let live;
+  try { live = JSON.stringify(readJson(CONFIG_FILE)); } catch {}
+  for (const rev of configHistory.listRevisions()) {
+    const full = configHistory.getRevision(rev.id);
+    if (full && JSON.stringify(full.config) !== live) return full;
+  }
+  return null;
+}
+
+/**
+ * Run the health check; on a failure caused by the config roll back to the previous revision unless this
+ * is already the check following a rollback.
+ * @param {{afterRollback?:boolean}} [opts]
+ */
+async function checkXrayHealth({ afterRollback = false } = {}) {
+  const failure = await probeXray();
+  xrayHealth.checkedAt = new Date().toISOString();
+  if (!failure) {
+    // Keep a rollback visible until the next successful user-initiated change
+    if (!afterRollback) Object.assign(xrayHealth, { state: 'ok', error: null, output: null, rolledBackTo: null, failedAt: null });
+    else xrayHealth.state = 'rolled-back';
+    return;
+  }
+  console.error('[XRAY_WATCHDOG]', failure.message);
+  const test = await testLiveConfig();
+  const output = test.output || await journalTail();
+  if (afterRollback) {
+    Object.assign(xrayHealth, { state: 'failed', error: `${xrayHealth.error || failure.message}; still failing after rollback to ${xrayHealth.rolledBackTo}`, output: output || xrayHealth.output });
+    return;
+  }
+  let cause = null;
+  if (test.ok === false) cause = 'the config fails xray run -test';
+  else if (failure.kind === 'process' && await xrayExitedSince()) cause = 'Xray exited after the change';
+  if (!cause) {
+    Object.assign(xrayHealth, { state: 'failed', error: `${failure.message} (config kept: the failure is not tied to the last change)`, output, rolledBackTo: null, failedAt: xrayHealth.checkedAt });
+    return;
   }
-  return true;
+  Object.assign(xrayHealth, { error: `${failure.message}: ${cause}`, output, failedAt: xrayHealth.checkedAt });
+  const rev = findRollbackRevision();
+  if (!rev) {
+    xrayHealth.state = 'failed';
+    return;
+  }
+  try {
+    writeXrayConfig(rev.config, { actor: 'system', source: 'xray-watchdog', reason: `Automatic rollback to ${rev.id}: ${failure.message}: ${cause}` });
+  } catch (e) {
+    Object.assign(xrayHealth, { state: 'failed', error: `${xrayHealth.error}; rollback write failed: ${e.message}` });
+    return;
+  }
+  console.warn('[XRAY_WATCHDOG] restored config revision', rev.id, `(${cause})`);
+  xrayHealth.rolledBackTo = rev.id;
+  exec('systemctl restart xray');
+  scheduleXrayHealthCheck({ afterRollback: true });
+}
+
+/**
+ * (Re)arm the health check; repeated reloads within the grace window collapse into one check.
+ * @param {{afterRollback?:boolean}} [opts]
+ */
+function scheduleXrayHealthCheck(opts = {}) {
+  if (_healthTimer) clearTimeout(_healthTimer);
+  // A burst of changes is watched from its first one, so an exit anywhere in the burst counts
+  if (!_healthTimer || _changedAtUptime === null) _changedAtUptime = systemUptime();
+  xrayHealth.state = 'checking';
+  _healthTimer = setTimeout(() => {
+    _healthTimer = null;
+    checkXrayHealth(opts).catch(e => console.error('[XRAY_WATCHDOG] check failed', e.message))
+      .finally(() => { if (!_healthTimer) _changedAtUptime = null; });
+  }, XRAY_HEALTH_GRACE_MS);
+  _healthTimer.unref?.();
 }
 
 /**
- * Reload Xray service to apply config changes.
+ * Reload Xray service to apply config changes, then watch that it comes back healthy.
  */
 function reloadXray() {
   exec('systemctl reload xray');
+  scheduleXrayHealthCheck();
 }
 
+/**
+ * Restart Xray service, then watch that it comes back healthy.
+ */
 function restartXray() {
   exec('systemctl restart xray');
+  scheduleXrayHealthCheck();
 }
 
+// Shared incremental tailer for the access log (ip-limit, connections, analytics); started on first use
+const accessLog = accessLogModule.createAccessLogTailer(XRAY_ACCESS_LOG);
+
 /**
- * Read the last N lines of Xray access log (if exists).
+ * Last N connection lines of the Xray access log, from the tailer's ring buffer (no full-file read).
  * @param {number} maxLines
- * @returns {string[]} lines (most recent up to maxLines)
+ * @returns {string[]} lines (oldest first, most recent up to maxLines)
  */
 function readAccessLogTail(maxLines = 2000) {
-  if (!existsSync(XRAY_ACCESS_LOG)) return [];
-  const log = readFileSync(XRAY_ACCESS_LOG, 'utf8');
-  const lines = log.split('\n').filter(Boolean);
-  const start = Math.max(0, lines.length - maxLines);
-  return lines.slice(start);
+  accessLog.start();
+  accessLog.poll();
+  return accessLog.query({ limit: maxLines }).reverse().map(r => r.line);
 }
 
 /**
@@ -334,41 +578,34 @@ export default {
   ensureDir,
   readJson,
   writeJson,
+  acquireFileLock,
+  withFileLock,
+  updateJson,
   runCmd,
   bytesToGB,
   validateDomain,
   findDomainConflict,
 
   // Xray helpers
+  writeXrayConfig,
+  saveXrayConfigChecked,
   getUserTraffic,
   getUserTrafficMulti,
+  getUserTrafficMultiSplit,
+  queryXrayStats,
+  queryUserTraffic,
   resetUserTrafficCounters,
   resetUserTrafficCountersMulti,
+  addInboundUser,
+  removeInboundUser,
   reloadXray,
   restartXray,
-  // Advanced reset helper to clear all stat name variants for provided keys
-  resetUserTrafficAllVariants: function(keys = []) {
-    const uniq = [...new Set(keys.filter(Boolean))];
-    for (const k of uniq) {
-      try {
-        const raw = execSync(`${XRAY_BIN} api statsquery --server=127.0.0.1:${XRAY_API_PORT} --pattern "user>>>${k}"`).toString();
-        let j; try { j = JSON.parse(raw); } catch { j = null; }
-        const names = (j?.stat || []).map(s => s?.name).filter(Boolean);
-        const resetPatterns = new Set([
-          `user>>>${k}`,
-          `user>>>${k}>>>traffic>>>uplink`,
-          `user>>>${k}>>>traffic>>>downlink`,
-          ...names
-        ]);
-        for (const p of resetPatterns) {
-          try { execSync(`${XRAY_BIN} api statsreset --server=127.0.0.1:${XRAY_API_PORT} --pattern "${p}"`); } catch {}
-        }
-      } catch {}
-    }
-    return true;
-  },
+  getXrayHealth,
+  // Older name for resetUserTrafficCountersMulti
+  resetUserTrafficAllVariants: resetUserTrafficCountersMulti,
 
   // Access log helpers
+  accessLog,
   readAccessLogTail,
   extractUUIDs,
   getRecentUuidCounts,
@@ -0,0 +1,219 @@
+'use strict';
+
+/**
+ * Minimal gRPC client for the Xray API, no dependencies:
+ * - StatsService (xray.app.stats.command) QueryStats
+ * - HandlerService (xray.app.proxyman.command) AlterInbound with AddUserOperation / RemoveUserOperation
+ * - unary calls over one shared HTTP/2 (h2c) session to the API inbound, re-opened after it closes or errors
+ * - the handful of protobuf messages involved are encoded/decoded by hand:
+ *     QueryStatsRequest { string pattern = 1; bool reset = 2; }   QueryStatsResponse { repeated Stat stat = 1; }
+ *     Stat { string name = 1; int64 value = 2; }
+ *     AlterInboundRequest { string tag = 1; TypedMessage operation = 2; }   TypedMessage { string type = 1; bytes value = 2; }
+ *     AddUserOperation { User user = 1; }   RemoveUserOperation { string email = 1; }
+ *     User { uint32 level = 1; string email = 2; TypedMessage account = 3; }
+ *     accounts: vless { string id = 1; string flow = 2; }  vmess { string id = 1; }  trojan { string password = 1; }
+ *               shadowsocks_2022 { string key = 1; }
+ * - a non-zero grpc-status rejects with err.grpcStatus set
+ *
+ * QueryStats matches names by substring, so "user>>>" returns every user's uplink/downlink counters in one call.
+ */
+import http2 from 'http2';
+
+const STATS_SERVICE = '/xray.app.stats.command.StatsService';
+const HANDLER_SERVICE = '/xray.app.proxyman.command.HandlerService';
+const DEFAULT_TIMEOUT_MS = 2000;
+
+// ---- protobuf wire format (varint = 0, length-delimited = 2) ----
+function encodeVarint(value, out) {
+  let v = BigInt(value);
+  if (v < 0n) v &= (1n << 64n) - 1n; // two's complement, as int64 is encoded
+  while (v > 0x7fn) {
+    out.push(Number(v & 0x7fn) | 0x80);
+    v >>= 7n;
+  }
+  out.push(Number(v));
+}
+
+function encodeFields(fields) {
+  const out = [];
+  for (const [no, value] of fields) {
+    if (value === undefined || value === null || value === false || value === '') continue;
+    if (typeof value === 'string' || Buffer.isBuffer(value)) {
+      const bytes = Buffer.isBuffer(value) ? value : Buffer.from(value, 'utf8');
+      encodeVarint((no << 3) | 2, out);
+      encodeVarint(bytes.length, out);
+      out.push(...bytes);
+    } else {
+      encodeVarint(no << 3, out);
+      encodeVarint(value === true ? 1 : value, out);
+    }
+  }
+  return Buffer.from(out);
+}
+
+/**
+ * Decode a message into { fieldNo: [values] } (varints as Number, length-delimited as Buffer).
+ * @param {Buffer} buf
+ */
+function decodeFields(buf) {
+  const fields = {};
+  let pos = 0;
+  const varint = () => {
+    let result = 0n, shift = 0n, byte;
+    do {
+      if (pos >= buf.length) throw new Error('Truncated protobuf message');
+      byte = buf[pos++];
+      result |= BigInt(byte & 0x7f) << shift;
+      shift += 7n;
+    } while (byte & 0x80);
+    return result;
+  };
+  while (pos < buf.length) {
+    const key = Number(varint());
+    const no = key >> 3;
+    let value;
+    switch (key & 7) {
+      case 0: value = Number(BigInt.asIntN(64, varint())); break;
+      case 1: value = buf.subarray(pos, pos += 8); break;
+      case 2: { const len = Number(varint()); value = buf.subarray(pos, pos += len); break; }
+      case 5: value = buf.subarray(pos, pos += 4); break;
+      default: throw new Error(`Unsupported protobuf wire type ${key & 7}`);
+    }
+    (fields[no] || (fields[no] = [])).push(value);
+  }
+  return fields;
+}
+
+// Account message per inbound protocol, built from the settings.clients entry
+const ACCOUNTS = {
+  vless: { type: 'xray.proxy.vless.Account', encode: c => encodeFields([[1, c.id], [2, c.flow]]) },
+  vmess: { type: 'xray.proxy.vmess.Account', encode: c => encodeFields([[1, c.id]]) },
+  trojan: { type: 'xray.proxy.trojan.Account', encode: c => encodeFields([[1, c.password]]) },
+  shadowsocks: { type: 'xray.proxy.shadowsocks_2022.Account', encode: c => encodeFields([[1, c.password]]) },
+};
+
+function typedMessage(type, value) {
+  return encodeFields([[1, type], [2, value]]);
+}
+
+function decodeStat(buf) {
+  const f = decodeFields(buf);
+  return { name: f[1]?.[0]?.toString('utf8') || '', value: f[2]?.[0] || 0 };
+}
+
+/**
+ * Create an Xray API client.
+ * @param {{host?:string, port:number, timeoutMs?:number}} opts
+ */
+function createApiClient({ host = '127.0.0.1', port, timeoutMs = DEFAULT_TIMEOUT_MS }) {
+  let session = null;
+
+  function getSession() {
+    if (session && !session.closed && !session.destroyed) return session;
+    const s = http2.connect(`http://${host}:${port}`);
+    s.on('error', e => { s.lastError = e; }); // surfaced through the pending requests
+    s.on('close', () => { if (session === s) session = null; });
+    s.unref();
+    session = s;
+    return s;
+  }
+
+  /**
+   * One unary call.
+   * @param {string} method e.g. '/xray.app.stats.command.StatsService/QueryStats'
+   * @param {Buffer} message encoded request
+   * @returns {Promise<Buffer>} encoded response
+   */
+  function call(method, message) {
+    const name = method.split('/').pop();
+    return new Promise((resolve, reject) => {
+      let s;
+      try { s = getSession(); } catch (e) { return reject(e); }
+      const frame = Buffer.alloc(5 + message.length);
+      frame.writeUInt32BE(message.length, 1); // byte 0: not compressed
+      message.copy(frame, 5);
+      const req = s.request({
+        ':method': 'POST',
+        ':path': method,
+        'content-type': 'application/grpc+proto',
+        te: 'trailers',
+      });
+      const chunks = [];
+      let headers = {};
+      let settled = false;
+      const finish = (err, value) => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(timer);
+        if (err) { req.close(http2.constants.NGHTTP2_CANCEL); reject(err); } else resolve(value);
+      };
+      const timer = setTimeout(() => finish(new Error(`Xray API ${name} timed out after ${timeoutMs} ms`)), timeoutMs);
+      req.on('response', h => { headers = h; });
+      req.on('trailers', t => { headers = { ...headers, ...t }; });
+      req.on('data', c => chunks.push(c));
+      // Connection failures reach the stream first and the session (with the actual cause, e.g. ECONNREFUSED) after
+      const failLater = e => setImmediate(() => finish(s.lastError || e));
+      req.on('error', failLater);
+      req.on('close', () => {
+        if (headers[':status'] === undefined) return failLater(new Error(`Xray API ${name}: no response`));
+        // Trailers-only responses carry grpc-status in the headers
+        const status = Number(headers['grpc-status'] ?? (headers[':status'] === 200 ? NaN : 2));
+        if (status !== 0) {
+          const msg = headers['grpc-message'] ? decodeURIComponent(headers['grpc-message']) : `HTTP ${headers[':status']}`;
+          return finish(Object.assign(new Error(`Xray API ${name}: ${msg}`), { grpcStatus: Number.isNaN(status) ? null : status }));
+        }
+        const body = Buffer.concat(chunks);
+        if (body.length < 5) return finish(null, Buffer.alloc(0));
+        if (body[0] !== 0) return finish(new Error(`Xray API ${name}: compressed responses are not supported`));
+        finish(null, body.subarray(5, 5 + body.readUInt32BE(1)));
+      });
+      req.end(frame);
+    });
+  }
+
+  /**
+   * Counters whose name contains pattern ('' = all), optionally resetting them to zero in the same call.
+   * @param {string} pattern
+   * @param {{reset?:boolean}} [opts]
+   * @returns {Promise<{name:string, value:number}[]>}
+   */
+  async function queryStats(pattern, { reset = false } = {}) {
+    const res = await call(`${STATS_SERVICE}/QueryStats`, encodeFields([[1, pattern], [2, reset]]));
+    return (decodeFields(res)[1] || []).map(decodeStat);
+  }
+
+  function alterInbound(tag, operationType, operation) {
+    return call(`${HANDLER_SERVICE}/AlterInbound`, encodeFields([[1, tag], [2, typedMessage(`xray.app.proxyman.command.${operationType}`, operation)]]));
+  }
+
+  /**
+   * Add a client to a running inbound (the config file is not touched).
+   * @param {string} tag inbound tag
+   * @param {'vless'|'vmess'|'trojan'|'shadowsocks'} protocol inbound protocol (Shadowsocks: 2022 multi-user)
+   * @param {{email:string, level?:number, id?:string, flow?:string, password?:string}} client settings.clients entry
+   */
+  async function addUser(tag, protocol, client) {
+    const account = ACCOUNTS[protocol];
+    if (!account) throw new Error(`Xray API: adding ${protocol} users is not supported`);
+    const user = encodeFields([[1, client.level || 0], [2, client.email], [3, typedMessage(account.type, account.encode(client))]]);
+    await alterInbound(tag, 'AddUserOperation', encodeFields([[1, user]]));
+  }
+
+  /**
+   * Remove a client (any protocol) from a running inbound by email.
+   * @param {string} tag inbound tag
+   * @param {string} email
+   */
+  async function removeUser(tag, email) {
+    await alterInbound(tag, 'RemoveUserOperation', encodeFields([[1, email]]));
+  }
+
+  function close() {
+    session?.close();
+    session = null;
+  }
+
+  return { queryStats, addUser, removeUser, close };
+}
+
+export default { createApiClient, encodeFields, decodeFields };